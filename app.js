@@ -4,8 +4,13 @@ class ClassManagementApp {
     constructor() {
         this.baseURL = '/api';
         this.token = localStorage.getItem('cms_token');
+        this.refreshToken = localStorage.getItem('cms_refresh_token');
         this.currentUser = null;
         this.calendar = null;
+        this.notificationStream = null;
+        this.notificationRetry = null;
+        this.refreshPromise = null;
+        this.analyticsCharts = {};
         
         this.init();
     }
@@ -19,8 +24,16 @@ class ClassManagementApp {
                 throw new Error('Required DOM elements not found');
             }
 
-            // For now, always show login - don't try to verify token on first load
-            this.showLogin();
+            // Emailed password reset links open the app with ?resetToken= and portal invitations with
+            // ?portalActivation=; otherwise always show login - don't try to verify token on first load
+            const params = new URLSearchParams(window.location.search);
+            if (params.get('resetToken')) {
+                this.showResetPassword(params.get('resetToken'));
+            } else if (params.get('portalActivation')) {
+                this.showPortalActivation(params.get('portalActivation'));
+            } else {
+                this.showLogin();
+            }
             this.bindEvents();
             
             console.log('App initialized successfully');
@@ -37,6 +50,7 @@ class ClassManagementApp {
             // Auth forms
             const loginForm = document.getElementById('loginForm');
             const registerForm = document.getElementById('registerForm');
+            const resetPasswordForm = document.getElementById('resetPasswordForm');
             
             if (loginForm) {
                 loginForm.addEventListener('submit', (e) => this.handleLogin(e));
@@ -44,6 +58,13 @@ class ClassManagementApp {
             if (registerForm) {
                 registerForm.addEventListener('submit', (e) => this.handleRegister(e));
             }
+            if (resetPasswordForm) {
+                resetPasswordForm.addEventListener('submit', (e) => this.handleResetPassword(e));
+            }
+            const portalActivationForm = document.getElementById('portalActivationForm');
+            if (portalActivationForm) {
+                portalActivationForm.addEventListener('submit', (e) => this.handlePortalActivation(e));
+            }
 
             // CRUD forms
             const addClassForm = document.getElementById('addClassForm');
@@ -158,7 +179,7 @@ class ClassManagementApp {
         }, 5000);
     }
 
-    async apiCall(endpoint, method = 'GET', data = null) {
+    async apiCall(endpoint, method = 'GET', data = null, isRetry = false) {
         const config = {
             method,
             headers: {
@@ -166,8 +187,9 @@ class ClassManagementApp {
             }
         };
 
-        if (this.token) {
-            config.headers.Authorization = `Bearer ${this.token}`;
+        const sentToken = this.token;
+        if (sentToken) {
+            config.headers.Authorization = `Bearer ${sentToken}`;
         }
 
         if (data) {
@@ -176,19 +198,33 @@ class ClassManagementApp {
 
         try {
             const response = await fetch(`${this.baseURL}${endpoint}`, config);
+
+            // Access tokens are short-lived; try once to refresh and replay the request. Auth endpoints
+            // report their own 401s, except logout, which needs a live token to revoke the session
+            const canRefresh = !endpoint.startsWith('/auth/') || endpoint.startsWith('/auth/logout');
+            if (response.status === 401 && !isRetry && this.refreshToken && canRefresh) {
+                // Another request may already have refreshed while this one was in flight
+                if ((this.token && this.token !== sentToken) || await this.refreshSession()) {
+                    return this.apiCall(endpoint, method, data, true);
+                }
+            }
             
             // Check if response is ok first
             if (!response.ok) {
                 // Try to parse as JSON, but handle cases where it's not JSON
                 let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
+                let errorData = null;
                 try {
-                    const errorData = await response.json();
+                    errorData = await response.json();
                     errorMessage = errorData.message || errorMessage;
                 } catch (parseError) {
                     // Response is not JSON, use status text
                     console.warn('Non-JSON error response:', response.statusText);
                 }
-                throw new Error(errorMessage);
+                const apiError = new Error(errorMessage);
+                apiError.status = response.status;
+                apiError.data = errorData?.data;
+                throw apiError;
             }
 
             // Check if response has content
@@ -228,9 +264,7 @@ class ClassManagementApp {
 
             const response = await this.apiCall('/auth/login', 'POST', { email, password });
             
-            this.token = response.data.token;
-            this.currentUser = response.data.professor;
-            localStorage.setItem('cms_token', this.token);
+            this.setSession(response.data);
 
             this.showApp();
             this.showDashboard();
@@ -262,9 +296,7 @@ class ClassManagementApp {
                 password: 'test123' 
             });
             
-            this.token = response.data.token;
-            this.currentUser = response.data.professor;
-            localStorage.setItem('cms_token', this.token);
+            this.setSession(response.data);
 
             console.log('Login successful, showing app...');
             
@@ -302,9 +334,7 @@ class ClassManagementApp {
 
             const response = await this.apiCall('/auth/register', 'POST', formData);
             
-            this.token = response.data.token;
-            this.currentUser = response.data.professor;
-            localStorage.setItem('cms_token', this.token);
+            this.setSession(response.data);
 
             this.showApp();
             this.showDashboard();
@@ -316,20 +346,174 @@ class ClassManagementApp {
         }
     }
 
+    async handleForgotPassword() {
+        const email = document.getElementById('loginEmail').value.trim();
+        if (!email) {
+            this.showAlert('Enter your email address, then choose Forgot password', 'warning');
+            return;
+        }
+
+        try {
+            this.showLoading();
+            const response = await this.apiCall('/auth/forgot-password', 'POST', { email });
+            this.showAlert(response.message, 'info');
+        } catch (error) {
+            this.showAlert(error.message, 'danger');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    showResetPassword(resetToken) {
+        this.resetToken = resetToken;
+        document.getElementById('appContainer')?.classList.add('d-none');
+
+        // Same delay as showLogin, so Bootstrap is ready
+        setTimeout(() => {
+            new bootstrap.Modal(document.getElementById('resetPasswordModal')).show();
+        }, 200);
+    }
+
+    // Leave the reset view: drop the token from the address bar and go back to login
+    closeResetPassword() {
+        this.resetToken = null;
+        window.history.replaceState({}, '', window.location.pathname);
+        bootstrap.Modal.getInstance(document.getElementById('resetPasswordModal'))?.hide();
+        this.showLogin();
+    }
+
+    async handleResetPassword(e) {
+        e.preventDefault();
+
+        const password = document.getElementById('resetPassword').value;
+        if (password !== document.getElementById('resetPasswordConfirm').value) {
+            this.showAlert('Passwords do not match', 'warning');
+            return;
+        }
+
+        try {
+            this.showLoading();
+            const response = await this.apiCall('/auth/reset-password', 'POST', { token: this.resetToken, password });
+            document.getElementById('resetPasswordForm').reset();
+            this.closeResetPassword();
+            this.showAlert(response.message, 'success');
+        } catch (error) {
+            this.showAlert(error.message, 'danger');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    showPortalActivation(activationToken) {
+        this.portalActivationToken = activationToken;
+        document.getElementById('appContainer')?.classList.add('d-none');
+
+        // Same delay as showLogin, so Bootstrap is ready
+        setTimeout(() => {
+            new bootstrap.Modal(document.getElementById('portalActivationModal')).show();
+        }, 200);
+    }
+
+    async handlePortalActivation(e) {
+        e.preventDefault();
+
+        const password = document.getElementById('portalPassword').value;
+        if (password !== document.getElementById('portalPasswordConfirm').value) {
+            this.showAlert('Passwords do not match', 'warning');
+            return;
+        }
+
+        try {
+            this.showLoading();
+            const response = await this.apiCall('/portal/auth/activate', 'POST', { token: this.portalActivationToken, password });
+
+            // The link is single-use; the student signs in to the portal from now on
+            this.portalActivationToken = null;
+            window.history.replaceState({}, '', window.location.pathname);
+            document.getElementById('portalActivationForm').classList.add('d-none');
+            document.getElementById('portalActivationDone').classList.remove('d-none');
+            this.showAlert(response.message, 'success');
+        } catch (error) {
+            this.showAlert(error.message, 'danger');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    setSession(data) {
+        this.token = data.token;
+        this.refreshToken = data.refreshToken;
+        this.currentUser = data.professor;
+        localStorage.setItem('cms_token', this.token);
+        localStorage.setItem('cms_refresh_token', this.refreshToken);
+    }
+
+    clearSession() {
+        this.disconnectNotifications();
+        localStorage.removeItem('cms_token');
+        localStorage.removeItem('cms_refresh_token');
+        this.token = null;
+        this.refreshToken = null;
+        this.currentUser = null;
+    }
+
+    // Refresh tokens are single-use, so requests that fail together share one refresh; a second
+    // refresh with the same token would look like reuse and revoke the session
+    refreshSession() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = (async () => {
+                try {
+                    const response = await this.apiCall('/auth/refresh', 'POST', { refreshToken: this.refreshToken }, true);
+                    this.setSession(response.data);
+                    return true;
+                } catch (error) {
+                    console.warn('Session refresh failed:', error.message);
+                    this.clearSession();
+                    this.showLogin();
+                    return false;
+                } finally {
+                    this.refreshPromise = null;
+                }
+            })();
+        }
+        return this.refreshPromise;
+    }
+
     async verifyToken() {
         const response = await this.apiCall('/auth/verify-token');
         this.currentUser = response.data.professor;
         return response;
     }
 
-    logout() {
-        localStorage.removeItem('cms_token');
-        this.token = null;
-        this.currentUser = null;
+    async logout() {
+        try {
+            if (this.token) {
+                await this.apiCall('/auth/logout', 'POST');
+            }
+        } catch (error) {
+            // The session may already be revoked; sign out locally regardless
+            console.warn('Server logout failed:', error.message);
+        }
+
+        this.clearSession();
         this.showLogin();
         this.showAlert('Logged out successfully!', 'info');
     }
 
+    async logoutAllDevices() {
+        try {
+            this.showLoading();
+            await this.apiCall('/auth/logout-all', 'POST');
+            this.clearSession();
+            this.showLogin();
+            this.showAlert('Signed out of all devices', 'info');
+        } catch (error) {
+            this.showAlert('Failed to sign out of all devices: ' + error.message, 'danger');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
     showLogin() {
         try {
             console.log('Showing login modal...');
@@ -371,6 +555,120 @@ class ClassManagementApp {
         if (this.currentUser) {
             document.getElementById('professorName').textContent = this.currentUser.fullName;
         }
+
+        this.connectNotifications();
+    }
+
+    // Notification Methods
+    async connectNotifications() {
+        this.disconnectNotifications();
+        if (!this.token || typeof EventSource === 'undefined') return;
+
+        // EventSource can't send an Authorization header, so the stream is opened with a
+        // short-lived ticket in the query string instead of the access token
+        let ticket;
+        try {
+            ticket = (await this.apiCall('/notifications/stream-ticket', 'POST')).data.ticket;
+        } catch (error) {
+            console.warn('Notification stream ticket failed:', error.message);
+            return;
+        }
+
+        // Signed out, or connected again, while the ticket was on its way
+        if (!this.token) return;
+        this.disconnectNotifications();
+
+        const stream = new EventSource(`${this.baseURL}/notifications/stream?ticket=${encodeURIComponent(ticket)}`);
+
+        stream.addEventListener('unread', (e) => {
+            this.updateNotificationCount(JSON.parse(e.data).unreadCount);
+        });
+
+        stream.addEventListener('notification', (e) => {
+            const { notification, unreadCount } = JSON.parse(e.data);
+            this.updateNotificationCount(unreadCount);
+            this.showAlert(`<i class="fas fa-bell me-2"></i>${this.escapeHtml(notification.title)}`, 'info');
+        });
+
+        // A rejected stream (e.g. an expired ticket) is closed for good; reconnect with a new ticket
+        stream.onerror = () => {
+            if (stream.readyState !== EventSource.CLOSED) return;
+            this.notificationRetry = setTimeout(async () => {
+                try {
+                    await this.connectNotifications();
+                } catch (error) {
+                    console.warn('Notification stream reconnect failed:', error.message);
+                }
+            }, 5000);
+        };
+
+        this.notificationStream = stream;
+    }
+
+    disconnectNotifications() {
+        clearTimeout(this.notificationRetry);
+        if (this.notificationStream) {
+            this.notificationStream.close();
+            this.notificationStream = null;
+        }
+    }
+
+    updateNotificationCount(count) {
+        const badge = document.getElementById('notificationCount');
+        if (!badge) return;
+        badge.textContent = count > 99 ? '99+' : count;
+        badge.classList.toggle('d-none', count === 0);
+    }
+
+    async loadNotifications() {
+        try {
+            const response = await this.apiCall('/notifications?limit=10');
+            const { notifications, unreadCount } = response.data;
+            this.updateNotificationCount(unreadCount);
+
+            const list = document.getElementById('notificationList');
+            if (notifications.length === 0) {
+                list.innerHTML = '<p class="text-muted text-center small my-3">No notifications</p>';
+                return;
+            }
+
+            list.innerHTML = notifications.map(notification => `
+                <a href="#" class="dropdown-item border-bottom py-2 ${notification.readAt ? 'text-muted' : ''}" style="white-space: normal;"
+                   onclick="markNotificationRead('${notification._id}')">
+                    <div class="${notification.readAt ? '' : 'fw-bold'}">${this.escapeHtml(notification.title)}</div>
+                    ${notification.message ? `<div class="small">${this.escapeHtml(notification.message)}</div>` : ''}
+                    <div class="small text-muted">${new Date(notification.createdAt).toLocaleString()}</div>
+                </a>
+            `).join('');
+        } catch (error) {
+            console.error('Failed to load notifications:', error);
+        }
+    }
+
+    async markNotificationRead(id) {
+        try {
+            const response = await this.apiCall(`/notifications/${id}/read`, 'PUT');
+            this.updateNotificationCount(response.data.unreadCount);
+        } catch (error) {
+            this.showAlert('Failed to update notification: ' + error.message, 'danger');
+        }
+    }
+
+    async markAllNotificationsRead() {
+        try {
+            await this.apiCall('/notifications/read-all', 'PUT');
+            this.updateNotificationCount(0);
+            this.loadNotifications();
+        } catch (error) {
+            this.showAlert('Failed to update notifications: ' + error.message, 'danger');
+        }
+    }
+
+    // Student-written text (e.g. grade disputes) ends up in notifications, so escape it before rendering
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
     }
 
     // Navigation Methods
@@ -439,6 +737,7 @@ class ClassManagementApp {
             // Load stats and events separately to avoid one failure affecting the other
             let stats = { totalClasses: 0, totalStudents: 0, totalGrades: 0, upcomingEvents: 0 };
             let events = [];
+            let atRisk = null;
 
             try {
                 const statsResponse = await this.apiCall('/professors/stats');
@@ -456,6 +755,13 @@ class ClassManagementApp {
                 this.showAlert('Failed to load upcoming events', 'warning');
             }
 
+            try {
+                const atRiskResponse = await this.apiCall('/professors/at-risk');
+                atRisk = atRiskResponse.data;
+            } catch (error) {
+                console.warn('Failed to load at-risk students:', error.message);
+            }
+
             // Update stats
             document.getElementById('totalClasses').textContent = stats.totalClasses;
             document.getElementById('totalStudents').textContent = stats.totalStudents;
@@ -464,6 +770,7 @@ class ClassManagementApp {
 
             // Update upcoming events
             this.renderUpcomingEvents(events);
+            this.renderAtRiskStudents(atRisk);
         } catch (error) {
             console.error('Dashboard loading error:', error);
             this.showAlert('Failed to load dashboard data', 'danger');
@@ -496,6 +803,47 @@ class ClassManagementApp {
         container.innerHTML = html;
     }
 
+    // Dashboard widget listing the highest-risk students first
+    renderAtRiskStudents(report) {
+        const container = document.getElementById('atRiskList');
+        const summary = document.getElementById('atRiskSummary');
+
+        if (!report) {
+            container.innerHTML = '<p class="text-muted">At-risk report unavailable</p>';
+            summary.textContent = '';
+            return;
+        }
+
+        summary.textContent = `${report.summary.high} high, ${report.summary.medium} medium, ${report.summary.low} low across ${report.summary.classesChecked} classes`;
+
+        if (report.students.length === 0) {
+            container.innerHTML = '<p class="text-muted">No students are currently flagged</p>';
+            return;
+        }
+
+        const levelColors = { high: 'danger', medium: 'warning', low: 'secondary' };
+        const shown = report.students.slice(0, 10);
+
+        container.innerHTML = `
+            <div class="list-group list-group-flush">
+                ${shown.map(entry => `
+                    <a href="#" class="list-group-item list-group-item-action" onclick="viewStudent('${entry.student._id}'); return false;">
+                        <div class="d-flex justify-content-between">
+                            <span>
+                                <span class="badge bg-${levelColors[entry.riskLevel]} text-capitalize me-2">${entry.riskLevel}</span>
+                                <strong>${this.escapeHtml(entry.student.firstName)} ${this.escapeHtml(entry.student.lastName)}</strong>
+                                <small class="text-muted">${this.escapeHtml(entry.class.courseCode)}</small>
+                            </span>
+                            <span class="small">${entry.measures.percentage === null ? '-' : `${entry.measures.percentage}%`}</span>
+                        </div>
+                        <small class="text-muted">${entry.flags.map(flag => this.escapeHtml(flag.message)).join(' &middot; ')}</small>
+                    </a>
+                `).join('')}
+            </div>
+            ${report.students.length > shown.length ? `<p class="small text-muted mt-2 mb-0">and ${report.students.length - shown.length} more</p>` : ''}
+        `;
+    }
+
     getEventTypeColor(type) {
         const colors = {
             'lecture': 'primary',
@@ -541,7 +889,15 @@ class ClassManagementApp {
                 maxEnrollment: parseInt(document.getElementById('maxEnrollment').value)
             };
 
-            const response = await this.apiCall('/classes', 'POST', classData);
+            try {
+                await this.apiCall('/classes', 'POST', classData);
+            } catch (error) {
+                // Double bookings need explicit confirmation before they are saved
+                if (error.status !== 409 || !confirm(this.describeConflicts(error.data.conflicts, 'This class'))) {
+                    throw error;
+                }
+                await this.apiCall('/classes', 'POST', { ...classData, allowConflicts: true });
+            }
             this.showAlert('Class created successfully!', 'success');
             this.loadClasses(); // Refresh the list
             bootstrap.Modal.getInstance(document.getElementById('addClassModal')).hide();
@@ -587,15 +943,24 @@ class ClassManagementApp {
         try {
             this.showLoading();
 
-            const gradeData = {
-                student: document.getElementById('gradeStudent').value,
-                class: document.getElementById('gradeClass').value,
-                assignment: {
+            const classId = document.getElementById('gradeClass').value;
+            let assignmentId = document.getElementById('gradeAssignment').value;
+
+            // Create the assignment first when the professor chose to add a new one
+            if (assignmentId === 'new') {
+                const assignmentResponse = await this.apiCall(`/classes/${classId}/assignments`, 'POST', {
                     name: document.getElementById('assignmentName').value,
                     type: document.getElementById('assignmentType').value,
                     maxPoints: parseFloat(document.getElementById('maxPoints').value),
                     dueDate: document.getElementById('dueDate').value || undefined
-                },
+                });
+                assignmentId = assignmentResponse.data.assignment._id;
+            }
+
+            const gradeData = {
+                student: document.getElementById('gradeStudent').value,
+                class: classId,
+                assignment: assignmentId,
                 score: {
                     points: parseFloat(document.getElementById('pointsEarned').value)
                 },
@@ -609,6 +974,7 @@ class ClassManagementApp {
             this.loadGrades(); // Refresh the list
             bootstrap.Modal.getInstance(document.getElementById('addGradeModal')).hide();
             document.getElementById('addGradeForm').reset();
+            this.toggleNewAssignmentFields(false);
         } catch (error) {
             this.showAlert('Failed to add grade: ' + error.message, 'danger');
         } finally {
@@ -616,6 +982,35 @@ class ClassManagementApp {
         }
     }
 
+    async loadAssignmentsForGrade(classId) {
+        const select = document.getElementById('gradeAssignment');
+
+        if (!classId) {
+            select.innerHTML = '<option value="">Select Class First</option>';
+            this.toggleNewAssignmentFields(false);
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/classes/${classId}/assignments`);
+            select.innerHTML = '<option value="">Select Assignment</option>' +
+                response.data.assignments.map(assignment =>
+                    `<option value="${assignment._id}">${this.escapeHtml(assignment.name)} (${this.escapeHtml(assignment.type)}, ${assignment.maxPoints} pts)</option>`
+                ).join('') +
+                '<option value="new">+ New assignment</option>';
+        } catch (error) {
+            select.innerHTML = '<option value="new">+ New assignment</option>';
+        }
+        this.toggleNewAssignmentFields(select.value === 'new');
+    }
+
+    toggleNewAssignmentFields(show) {
+        document.getElementById('newAssignmentFields').classList.toggle('d-none', !show);
+        ['assignmentName', 'assignmentType', 'maxPoints'].forEach(id => {
+            document.getElementById(id).required = show;
+        });
+    }
+
     async handleAddEvent(formData) {
         try {
             this.showLoading();
@@ -642,7 +1037,21 @@ class ClassManagementApp {
                 eventData.class = document.getElementById('eventClass').value;
             }
 
-            const response = await this.apiCall('/calendar/events', 'POST', eventData);
+            const reminderMinutes = document.getElementById('eventReminder').value;
+            eventData.reminders = reminderMinutes ? [{
+                type: document.getElementById('eventReminderType').value,
+                minutesBefore: parseInt(reminderMinutes)
+            }] : [];
+
+            try {
+                await this.apiCall('/calendar/events', 'POST', eventData);
+            } catch (error) {
+                // Double bookings need explicit confirmation before they are saved
+                if (error.status !== 409 || !confirm(this.describeConflicts(error.data.conflicts))) {
+                    throw error;
+                }
+                await this.apiCall('/calendar/events', 'POST', { ...eventData, allowConflicts: true });
+            }
             this.showAlert('Event created successfully!', 'success');
             
             // Refresh calendar if it's currently shown
@@ -659,6 +1068,21 @@ class ClassManagementApp {
         }
     }
 
+    describeConflicts(conflicts, subject = 'This event') {
+        const lines = conflicts.slice(0, 5).map(conflict => {
+            const reason = conflict.reasons.includes('room') ? 'room in use' : 'you are busy';
+            // Clashing classes are described by their weekly meetings, events by their date
+            const when = conflict.startDateTime
+                ? new Date(conflict.startDateTime).toLocaleString()
+                : `${conflict.days.join(', ')} ${conflict.startTime}-${conflict.endTime}`;
+            return `- ${conflict.title} (${when}, ${reason})`;
+        });
+        if (conflicts.length > 5) {
+            lines.push(`...and ${conflicts.length - 5} more`);
+        }
+        return `${subject} conflicts with:\n${lines.join('\n')}\n\nSave it anyway?`;
+    }
+
     // Search and Filter Methods
     setupSearchAndFilter() {
         // Class search
@@ -913,12 +1337,15 @@ class ClassManagementApp {
                             <tr>
                                 <td>${grade.student.fullName}</td>
                                 <td>${grade.class.courseCode}</td>
-                                <td>${grade.assignment.name}</td>
-                                <td><span class="badge bg-secondary">${grade.assignment.type}</span></td>
-                                <td>${grade.score.points}/${grade.assignment.maxPoints}</td>
+                                <td>${grade.assignment ? this.escapeHtml(grade.assignment.name) : '-'}</td>
+                                <td><span class="badge bg-secondary">${grade.assignment ? grade.assignment.type : '-'}</span></td>
+                                <td>
+                                    ${grade.score.adjustedPoints ?? grade.score.points}/${grade.assignment ? grade.assignment.maxPoints : '-'}
+                                    ${grade.submissionInfo?.latePenalty > 0 ? `<small class="text-muted d-block">${grade.score.points} before ${grade.submissionInfo.latePenalty}% late penalty</small>` : ''}
+                                </td>
                                 <td>
-                                    <span class="grade-display grade-${grade.score.letterGrade.toLowerCase().replace('+', '').replace('-', '')}">
-                                        ${grade.score.letterGrade}
+                                    <span class="grade-display grade-${(grade.score.letterGrade || '').toLowerCase().replace('+', '').replace('-', '')}">
+                                        ${this.formatGrade(grade)}
                                     </span>
                                 </td>
                                 <td>
@@ -941,6 +1368,22 @@ class ClassManagementApp {
         container.innerHTML = html;
     }
 
+    // Format a grade the way the professor chose in their preferences
+    formatGrade(grade) {
+        const preference = this.currentUser?.preferences?.gradeScale || 'percentage';
+
+        switch (preference) {
+            case 'letter':
+                return grade.score.letterGrade || '-';
+            case 'points':
+                return grade.assignment ? `${grade.score.points}/${grade.assignment.maxPoints}` : `${grade.score.points}`;
+            default:
+                return grade.score.percentage !== undefined && grade.score.percentage !== null
+                    ? `${Math.round(grade.score.percentage * 100) / 100}%`
+                    : '-';
+        }
+    }
+
     // Calendar Methods
     async initCalendar() {
         if (this.calendar) {
@@ -960,9 +1403,9 @@ class ClassManagementApp {
                 try {
                     const startDate = encodeURIComponent(info.startStr);
                     const endDate = encodeURIComponent(info.endStr);
-                    const response = await this.apiCall(`/calendar/events?startDate=${startDate}&endDate=${endDate}`);
+                    const response = await this.apiCall(`/calendar/events?startDate=${startDate}&endDate=${endDate}&limit=100`);
                     return response.data.events.map(event => ({
-                        id: event._id,
+                        id: event.isOccurrence ? `${event._id}-${new Date(event.occurrenceStart).getTime()}` : event._id,
                         title: event.title,
                         start: event.startDateTime,
                         end: event.endDateTime,
@@ -970,7 +1413,9 @@ class ClassManagementApp {
                         extendedProps: {
                             type: event.eventType,
                             description: event.description,
-                            location: event.location
+                            location: event.location,
+                            eventId: event._id,
+                            occurrenceStart: event.occurrenceStart
                         }
                     }));
                 } catch (error) {
@@ -1136,7 +1581,7 @@ class ClassManagementApp {
                         </div>
                         <div class="modal-footer">
                             <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
-                            <button type="button" class="btn btn-primary" onclick="editEvent('${event.id}')">Edit</button>
+                            <button type="button" class="btn btn-primary" onclick="editEvent('${event.extendedProps.eventId || event.id}')">Edit</button>
                         </div>
                     </div>
                 </div>
@@ -1184,8 +1629,12 @@ class ClassManagementApp {
     // Detailed View Methods
     async viewClassDetails(id) {
         try {
-            const response = await this.apiCall(`/classes/${id}`);
+            const [response, assignmentsResponse] = await Promise.all([
+                this.apiCall(`/classes/${id}`),
+                this.apiCall(`/classes/${id}/assignments`)
+            ]);
             const classData = response.data.class;
+            const rubricAssignments = assignmentsResponse.data.assignments.filter(assignment => assignment.rubric);
             
             // Create and show detailed view modal
             const modalHtml = `
@@ -1212,11 +1661,28 @@ class ClassManagementApp {
                                     </div>
                                 </div>
                                 ${classData.description ? `<p><strong>Description:</strong> ${classData.description}</p>` : ''}
+                                ${rubricAssignments.length > 0 ? `
+                                    <h6 class="mt-3"><i class="fas fa-th-list me-2"></i>Rubric Grading</h6>
+                                    <div class="list-group">
+                                        ${rubricAssignments.map(assignment => `
+                                            <button type="button" class="list-group-item list-group-item-action d-flex justify-content-between align-items-center" onclick="gradeWithRubric('${id}', '${assignment._id}')">
+                                                ${this.escapeHtml(assignment.name)}
+                                                <span class="badge bg-secondary">${assignment.gradedCount} graded</span>
+                                            </button>
+                                        `).join('')}
+                                    </div>
+                                ` : ''}
+                                <h6 class="mt-4"><i class="fas fa-chart-bar me-2"></i>Grade Analytics</h6>
+                                <div id="classAnalytics">
+                                    <p class="text-muted small">Loading analytics...</p>
+                                </div>
                             </div>
                             <div class="modal-footer">
                                 <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
                                 <button type="button" class="btn btn-primary" onclick="manageStudents('${id}')">Manage Students</button>
                                 <button type="button" class="btn btn-info" onclick="viewGrades('${id}')">View Grades</button>
+                                <button type="button" class="btn btn-outline-primary" onclick="curveGrades('${id}')">Curve Grades</button>
+                                <button type="button" class="btn btn-outline-warning" onclick="fillMissingGrades('${id}')">Fill Missing</button>
                             </div>
                         </div>
                     </div>
@@ -1224,11 +1690,545 @@ class ClassManagementApp {
             `;
             
             this.showModal(modalHtml, 'classDetailsModal');
+            this.loadClassAnalytics(id);
         } catch (error) {
             this.showAlert('Failed to load class details', 'danger');
         }
     }
 
+    // Statistics and charts for the class details view
+    async loadClassAnalytics(classId) {
+        const container = document.getElementById('classAnalytics');
+
+        try {
+            const response = await this.apiCall(`/grades/class/${classId}/analytics`);
+            const analytics = response.data;
+            const stats = analytics.overall.statistics;
+            const gradedAssignments = analytics.assignments.filter(entry => entry.statistics.count > 0);
+
+            if (stats.count === 0 && gradedAssignments.length === 0) {
+                container.innerHTML = '<p class="text-muted small">No grades have been entered yet</p>';
+                return;
+            }
+
+            const formatStat = (value) => value === null ? '-' : `${value}%`;
+
+            container.innerHTML = `
+                <div class="row text-center small mb-3">
+                    <div class="col"><div class="text-muted">Mean</div><strong>${formatStat(stats.mean)}</strong></div>
+                    <div class="col"><div class="text-muted">Median</div><strong>${formatStat(stats.median)}</strong></div>
+                    <div class="col"><div class="text-muted">Std Dev</div><strong>${stats.stdDev ?? '-'}</strong></div>
+                    <div class="col"><div class="text-muted">Q1 - Q3</div><strong>${formatStat(stats.quartiles.q1)} - ${formatStat(stats.quartiles.q3)}</strong></div>
+                    <div class="col"><div class="text-muted">Range</div><strong>${formatStat(stats.min)} - ${formatStat(stats.max)}</strong></div>
+                </div>
+                ${typeof Chart === 'undefined' ? '<p class="text-muted small">Charts are unavailable</p>' : `
+                    <div class="row">
+                        <div class="col-md-6 mb-3"><canvas id="overallHistogramChart" height="200"></canvas></div>
+                        <div class="col-md-6 mb-3"><canvas id="letterDistributionChart" height="200"></canvas></div>
+                        <div class="col-md-6 mb-3"><canvas id="categoryAverageChart" height="200"></canvas></div>
+                        <div class="col-md-6 mb-3"><canvas id="gradeTrendChart" height="200"></canvas></div>
+                    </div>
+                    ${gradedAssignments.length > 0 ? `
+                        <div class="d-flex align-items-center mb-2">
+                            <label for="analyticsAssignment" class="form-label small mb-0 me-2">Assignment</label>
+                            <select class="form-select form-select-sm w-auto" id="analyticsAssignment">
+                                ${gradedAssignments.map((entry, index) => `<option value="${index}">${this.escapeHtml(entry.assignment.name)}</option>`).join('')}
+                            </select>
+                            <span class="small text-muted ms-3" id="analyticsAssignmentStats"></span>
+                        </div>
+                        <canvas id="assignmentHistogramChart" height="120"></canvas>
+                    ` : ''}
+                `}
+            `;
+
+            if (typeof Chart === 'undefined') return;
+
+            this.renderAnalyticsChart('overallHistogramChart', 'bar', {
+                labels: analytics.overall.histogram.map(bin => bin.label),
+                datasets: [{ label: 'Students by final %', data: analytics.overall.histogram.map(bin => bin.count), backgroundColor: '#0d6efd' }]
+            });
+
+            const letters = analytics.letterDistribution.filter(entry => entry.count > 0 || stats.count === 0);
+            this.renderAnalyticsChart('letterDistributionChart', 'bar', {
+                labels: letters.map(entry => entry.letter),
+                datasets: [{ label: 'Letter grades', data: letters.map(entry => entry.count), backgroundColor: '#198754' }]
+            });
+
+            this.renderAnalyticsChart('categoryAverageChart', 'bar', {
+                labels: analytics.categories.map(entry => `${entry.category} (${entry.weight}%)`),
+                datasets: [{ label: 'Category average %', data: analytics.categories.map(entry => entry.average), backgroundColor: '#ffc107' }]
+            });
+
+            this.renderAnalyticsChart('gradeTrendChart', 'line', {
+                labels: analytics.trends.map(entry => `${entry.name} (${new Date(entry.dueDate).toLocaleDateString()})`),
+                datasets: [
+                    { label: 'Assignment average %', data: analytics.trends.map(entry => entry.mean), borderColor: '#0d6efd' },
+                    { label: 'Median %', data: analytics.trends.map(entry => entry.median), borderColor: '#6c757d' },
+                    { label: 'Running average %', data: analytics.trends.map(entry => entry.cumulativeMean), borderColor: '#dc3545' }
+                ]
+            });
+
+            if (gradedAssignments.length > 0) {
+                const select = document.getElementById('analyticsAssignment');
+                const showAssignment = () => {
+                    const entry = gradedAssignments[select.value];
+                    const assignmentStats = entry.statistics;
+                    document.getElementById('analyticsAssignmentStats').textContent =
+                        `${assignmentStats.count} graded, mean ${formatStat(assignmentStats.mean)}, median ${formatStat(assignmentStats.median)}, std dev ${assignmentStats.stdDev}`;
+                    this.renderAnalyticsChart('assignmentHistogramChart', 'bar', {
+                        labels: entry.histogram.map(bin => bin.label),
+                        datasets: [{ label: `${entry.assignment.name} scores`, data: entry.histogram.map(bin => bin.count), backgroundColor: '#6f42c1' }]
+                    });
+                };
+                select.onchange = showAssignment;
+                showAssignment();
+            }
+        } catch (error) {
+            container.innerHTML = `<p class="text-muted small">Analytics unavailable: ${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    // Draw a chart into a canvas, replacing the chart previously drawn there
+    renderAnalyticsChart(canvasId, type, data) {
+        if (this.analyticsCharts[canvasId]) {
+            this.analyticsCharts[canvasId].destroy();
+        }
+
+        this.analyticsCharts[canvasId] = new Chart(document.getElementById(canvasId), {
+            type,
+            data,
+            options: {
+                responsive: true,
+                plugins: { legend: { labels: { boxWidth: 12 } } },
+                scales: { y: { beginAtZero: true } }
+            }
+        });
+    }
+
+    // Rubric grading: pick a student, click a level for each criterion, save and move on
+    async showRubricGrading(classId, assignmentId) {
+        try {
+            const response = await this.apiCall(`/grades/class/${classId}/assignments/${assignmentId}/rubric`);
+            const { assignment, rubric, students } = response.data;
+
+            if (students.length === 0) {
+                this.showAlert('No students are enrolled in this class', 'warning');
+                return;
+            }
+
+            this.rubricGrading = { classId, assignmentId, rubric, students, index: 0, selections: {} };
+
+            const modalHtml = `
+                <div class="modal fade" id="rubricGradingModal" tabindex="-1">
+                    <div class="modal-dialog modal-xl">
+                        <div class="modal-content">
+                            <div class="modal-header">
+                                <h5 class="modal-title">
+                                    <i class="fas fa-th-list me-2"></i>${this.escapeHtml(assignment.name)} - ${this.escapeHtml(rubric.name)}
+                                </h5>
+                                <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                            </div>
+                            <div class="modal-body">
+                                <div class="row">
+                                    <div class="col-md-3">
+                                        <div class="list-group small" id="rubricStudentList"></div>
+                                    </div>
+                                    <div class="col-md-9" id="rubricGradingSheet"></div>
+                                </div>
+                            </div>
+                            <div class="modal-footer">
+                                <span class="me-auto fw-bold" id="rubricTotal"></span>
+                                <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
+                                <button type="button" class="btn btn-outline-primary" onclick="saveRubricGrade(false)">Save</button>
+                                <button type="button" class="btn btn-primary" onclick="saveRubricGrade(true)">Save &amp; Next</button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            this.showModal(modalHtml, 'rubricGradingModal');
+            this.selectRubricStudent(0);
+        } catch (error) {
+            this.showAlert('Failed to load rubric: ' + error.message, 'danger');
+        }
+    }
+
+    selectRubricStudent(index) {
+        const state = this.rubricGrading;
+        const { rubric, students } = state;
+        const { student, grade } = students[index];
+        state.index = index;
+
+        // Start from the student's saved rubric scores, if any
+        state.selections = {};
+        (grade?.rubric || []).forEach(entry => {
+            if (entry.criterion && entry.level) {
+                state.selections[entry.criterion] = { level: entry.level, points: entry.earnedPoints, comments: entry.comments || '' };
+            }
+        });
+
+        document.getElementById('rubricStudentList').innerHTML = students.map((entry, i) => `
+            <button type="button" class="list-group-item list-group-item-action d-flex justify-content-between ${i === index ? 'active' : ''}" onclick="selectRubricStudent(${i})">
+                ${this.escapeHtml(entry.student.lastName)}, ${this.escapeHtml(entry.student.firstName)}
+                ${entry.grade ? `<span class="badge bg-light text-dark">${entry.grade.score.points}</span>` : ''}
+            </button>
+        `).join('');
+
+        document.getElementById('rubricGradingSheet').innerHTML = `
+            <h6>${this.escapeHtml(student.firstName)} ${this.escapeHtml(student.lastName)} <small class="text-muted">${this.escapeHtml(student.studentId)}</small></h6>
+            ${rubric.criteria.map(criterion => `
+                <div class="card mb-2">
+                    <div class="card-body py-2">
+                        <div class="fw-bold">${this.escapeHtml(criterion.name)}</div>
+                        ${criterion.description ? `<div class="text-muted small mb-1">${this.escapeHtml(criterion.description)}</div>` : ''}
+                        <div class="btn-group flex-wrap mb-2" role="group">
+                            ${criterion.levels.map(level => `
+                                <button type="button" class="btn btn-sm btn-outline-primary" id="rubricLevel-${level._id}"
+                                    title="${this.escapeHtml(level.description || '').replace(/"/g, '&quot;')}" onclick="selectRubricLevel('${criterion._id}', '${level._id}')">
+                                    ${this.escapeHtml(level.name)}
+                                    <small>(${level.minPoints === level.maxPoints ? level.maxPoints : `${level.minPoints}-${level.maxPoints}`})</small>
+                                </button>
+                            `).join('')}
+                        </div>
+                        <div class="row g-2">
+                            <div class="col-md-3">
+                                <input type="number" class="form-control form-control-sm" id="rubricPoints-${criterion._id}" step="0.5" placeholder="Points"
+                                    onchange="setRubricPoints('${criterion._id}', this.value)">
+                            </div>
+                            <div class="col-md-9">
+                                <input type="text" class="form-control form-control-sm" id="rubricComments-${criterion._id}" maxlength="500" placeholder="Comments"
+                                    onchange="setRubricComments('${criterion._id}', this.value)">
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `).join('')}
+            <label for="rubricFeedback" class="form-label">Overall comments</label>
+            <textarea class="form-control" id="rubricFeedback" rows="2" maxlength="1000">${this.escapeHtml(grade?.feedback?.comments || '')}</textarea>
+        `;
+
+        rubric.criteria.forEach(criterion => {
+            document.getElementById(`rubricComments-${criterion._id}`).value = state.selections[criterion._id]?.comments || '';
+            this.showRubricSelection(criterion);
+        });
+        this.updateRubricTotal();
+    }
+
+    // Highlight the chosen level and limit the points box to its range
+    showRubricSelection(criterion) {
+        const selection = this.rubricGrading.selections[criterion._id];
+        const pointsInput = document.getElementById(`rubricPoints-${criterion._id}`);
+
+        criterion.levels.forEach(level => {
+            document.getElementById(`rubricLevel-${level._id}`).classList.toggle('active', selection?.level === level._id);
+        });
+
+        const level = selection && criterion.levels.find(l => l._id === selection.level);
+        pointsInput.disabled = !level;
+        pointsInput.min = level ? level.minPoints : '';
+        pointsInput.max = level ? level.maxPoints : '';
+        pointsInput.value = level ? selection.points : '';
+    }
+
+    selectRubricLevel(criterionId, levelId) {
+        const state = this.rubricGrading;
+        const criterion = state.rubric.criteria.find(c => c._id === criterionId);
+        const level = criterion.levels.find(l => l._id === levelId);
+
+        state.selections[criterionId] = {
+            ...state.selections[criterionId],
+            level: levelId,
+            points: level.maxPoints
+        };
+
+        this.showRubricSelection(criterion);
+        this.updateRubricTotal();
+    }
+
+    setRubricPoints(criterionId, value) {
+        const selection = this.rubricGrading.selections[criterionId];
+        if (!selection) return;
+        selection.points = parseFloat(value);
+        this.updateRubricTotal();
+    }
+
+    setRubricComments(criterionId, value) {
+        const state = this.rubricGrading;
+        state.selections[criterionId] = { ...state.selections[criterionId], comments: value };
+    }
+
+    updateRubricTotal() {
+        const { rubric, selections } = this.rubricGrading;
+        const scored = rubric.criteria.filter(criterion => selections[criterion._id]?.level);
+        const total = scored.reduce((sum, criterion) => sum + (selections[criterion._id].points || 0), 0);
+
+        document.getElementById('rubricTotal').textContent =
+            `Total: ${Math.round(total * 100) / 100} / ${rubric.totalPoints} (${scored.length} of ${rubric.criteria.length} criteria scored)`;
+    }
+
+    async saveRubricGrade(advance) {
+        const state = this.rubricGrading;
+        const { classId, assignmentId, rubric, students, index, selections } = state;
+
+        const missing = rubric.criteria.filter(criterion => !selections[criterion._id]?.level);
+        if (missing.length > 0) {
+            this.showAlert(`Select a level for ${missing.map(criterion => this.escapeHtml(criterion.name)).join(', ')}`, 'warning');
+            return;
+        }
+
+        try {
+            this.showLoading();
+            const response = await this.apiCall(
+                `/grades/class/${classId}/assignments/${assignmentId}/rubric/${students[index].student._id}`,
+                'PUT',
+                {
+                    selections: rubric.criteria.map(criterion => ({
+                        criterion: criterion._id,
+                        level: selections[criterion._id].level,
+                        points: selections[criterion._id].points,
+                        comments: selections[criterion._id].comments || undefined
+                    })),
+                    comments: document.getElementById('rubricFeedback').value
+                }
+            );
+
+            students[index].grade = response.data.grade;
+            this.showAlert(`Saved ${this.escapeHtml(students[index].student.firstName)} ${this.escapeHtml(students[index].student.lastName)}: ${response.data.grade.score.points}/${rubric.totalPoints}`, 'success');
+            this.selectRubricStudent(advance && index < students.length - 1 ? index + 1 : index);
+        } catch (error) {
+            this.showAlert('Failed to save rubric grade: ' + error.message, 'danger');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // Curve tool: choose an assignment and a method, preview the effect, then apply or revert
+    async showCurveModal(classId) {
+        try {
+            const response = await this.apiCall(`/classes/${classId}/assignments`);
+            const assignments = response.data.assignments.filter(assignment => assignment.gradedCount > 0);
+
+            if (assignments.length === 0) {
+                this.showAlert('No graded assignments to curve', 'warning');
+                return;
+            }
+
+            const modalHtml = `
+                <div class="modal fade" id="curveModal" tabindex="-1">
+                    <div class="modal-dialog modal-lg">
+                        <div class="modal-content">
+                            <div class="modal-header">
+                                <h5 class="modal-title"><i class="fas fa-chart-line me-2"></i>Curve Grades</h5>
+                                <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                            </div>
+                            <form id="curveForm">
+                                <div class="modal-body">
+                                    <div class="row g-2">
+                                        <div class="col-md-6">
+                                            <label for="curveAssignment" class="form-label">Assignment</label>
+                                            <select class="form-select" id="curveAssignment" name="assignment">
+                                                ${assignments.map(assignment => `
+                                                    <option value="${assignment._id}">${this.escapeHtml(assignment.name)}${assignment.curve ? ` (curved: ${assignment.curve.method})` : ''}</option>
+                                                `).join('')}
+                                            </select>
+                                        </div>
+                                        <div class="col-md-6">
+                                            <label for="curveMethod" class="form-label">Method</label>
+                                            <select class="form-select" id="curveMethod" name="method">
+                                                <option value="flat">Add flat points</option>
+                                                <option value="targetMean">Scale to a target mean</option>
+                                                <option value="sqrt">Square-root curve</option>
+                                                <option value="bell">Bell curve</option>
+                                            </select>
+                                        </div>
+                                        <div class="col-md-4" data-curve-methods="flat">
+                                            <label for="curvePoints" class="form-label">Points to add</label>
+                                            <input type="number" class="form-control" id="curvePoints" name="points" step="0.5" value="5">
+                                        </div>
+                                        <div class="col-md-4" data-curve-methods="targetMean bell">
+                                            <label for="curveTargetMean" class="form-label">Target mean (%)</label>
+                                            <input type="number" class="form-control" id="curveTargetMean" name="targetMean" min="0" max="100" step="0.5" value="75">
+                                        </div>
+                                        <div class="col-md-4" data-curve-methods="bell">
+                                            <label for="curveTargetStdDev" class="form-label">Target std dev</label>
+                                            <input type="number" class="form-control" id="curveTargetStdDev" name="targetStdDev" min="0" max="50" step="0.5" value="10">
+                                        </div>
+                                        <div class="col-12">
+                                            <div class="form-check">
+                                                <input class="form-check-input" type="checkbox" id="curveAllowDecrease" name="allowDecrease">
+                                                <label class="form-check-label" for="curveAllowDecrease">Allow the curve to lower scores</label>
+                                            </div>
+                                        </div>
+                                        <div class="col-12">
+                                            <label for="curveReason" class="form-label">Reason</label>
+                                            <input type="text" class="form-control" id="curveReason" name="reason" maxlength="500" placeholder="Optional, kept in the grade history">
+                                        </div>
+                                    </div>
+                                    <div id="curvePreview" class="mt-3"></div>
+                                </div>
+                                <div class="modal-footer">
+                                    <button type="button" class="btn btn-outline-danger me-auto" id="curveRevertButton">Revert Last Curve</button>
+                                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Close</button>
+                                    <button type="submit" class="btn btn-outline-primary">Preview</button>
+                                    <button type="button" class="btn btn-primary" id="curveApplyButton" disabled>Apply Curve</button>
+                                </div>
+                            </form>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            this.showModal(modalHtml, 'curveModal');
+
+            const form = document.getElementById('curveForm');
+            const applyButton = document.getElementById('curveApplyButton');
+
+            // Show only the inputs the chosen method uses; any change needs a fresh preview
+            const showMethodFields = () => {
+                const method = document.getElementById('curveMethod').value;
+                form.querySelectorAll('[data-curve-methods]').forEach(field => {
+                    field.classList.toggle('d-none', !field.dataset.curveMethods.split(' ').includes(method));
+                });
+            };
+            form.onchange = () => {
+                showMethodFields();
+                applyButton.disabled = true;
+            };
+            showMethodFields();
+
+            form.onsubmit = (e) => {
+                e.preventDefault();
+                this.handleCurve(classId, false);
+            };
+            applyButton.onclick = () => this.handleCurve(classId, true);
+            document.getElementById('curveRevertButton').onclick = () => this.handleRevertCurve(classId);
+        } catch (error) {
+            this.showAlert('Failed to load assignments: ' + error.message, 'danger');
+        }
+    }
+
+    readCurveForm() {
+        // form.elements, since form.method is the form's own method attribute
+        const fields = document.getElementById('curveForm').elements;
+        const method = fields.method.value;
+        const options = { method, allowDecrease: fields.allowDecrease.checked, reason: fields.reason.value || undefined };
+
+        if (method === 'flat') options.points = parseFloat(fields.points.value);
+        if (method === 'targetMean' || method === 'bell') options.targetMean = parseFloat(fields.targetMean.value);
+        if (method === 'bell') options.targetStdDev = parseFloat(fields.targetStdDev.value);
+
+        return { assignmentId: fields.assignment.value, options };
+    }
+
+    async handleCurve(classId, apply) {
+        const { assignmentId, options } = this.readCurveForm();
+
+        if (apply && !confirm('Apply this curve? Raw scores are kept and the curve can be reverted.')) {
+            return;
+        }
+
+        try {
+            this.showLoading();
+            const response = await this.apiCall(
+                `/grades/class/${classId}/assignments/${assignmentId}/curve${apply ? '' : '/preview'}`,
+                'POST',
+                options
+            );
+            const { rows, statistics } = response.data;
+
+            document.getElementById('curvePreview').innerHTML = `
+                <p class="small mb-2">
+                    Mean ${statistics.before.mean ?? '-'}% &rarr; <strong>${statistics.after.mean ?? '-'}%</strong>,
+                    median ${statistics.before.median ?? '-'}% &rarr; <strong>${statistics.after.median ?? '-'}%</strong>
+                    ${apply ? `<span class="badge bg-success ms-2">Applied to ${response.data.updated} grade(s)</span>` : ''}
+                </p>
+                <div class="table-responsive" style="max-height: 300px;">
+                    <table class="table table-sm">
+                        <thead>
+                            <tr>
+                                <th>Student</th>
+                                <th>Before</th>
+                                <th>After</th>
+                                <th>Change</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(row => `
+                                <tr>
+                                    <td>${this.escapeHtml(row.student.lastName)}, ${this.escapeHtml(row.student.firstName)}</td>
+                                    <td>${row.before.points} (${row.before.percentage}%) ${row.before.letterGrade}</td>
+                                    <td>${row.after.points} (${row.after.percentage}%) <strong>${row.after.letterGrade}</strong></td>
+                                    <td class="${row.after.points > row.before.points ? 'text-success' : row.after.points < row.before.points ? 'text-danger' : ''}">
+                                        ${Math.round((row.after.points - row.before.points) * 100) / 100}
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+
+            document.getElementById('curveApplyButton').disabled = apply;
+            if (apply) {
+                this.showAlert(response.message, 'success');
+            }
+        } catch (error) {
+            this.showAlert(`Failed to ${apply ? 'apply' : 'preview'} curve: ` + error.message, 'danger');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async handleRevertCurve(classId) {
+        const { assignmentId, options } = this.readCurveForm();
+
+        if (!confirm('Revert the most recent curve on this assignment?')) {
+            return;
+        }
+
+        try {
+            this.showLoading();
+            const response = await this.apiCall(
+                `/grades/class/${classId}/assignments/${assignmentId}/curve/revert`,
+                'POST',
+                { reason: options.reason }
+            );
+            document.getElementById('curvePreview').innerHTML = '';
+            this.showAlert(response.message, 'success');
+        } catch (error) {
+            this.showAlert('Failed to revert curve: ' + error.message, 'danger');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    async handleFillMissing(classId) {
+        try {
+            this.showLoading();
+            const preview = await this.apiCall(`/grades/class/${classId}/missing/fill`, 'POST', { value: 'zero', dryRun: true });
+            this.hideLoading();
+
+            const missing = preview.data.missing;
+            if (missing.length === 0) {
+                this.showAlert('No past-due assignments are missing a grade', 'info');
+                return;
+            }
+
+            if (!confirm(`Record a zero for ${missing.length} missing past-due grade(s)? Each can still be edited or excused later.`)) {
+                return;
+            }
+
+            this.showLoading();
+            const response = await this.apiCall(`/grades/class/${classId}/missing/fill`, 'POST', { value: 'zero' });
+            this.showAlert(response.message, response.data.failed > 0 ? 'warning' : 'success');
+        } catch (error) {
+            this.showAlert('Failed to fill missing grades: ' + error.message, 'danger');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
     async manageClassStudents(classId) {
         try {
             const response = await this.apiCall(`/classes/${classId}/students`);
@@ -1414,6 +2414,137 @@ class ClassManagementApp {
         }
     }
 
+    async editGradeDetails(id) {
+        try {
+            const [gradeResponse, historyResponse] = await Promise.all([
+                this.apiCall(`/grades/${id}`),
+                this.apiCall(`/grades/${id}/history`)
+            ]);
+            const grade = gradeResponse.data.grade;
+            const history = historyResponse.data.history;
+
+            const modalHtml = `
+                <div class="modal fade" id="editGradeModal" tabindex="-1">
+                    <div class="modal-dialog modal-lg">
+                        <div class="modal-content">
+                            <div class="modal-header">
+                                <h5 class="modal-title">
+                                    <i class="fas fa-edit me-2"></i>${this.escapeHtml(grade.student.fullName)} - ${grade.assignment ? this.escapeHtml(grade.assignment.name) : 'Grade'}
+                                </h5>
+                                <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                            </div>
+                            <form id="editGradeForm">
+                                <div class="modal-body">
+                                    <div class="row">
+                                        <div class="col-md-6 mb-3">
+                                            <label for="editGradePoints" class="form-label">Points Earned${grade.assignment ? ` (of ${grade.assignment.maxPoints})` : ''}</label>
+                                            <input type="number" class="form-control" id="editGradePoints" min="0" step="0.5" value="${grade.score.points}" required>
+                                        </div>
+                                        <div class="col-md-6 mb-3 d-flex align-items-end">
+                                            <div class="form-check">
+                                                <input class="form-check-input" type="checkbox" id="editGradeExcused" ${grade.isExcused ? 'checked' : ''}>
+                                                <label class="form-check-label" for="editGradeExcused">Excused</label>
+                                            </div>
+                                        </div>
+                                    </div>
+                                    <div class="mb-3">
+                                        <label for="editGradeComments" class="form-label">Comments</label>
+                                        <textarea class="form-control" id="editGradeComments" rows="2">${this.escapeHtml(grade.feedback?.comments || '')}</textarea>
+                                    </div>
+                                    <div class="mb-3">
+                                        <label for="editGradeReason" class="form-label">Reason for change</label>
+                                        <input type="text" class="form-control" id="editGradeReason" maxlength="500" placeholder="Optional, kept in the grade history">
+                                    </div>
+                                    <h6 class="mt-4"><i class="fas fa-history me-2"></i>History</h6>
+                                    ${this.renderGradeHistory(history)}
+                                </div>
+                                <div class="modal-footer">
+                                    <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                                    <button type="submit" class="btn btn-primary">Save Changes</button>
+                                </div>
+                            </form>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            this.showModal(modalHtml, 'editGradeModal');
+
+            document.getElementById('editGradeForm').onsubmit = (e) => {
+                e.preventDefault();
+                this.handleUpdateGrade(id);
+            };
+        } catch (error) {
+            this.showAlert('Failed to load grade: ' + error.message, 'danger');
+        }
+    }
+
+    // List grade history entries, newest first
+    renderGradeHistory(history) {
+        if (history.length === 0) {
+            return '<p class="text-muted small">No changes recorded</p>';
+        }
+
+        const fieldLabels = {
+            'score.points': 'Points',
+            'score.adjustedPoints': 'Points after late penalty and curve',
+            'score.curveAdjustment': 'Curve adjustment',
+            'score.percentage': 'Percentage',
+            'score.letterGrade': 'Letter grade',
+            'feedback.comments': 'Comments',
+            'submissionInfo.submittedAt': 'Submitted',
+            'submissionInfo.isLate': 'Late',
+            'submissionInfo.latePenalty': 'Late penalty',
+            isExcused: 'Excused',
+            isExtra: 'Extra credit',
+            'dispute.status': 'Dispute',
+            isDeleted: 'Deleted'
+        };
+        const formatValue = (value) => value === null || value === undefined || value === '' ? '-' : this.escapeHtml(String(value));
+
+        return `
+            <ul class="list-group list-group-flush small">
+                ${history.map(entry => `
+                    <li class="list-group-item px-0">
+                        <div class="d-flex justify-content-between">
+                            <span>
+                                <span class="badge bg-secondary text-capitalize">${entry.action.replace('_', ' ')}</span>
+                                ${entry.changedBy ? `${this.escapeHtml(entry.changedBy.firstName)} ${this.escapeHtml(entry.changedBy.lastName)}` : ''}
+                            </span>
+                            <span class="text-muted">${new Date(entry.createdAt).toLocaleString()}</span>
+                        </div>
+                        ${entry.changes.map(change => `
+                            <div>${fieldLabels[change.field] || change.field}: ${formatValue(change.oldValue)} &rarr; ${formatValue(change.newValue)}</div>
+                        `).join('')}
+                        ${entry.reason ? `<div class="text-muted fst-italic">${this.escapeHtml(entry.reason)}</div>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    async handleUpdateGrade(id) {
+        try {
+            this.showLoading();
+            await this.apiCall(`/grades/${id}`, 'PUT', {
+                score: {
+                    points: parseFloat(document.getElementById('editGradePoints').value)
+                },
+                isExcused: document.getElementById('editGradeExcused').checked,
+                'feedback.comments': document.getElementById('editGradeComments').value,
+                reason: document.getElementById('editGradeReason').value || undefined
+            });
+
+            bootstrap.Modal.getInstance(document.getElementById('editGradeModal')).hide();
+            this.showAlert('Grade updated successfully!', 'success');
+            this.loadGrades();
+        } catch (error) {
+            this.showAlert('Failed to update grade: ' + error.message, 'danger');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
     async deleteGrade(id) {
         try {
             this.showLoading();
@@ -1427,6 +2558,132 @@ class ClassManagementApp {
         }
     }
 
+    // Settings
+    showSettings() {
+        const preferences = this.currentUser?.preferences || {};
+        const gradeScale = preferences.gradeScale || 'percentage';
+        const theme = preferences.theme || 'light';
+        const notifications = preferences.notifications || {};
+        const atRisk = preferences.atRisk || {};
+
+        // At-risk thresholds: [field, label, default shown as the placeholder]
+        const atRiskFields = [
+            ['minPercentage', 'Course grade below (%)', 70],
+            ['maxMissing', 'Missing assignments', 3],
+            ['maxLate', 'Late submissions', 3],
+            ['minAttendance', 'Attendance below (%)', 80],
+            ['declineDrop', 'Score drop (points)', 10]
+        ];
+
+        const modalHtml = `
+            <div class="modal fade" id="settingsModal" tabindex="-1">
+                <div class="modal-dialog">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title">Settings</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                        </div>
+                        <form id="settingsForm">
+                            <div class="modal-body">
+                                <div class="mb-3">
+                                    <label for="settingsGradeScale" class="form-label">Show grades as</label>
+                                    <select class="form-select" id="settingsGradeScale" name="gradeScale">
+                                        <option value="percentage" ${gradeScale === 'percentage' ? 'selected' : ''}>Percentage</option>
+                                        <option value="letter" ${gradeScale === 'letter' ? 'selected' : ''}>Letter grade</option>
+                                        <option value="points" ${gradeScale === 'points' ? 'selected' : ''}>Points</option>
+                                    </select>
+                                </div>
+                                <div class="mb-3">
+                                    <label for="settingsTheme" class="form-label">Theme</label>
+                                    <select class="form-select" id="settingsTheme" name="theme">
+                                        <option value="light" ${theme === 'light' ? 'selected' : ''}>Light</option>
+                                        <option value="dark" ${theme === 'dark' ? 'selected' : ''}>Dark</option>
+                                        <option value="auto" ${theme === 'auto' ? 'selected' : ''}>Auto</option>
+                                    </select>
+                                </div>
+                                <label class="form-label">Event reminders</label>
+                                <div class="form-check">
+                                    <input class="form-check-input" type="checkbox" id="settingsNotifyBrowser" name="notifyBrowser" ${notifications.browser !== false ? 'checked' : ''}>
+                                    <label class="form-check-label" for="settingsNotifyBrowser">In-app notifications</label>
+                                </div>
+                                <div class="form-check">
+                                    <input class="form-check-input" type="checkbox" id="settingsNotifyEmail" name="notifyEmail" ${notifications.email !== false ? 'checked' : ''}>
+                                    <label class="form-check-label" for="settingsNotifyEmail">Email</label>
+                                </div>
+                                <div class="form-check">
+                                    <input class="form-check-input" type="checkbox" id="settingsNotifySms" name="notifySms" ${notifications.sms ? 'checked' : ''}>
+                                    <label class="form-check-label" for="settingsNotifySms">Text message (uses the phone number on your profile)</label>
+                                </div>
+                                <label class="form-label mt-3">Flag students at risk when</label>
+                                <div class="row g-2">
+                                    ${atRiskFields.map(([field, label, placeholder]) => `
+                                        <div class="col-6">
+                                            <label for="settingsAtRisk-${field}" class="form-label small mb-0">${label}</label>
+                                            <input type="number" class="form-control form-control-sm" id="settingsAtRisk-${field}" name="atRisk.${field}"
+                                                min="0" step="any" placeholder="${placeholder}" value="${atRisk[field] ?? ''}">
+                                        </div>
+                                    `).join('')}
+                                </div>
+                            </div>
+                            <div class="modal-footer">
+                                <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                                <button type="submit" class="btn btn-primary">Save</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.showModal(modalHtml, 'settingsModal');
+
+        document.getElementById('settingsForm').onsubmit = (e) => {
+            e.preventDefault();
+            this.handleSaveSettings(new FormData(e.target));
+        };
+    }
+
+    async handleSaveSettings(formData) {
+        // Blank thresholds fall back to the report's defaults
+        const atRisk = {};
+        ['minPercentage', 'maxMissing', 'maxLate', 'minAttendance', 'declineDrop'].forEach(field => {
+            const value = formData.get(`atRisk.${field}`);
+            if (value !== null && value !== '') atRisk[field] = parseFloat(value);
+        });
+
+        try {
+            this.showLoading();
+            const response = await this.apiCall('/professors/preferences', 'PUT', {
+                atRisk,
+                gradeScale: formData.get('gradeScale'),
+                theme: formData.get('theme'),
+                notifications: {
+                    browser: formData.has('notifyBrowser'),
+                    email: formData.has('notifyEmail'),
+                    sms: formData.has('notifySms')
+                }
+            });
+
+            this.currentUser.preferences = response.data.preferences;
+            bootstrap.Modal.getInstance(document.getElementById('settingsModal')).hide();
+            this.showAlert('Settings saved', 'success');
+
+            // Re-check at-risk students against the new thresholds
+            if (!document.getElementById('dashboardContent').classList.contains('d-none')) {
+                this.loadDashboardData();
+            }
+
+            // Re-render grades so the new display preference takes effect
+            if (!document.getElementById('gradesContent').classList.contains('d-none')) {
+                this.loadGrades();
+            }
+        } catch (error) {
+            this.showAlert('Failed to save settings: ' + error.message, 'danger');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
     // Utility method to show modals
     showModal(modalHtml, modalId) {
         // Remove existing modal
@@ -1483,6 +2740,14 @@ function testLogin() {
     }
 }
 
+function forgotPassword() {
+    app.handleForgotPassword();
+}
+
+function cancelResetPassword() {
+    app.closeResetPassword();
+}
+
 function showDashboard() {
     app.showDashboard();
 }
@@ -1508,13 +2773,31 @@ function showProfile() {
 }
 
 function showSettings() {
-    console.log('Show settings');
+    app.showSettings();
 }
 
 function logout() {
     app.logout();
 }
 
+function loadNotifications() {
+    app.loadNotifications();
+}
+
+function markNotificationRead(id) {
+    app.markNotificationRead(id);
+}
+
+function markAllNotificationsRead() {
+    app.markAllNotificationsRead();
+}
+
+function logoutAllDevices() {
+    if (confirm('Sign out of every device, including this one?')) {
+        app.logoutAllDevices();
+    }
+}
+
 function testLogin() {
     if (!app) {
         console.error('App not initialized yet');
@@ -1556,6 +2839,11 @@ async function showAddGradeModal() {
                 `<option value="${student._id}">${student.fullName} (${student.studentId})</option>`
             ).join('');
 
+        // Assignments depend on the chosen class
+        classSelect.onchange = () => app.loadAssignmentsForGrade(classSelect.value);
+        document.getElementById('gradeAssignment').onchange = (e) => app.toggleNewAssignmentFields(e.target.value === 'new');
+        app.loadAssignmentsForGrade('');
+
         const modal = new bootstrap.Modal(document.getElementById('addGradeModal'));
         modal.show();
     } catch (error) {
@@ -1606,6 +2894,41 @@ function viewGrades(id) {
     app.viewClassGrades(id);
 }
 
+function curveGrades(classId) {
+    // Open the curve tool for a class
+    app.showCurveModal(classId);
+}
+
+function fillMissingGrades(classId) {
+    // Record zeros for past-due work with no grade
+    app.handleFillMissing(classId);
+}
+
+function gradeWithRubric(classId, assignmentId) {
+    // Open the rubric grading view for an assignment
+    app.showRubricGrading(classId, assignmentId);
+}
+
+function selectRubricStudent(index) {
+    app.selectRubricStudent(index);
+}
+
+function selectRubricLevel(criterionId, levelId) {
+    app.selectRubricLevel(criterionId, levelId);
+}
+
+function setRubricPoints(criterionId, value) {
+    app.setRubricPoints(criterionId, value);
+}
+
+function setRubricComments(criterionId, value) {
+    app.setRubricComments(criterionId, value);
+}
+
+function saveRubricGrade(advance) {
+    app.saveRubricGrade(advance);
+}
+
 function viewStudent(id) {
     // Show detailed student information
     app.viewStudentDetails(id);
@@ -1,9 +1,13 @@
 const jwt = require('jsonwebtoken');
 const Professor = require('../models/Professor');
+const Student = require('../models/Student');
+const sessionService = require('../services/sessionService');
 
-const auth = async (req, res, next) => {
+// Build professor auth middleware reading the token with getToken; tokenType is the type claim
+// the token must carry (access tokens have none), so other kinds of token are refused
+const professorAuth = (getToken, tokenType) => async (req, res, next) => {
     try {
-        const token = req.header('Authorization')?.replace('Bearer ', '');
+        const token = getToken(req);
         
         if (!token) {
             return res.status(401).json({
@@ -13,6 +17,14 @@ const auth = async (req, res, next) => {
         }
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        if (decoded.type !== tokenType) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid token.'
+            });
+        }
+
         const professor = await Professor.findById(decoded.id);
 
         if (!professor) {
@@ -29,8 +41,18 @@ const auth = async (req, res, next) => {
             });
         }
 
+        // Reject tokens whose session was revoked (logout, password change, deactivation)
+        const session = await sessionService.findActiveSession(decoded.sid, professor._id);
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has ended. Please login again.'
+            });
+        }
+
         req.professor = professor;
         req.professorId = professor._id;
+        req.sessionId = session._id;
         next();
     } catch (error) {
         console.error('Auth middleware error:', error);
@@ -56,6 +78,12 @@ const auth = async (req, res, next) => {
     }
 };
 
+const auth = professorAuth(req => req.header('Authorization')?.replace('Bearer ', ''));
+
+// Auth for Server-Sent Event streams - EventSource can't set headers, so the stream takes a
+// short-lived stream ticket as ?ticket= rather than an access token, which would end up in access logs
+const streamAuth = professorAuth(req => req.query.ticket, 'stream');
+
 // Optional auth middleware - doesn't require authentication but sets user if token is provided
 const optionalAuth = async (req, res, next) => {
     try {
@@ -64,10 +92,12 @@ const optionalAuth = async (req, res, next) => {
         if (token) {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
             const professor = await Professor.findById(decoded.id);
+            const session = professor && await sessionService.findActiveSession(decoded.sid, professor._id);
             
-            if (professor && professor.isActive) {
+            if (!decoded.type && professor && professor.isActive && session) {
                 req.professor = professor;
                 req.professorId = professor._id;
+                req.sessionId = session._id;
             }
         }
         
@@ -78,4 +108,61 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
-module.exports = { auth, optionalAuth };
+// Student portal auth middleware - accepts only tokens issued by the portal login
+const studentAuth = async (req, res, next) => {
+    try {
+        const token = req.header('Authorization')?.replace('Bearer ', '');
+
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                message: 'Access denied. No token provided.'
+            });
+        }
+
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        if (decoded.type !== 'student') {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid token.'
+            });
+        }
+
+        const student = await Student.findById(decoded.id);
+
+        if (!student || !student.isActive || !student.portal.isEnabled) {
+            return res.status(401).json({
+                success: false,
+                message: 'Portal account is not active. Please contact your professor.'
+            });
+        }
+
+        req.student = student;
+        req.studentId = student._id;
+        next();
+    } catch (error) {
+        console.error('Student auth middleware error:', error);
+
+        if (error.name === 'JsonWebTokenError') {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid token.'
+            });
+        }
+
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({
+                success: false,
+                message: 'Token expired. Please login again.'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Authentication error'
+        });
+    }
+};
+
+module.exports = { auth, streamAuth, optionalAuth, studentAuth };
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const Class = require('../models/Class');
+const Professor = require('../models/Professor');
+
+// Permissions granted by each role on a class; only the owner and department admins can delete it or manage staff
+const ROLE_PERMISSIONS = {
+    owner: ['class:read', 'class:write', 'class:delete', 'roster:read', 'roster:write', 'grades:read', 'grades:write', 'members:manage'],
+    admin: ['class:read', 'class:write', 'class:delete', 'roster:read', 'roster:write', 'grades:read', 'grades:write', 'members:manage'],
+    instructor: ['class:read', 'class:write', 'roster:read', 'roster:write', 'grades:read', 'grades:write'],
+    teaching_assistant: ['class:read', 'roster:read', 'grades:read', 'grades:write'],
+    auditor: ['class:read', 'roster:read', 'grades:read']
+};
+
+// Class membership roles that can be assigned to other staff
+const MEMBER_ROLES = ['instructor', 'teaching_assistant', 'auditor'];
+
+const hasPermission = (role, permission) => {
+    return !!role && (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Work out which role a professor holds on a class: owner, member, or department admin
+const getClassRole = async (classDoc, professor) => {
+    const ownerId = idOf(classDoc.professor);
+
+    if (ownerId && ownerId.toString() === professor._id.toString()) {
+        return 'owner';
+    }
+
+    const membership = (classDoc.members || []).find(
+        member => idOf(member.user) && idOf(member.user).toString() === professor._id.toString()
+    );
+    if (membership) {
+        return membership.role;
+    }
+
+    if (professor.role === 'admin') {
+        const owner = classDoc.professor && classDoc.professor.department
+            ? classDoc.professor
+            : await Professor.findById(ownerId).select('department');
+        if (owner && owner.department === professor.department) {
+            return 'admin';
+        }
+    }
+
+    return null;
+};
+
+// Find every class id the professor can act on with the given permission
+const findAccessibleClassIds = async (professor, permission, extraQuery = {}) => {
+    const roles = Object.keys(ROLE_PERMISSIONS).filter(role => hasPermission(role, permission));
+    const memberRoles = roles.filter(role => MEMBER_ROLES.includes(role));
+
+    const or = [{ professor: professor._id }];
+
+    if (memberRoles.length > 0) {
+        or.push({ members: { $elemMatch: { user: professor._id, role: { $in: memberRoles } } } });
+    }
+
+    if (professor.role === 'admin' && roles.includes('admin')) {
+        const departmentProfessors = await Professor.find({ department: professor.department }).select('_id');
+        or.push({ professor: { $in: departmentProfessors.map(p => p._id) } });
+    }
+
+    const classes = await Class.find({ ...extraQuery, $or: or }).select('_id');
+    return classes.map(c => c._id);
+};
+
+// Default lookup for the class a request is about
+const defaultClassId = (req) => req.params.classId || req.params.id || req.body.class;
+
+// Require a permission on the class referenced by the request.
+// Loads the class onto req.classDoc and the caller's role onto req.classRole.
+const authorize = (permission, getClassId = defaultClassId) => {
+    return async (req, res, next) => {
+        try {
+            const classId = getClassId(req);
+
+            if (!classId || !mongoose.Types.ObjectId.isValid(classId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Valid class ID is required'
+                });
+            }
+
+            const classDoc = await Class.findById(classId);
+            const role = classDoc ? await getClassRole(classDoc, req.professor) : null;
+
+            // Classes the caller has no role on are reported as missing rather than forbidden
+            if (!classDoc || !role) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Class not found'
+                });
+            }
+
+            if (!hasPermission(role, permission)) {
+                return res.status(403).json({
+                    success: false,
+                    message: `Your role on this class does not allow ${permission}`
+                });
+            }
+
+            req.classDoc = classDoc;
+            req.classRole = role;
+            next();
+        } catch (error) {
+            console.error('Authorization middleware error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Authorization error'
+            });
+        }
+    };
+};
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    MEMBER_ROLES,
+    hasPermission,
+    getClassRole,
+    findAccessibleClassIds,
+    authorize
+};
@@ -13,6 +13,30 @@ const checkValidation = (req, res, next) => {
     next();
 };
 
+// At-risk report thresholds, read from the request body or query under a prefix
+const atRiskThresholdRules = (location, prefix = '') => [
+    location(`${prefix}minPercentage`)
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Minimum percentage must be between 0 and 100'),
+    location(`${prefix}maxMissing`)
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Missing assignment threshold must be at least 1'),
+    location(`${prefix}maxLate`)
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Late submission threshold must be at least 1'),
+    location(`${prefix}minAttendance`)
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Minimum attendance must be between 0 and 100'),
+    location(`${prefix}declineDrop`)
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Decline threshold must be between 0 and 100')
+];
+
 // Professor validation rules
 const professorValidation = {
     register: [
@@ -52,6 +76,33 @@ const professorValidation = {
             .withMessage('Password is required'),
         checkValidation
     ],
+
+    forgotPassword: [
+        body('email')
+            .isEmail()
+            .normalizeEmail()
+            .withMessage('Please provide a valid email'),
+        checkValidation
+    ],
+
+    refresh: [
+        body('refreshToken')
+            .isHexadecimal()
+            .isLength({ min: 96, max: 96 })
+            .withMessage('A valid refresh token is required'),
+        checkValidation
+    ],
+
+    resetPassword: [
+        body('token')
+            .isHexadecimal()
+            .isLength({ min: 64, max: 64 })
+            .withMessage('A valid reset token is required'),
+        body('password')
+            .isLength({ min: 6 })
+            .withMessage('Password must be at least 6 characters long'),
+        checkValidation
+    ],
     
     update: [
         body('firstName')
@@ -64,11 +115,6 @@ const professorValidation = {
             .trim()
             .isLength({ min: 2, max: 50 })
             .withMessage('Last name must be between 2 and 50 characters'),
-        body('department')
-            .optional()
-            .trim()
-            .isLength({ min: 2, max: 100 })
-            .withMessage('Department must be between 2 and 100 characters'),
         body('phoneNumber')
             .optional()
             .matches(/^\+?[\d\s\-\(\)]+$/)
@@ -78,6 +124,20 @@ const professorValidation = {
             .isLength({ max: 500 })
             .withMessage('Bio cannot exceed 500 characters'),
         checkValidation
+    ],
+
+    preferences: [
+        ...atRiskThresholdRules(body, 'atRisk.'),
+        checkValidation
+    ],
+
+    atRisk: [
+        query('classId')
+            .optional()
+            .isMongoId()
+            .withMessage('Invalid class ID format'),
+        ...atRiskThresholdRules(query),
+        checkValidation
     ]
 };
 
@@ -139,6 +199,70 @@ const studentValidation = {
     ]
 };
 
+// Student portal validation rules
+const portalValidation = {
+    login: [
+        body('studentId')
+            .trim()
+            .isLength({ min: 1, max: 20 })
+            .withMessage('Student ID is required'),
+        body('password')
+            .notEmpty()
+            .withMessage('Password is required'),
+        checkValidation
+    ],
+
+    activate: [
+        body('token')
+            .isHexadecimal()
+            .isLength({ min: 64, max: 64 })
+            .withMessage('A valid activation token is required'),
+        body('password')
+            .isLength({ min: 6 })
+            .withMessage('Password must be at least 6 characters long'),
+        checkValidation
+    ],
+
+    rsvp: [
+        body('status')
+            .isIn(['accepted', 'declined', 'tentative'])
+            .withMessage('Status must be accepted, declined, or tentative'),
+        checkValidation
+    ],
+
+    dispute: [
+        body('reason')
+            .trim()
+            .isLength({ min: 10, max: 1000 })
+            .withMessage('Please explain the dispute in 10 to 1000 characters'),
+        checkValidation
+    ]
+};
+
+// Late policy rules for a class (syllabus.latePolicy) or an assignment (latePolicy)
+const latePolicyRules = (prefix) => [
+    body(`${prefix}.graceMinutes`)
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Grace period must be a whole number of minutes, at least 0'),
+    body(`${prefix}.percentPerDay`)
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Penalty per day must be between 0 and 100 percent'),
+    body(`${prefix}.flatPercent`)
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Flat penalty must be between 0 and 100 percent'),
+    body(`${prefix}.maxPercent`)
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Maximum penalty must be between 0 and 100 percent'),
+    body(`${prefix}.cutoffDays`)
+        .optional({ nullable: true })
+        .isFloat({ min: 0 })
+        .withMessage('Cutoff must be at least 0 days')
+];
+
 // Class validation rules
 const classValidation = {
     create: [
@@ -169,32 +293,496 @@ const classValidation = {
             .optional()
             .isInt({ min: 1 })
             .withMessage('Max enrollment must be at least 1'),
+        body('maxWaitlist')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Max waitlist cannot be negative'),
+        ...latePolicyRules('syllabus.latePolicy'),
+        body('allowConflicts')
+            .optional()
+            .isBoolean()
+            .withMessage('allowConflicts must be true or false')
+            .toBoolean(),
+        checkValidation
+    ],
+
+    update: [
+        body('schedule.startTime')
+            .optional()
+            .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+            .withMessage('Start time must be in HH:MM format'),
+        body('schedule.endTime')
+            .optional()
+            .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+            .withMessage('End time must be in HH:MM format'),
+        body('maxEnrollment')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Max enrollment must be at least 1'),
+        body('maxWaitlist')
+            .optional()
+            .isInt({ min: 0 })
+            .withMessage('Max waitlist cannot be negative'),
+        ...latePolicyRules('syllabus.latePolicy'),
+        body('allowConflicts')
+            .optional()
+            .isBoolean()
+            .withMessage('allowConflicts must be true or false')
+            .toBoolean(),
+        checkValidation
+    ],
+
+    addMember: [
+        body('email')
+            .isEmail()
+            .normalizeEmail()
+            .withMessage('Please provide a valid email'),
+        body('role')
+            .isIn(['instructor', 'teaching_assistant', 'auditor'])
+            .withMessage('Role must be instructor, teaching_assistant, or auditor'),
+        checkValidation
+    ],
+
+    bulkEnroll: [
+        body('mode')
+            .optional()
+            .isIn(['add', 'sync'])
+            .withMessage('Mode must be add or sync'),
+        body('dryRun')
+            .optional()
+            .isBoolean()
+            .withMessage('dryRun must be true or false')
+            .toBoolean(),
+        checkValidation
+    ],
+
+    updateMember: [
+        body('role')
+            .isIn(['instructor', 'teaching_assistant', 'auditor'])
+            .withMessage('Role must be instructor, teaching_assistant, or auditor'),
+        checkValidation
+    ],
+
+    generateSchedule: [
+        body('startDate')
+            .optional()
+            .isISO8601()
+            .withMessage('Start date must be a valid date'),
+        body('endDate')
+            .optional()
+            .isISO8601()
+            .withMessage('End date must be a valid date'),
+        checkValidation
+    ],
+
+    setGradeScale: [
+        body('gradeScaleId')
+            .optional({ nullable: true })
+            .isMongoId()
+            .withMessage('Valid grade scale ID is required'),
         checkValidation
     ]
 };
 
+// Grade scale validation rules
+const gradeScaleValidation = {
+    create: [
+        body('name')
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Scale name must be between 1 and 100 characters'),
+        body('scaleType')
+            .optional()
+            .isIn(['letter', 'pass_fail', 'curved'])
+            .withMessage('Scale type must be letter, pass_fail, or curved'),
+        body('cutoffs')
+            .isArray({ min: 2 })
+            .withMessage('A grade scale needs at least two cutoffs'),
+        body('cutoffs.*.letter')
+            .isIn(['A+', 'A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D+', 'D', 'D-', 'F', 'P', 'NP', 'S', 'U', 'I', 'W'])
+            .withMessage('Invalid letter grade'),
+        body('cutoffs.*.min')
+            .isFloat({ min: 0, max: 100 })
+            .withMessage('Cutoff minimum must be between 0 and 100'),
+        checkValidation
+    ],
+
+    update: [
+        body('name')
+            .optional()
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Scale name must be between 1 and 100 characters'),
+        body('scaleType')
+            .optional()
+            .isIn(['letter', 'pass_fail', 'curved'])
+            .withMessage('Scale type must be letter, pass_fail, or curved'),
+        body('cutoffs')
+            .optional()
+            .isArray({ min: 2 })
+            .withMessage('A grade scale needs at least two cutoffs'),
+        body('cutoffs.*.letter')
+            .isIn(['A+', 'A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D+', 'D', 'D-', 'F', 'P', 'NP', 'S', 'U', 'I', 'W'])
+            .withMessage('Invalid letter grade'),
+        body('cutoffs.*.min')
+            .isFloat({ min: 0, max: 100 })
+            .withMessage('Cutoff minimum must be between 0 and 100'),
+        checkValidation
+    ]
+};
+
+// Rubric validation rules
+const rubricValidation = {
+    create: [
+        body('name')
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Rubric name must be between 1 and 100 characters'),
+        body('criteria')
+            .isArray({ min: 1 })
+            .withMessage('A rubric needs at least one criterion'),
+        body('criteria.*.name')
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Criterion name must be between 1 and 100 characters'),
+        body('criteria.*.levels')
+            .isArray({ min: 1 })
+            .withMessage('Each criterion needs at least one level'),
+        body('criteria.*.levels.*.name')
+            .trim()
+            .isLength({ min: 1, max: 50 })
+            .withMessage('Level name must be between 1 and 50 characters'),
+        body('criteria.*.levels.*.minPoints')
+            .isFloat({ min: 0 })
+            .withMessage('Level minimum points must be at least 0'),
+        body('criteria.*.levels.*.maxPoints')
+            .isFloat({ min: 0 })
+            .withMessage('Level maximum points must be at least 0'),
+        checkValidation
+    ],
+
+    update: [
+        body('name')
+            .optional()
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Rubric name must be between 1 and 100 characters'),
+        body('criteria')
+            .optional()
+            .isArray({ min: 1 })
+            .withMessage('A rubric needs at least one criterion'),
+        body('criteria.*.name')
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Criterion name must be between 1 and 100 characters'),
+        body('criteria.*.levels')
+            .isArray({ min: 1 })
+            .withMessage('Each criterion needs at least one level'),
+        body('criteria.*.levels.*.name')
+            .trim()
+            .isLength({ min: 1, max: 50 })
+            .withMessage('Level name must be between 1 and 50 characters'),
+        body('criteria.*.levels.*.minPoints')
+            .isFloat({ min: 0 })
+            .withMessage('Level minimum points must be at least 0'),
+        body('criteria.*.levels.*.maxPoints')
+            .isFloat({ min: 0 })
+            .withMessage('Level maximum points must be at least 0'),
+        checkValidation
+    ]
+};
+
+// Rules for a single grade, shared by create and every item of a bulk request
+const gradeRules = () => [
+    body('student')
+        .isMongoId()
+        .withMessage('Valid student ID is required'),
+    body('class')
+        .isMongoId()
+        .withMessage('Valid class ID is required'),
+    body('assignment')
+        .isMongoId()
+        .withMessage('Valid assignment ID is required'),
+    body('score.points')
+        .isFloat({ min: 0 })
+        .withMessage('Points scored must be at least 0')
+];
+
+// Optional explanation recorded in the grade history
+const changeReason = () => body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters');
+
+// Check one item of a bulk request against the single-grade rules; returns the error messages
+const validateGradeItem = async (item) => {
+    const req = { body: item };
+    for (const rule of gradeRules()) {
+        await rule.run(req);
+    }
+    return validationResult(req).array().map(error => error.msg);
+};
+
 // Grade validation rules
 const gradeValidation = {
     create: [
-        body('student')
+        ...gradeRules(),
+        checkValidation
+    ],
+
+    update: [
+        body('score.points')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Points scored must be at least 0'),
+        changeReason(),
+        checkValidation
+    ],
+
+    withReason: [
+        changeReason(),
+        checkValidation
+    ],
+
+    bulk: [
+        body('grades')
+            .isArray({ min: 1, max: 500 })
+            .withMessage('Grades must be an array of 1 to 500 grades'),
+        body('atomic')
+            .optional()
+            .isBoolean()
+            .withMessage('atomic must be true or false')
+            .toBoolean(),
+        checkValidation
+    ],
+
+    validateItem: validateGradeItem,
+
+    export: [
+        query('format')
+            .optional()
+            .isIn(['xlsx', 'csv'])
+            .withMessage('Format must be xlsx or csv'),
+        query('type')
+            .optional()
+            .isIn(['gradebook', 'registrar'])
+            .withMessage('Type must be gradebook or registrar'),
+        checkValidation
+    ],
+
+    rubricScore: [
+        body('selections')
+            .isArray({ min: 1 })
+            .withMessage('Select a level for each rubric criterion'),
+        body('selections.*.criterion')
             .isMongoId()
-            .withMessage('Valid student ID is required'),
-        body('class')
+            .withMessage('Valid criterion ID is required'),
+        body('selections.*.level')
             .isMongoId()
-            .withMessage('Valid class ID is required'),
-        body('assignment.name')
+            .withMessage('Valid level ID is required'),
+        body('selections.*.points')
+            .optional({ nullable: true, checkFalsy: true })
+            .isFloat({ min: 0 })
+            .withMessage('Criterion points must be at least 0'),
+        body('selections.*.comments')
+            .optional()
+            .isLength({ max: 500 })
+            .withMessage('Criterion comments cannot exceed 500 characters'),
+        body('comments')
+            .optional()
+            .isLength({ max: 1000 })
+            .withMessage('Comments cannot exceed 1000 characters'),
+        changeReason(),
+        checkValidation
+    ],
+
+    summary: [
+        query('missingAsZero')
+            .optional()
+            .isBoolean()
+            .withMessage('missingAsZero must be true or false')
+            .toBoolean(),
+        checkValidation
+    ],
+
+    fillMissing: [
+        body('value')
+            .isIn(['zero', 'excused'])
+            .withMessage('Value must be zero or excused'),
+        body('assignmentIds')
+            .optional()
+            .isArray({ min: 1 })
+            .withMessage('assignmentIds must be a non-empty array'),
+        body('assignmentIds.*')
+            .isMongoId()
+            .withMessage('Invalid assignment ID format'),
+        body('studentIds')
+            .optional()
+            .isArray({ min: 1 })
+            .withMessage('studentIds must be a non-empty array'),
+        body('studentIds.*')
+            .isMongoId()
+            .withMessage('Invalid student ID format'),
+        body('includeNotDue')
+            .optional()
+            .isBoolean()
+            .withMessage('includeNotDue must be true or false')
+            .toBoolean(),
+        body('dryRun')
+            .optional()
+            .isBoolean()
+            .withMessage('dryRun must be true or false')
+            .toBoolean(),
+        changeReason(),
+        checkValidation
+    ],
+
+    curve: [
+        body('method')
+            .isIn(['flat', 'targetMean', 'sqrt', 'bell'])
+            .withMessage('Curve method must be flat, targetMean, sqrt or bell'),
+        body('points')
+            .if(body('method').equals('flat'))
+            .isFloat()
+            .withMessage('Points to add are required for a flat curve'),
+        body('targetMean')
+            .if(body('method').isIn(['targetMean', 'bell']))
+            .isFloat({ min: 0, max: 100 })
+            .withMessage('Target mean must be between 0 and 100'),
+        body('targetStdDev')
+            .if(body('method').equals('bell'))
+            .isFloat({ min: 0, max: 50 })
+            .withMessage('Target standard deviation must be between 0 and 50'),
+        body('allowDecrease')
+            .optional()
+            .isBoolean()
+            .withMessage('allowDecrease must be true or false')
+            .toBoolean(),
+        changeReason(),
+        checkValidation
+    ],
+
+    resolveDispute: [
+        body('status')
+            .isIn(['accepted', 'rejected'])
+            .withMessage('Status must be accepted or rejected'),
+        body('response')
+            .optional()
+            .trim()
+            .isLength({ max: 1000 })
+            .withMessage('Response cannot exceed 1000 characters'),
+        body('points')
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage('Points must be at least 0'),
+        checkValidation
+    ]
+};
+
+// Assignment validation rules
+const assignmentValidation = {
+    create: [
+        body('name')
             .trim()
             .isLength({ min: 1, max: 100 })
             .withMessage('Assignment name must be between 1 and 100 characters'),
-        body('assignment.type')
+        body('type')
             .isIn(['homework', 'quiz', 'exam', 'project', 'participation', 'attendance', 'midterm', 'final'])
             .withMessage('Invalid assignment type'),
-        body('assignment.maxPoints')
+        body('maxPoints')
             .isFloat({ min: 0 })
             .withMessage('Maximum points must be at least 0'),
-        body('score.points')
+        body('weight')
+            .optional()
+            .isFloat({ min: 0, max: 100 })
+            .withMessage('Weight must be between 0 and 100'),
+        body('dueDate')
+            .optional({ checkFalsy: true })
+            .isISO8601()
+            .withMessage('Due date must be a valid date'),
+        ...latePolicyRules('latePolicy'),
+        body('rubric')
+            .optional({ nullable: true, checkFalsy: true })
+            .isMongoId()
+            .withMessage('Valid rubric ID is required'),
+        checkValidation
+    ],
+
+    update: [
+        body('name')
+            .optional()
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Assignment name must be between 1 and 100 characters'),
+        body('type')
+            .optional()
+            .isIn(['homework', 'quiz', 'exam', 'project', 'participation', 'attendance', 'midterm', 'final'])
+            .withMessage('Invalid assignment type'),
+        body('maxPoints')
+            .optional()
             .isFloat({ min: 0 })
-            .withMessage('Points scored must be at least 0'),
+            .withMessage('Maximum points must be at least 0'),
+        body('weight')
+            .optional()
+            .isFloat({ min: 0, max: 100 })
+            .withMessage('Weight must be between 0 and 100'),
+        body('dueDate')
+            .optional({ nullable: true, checkFalsy: true })
+            .isISO8601()
+            .withMessage('Due date must be a valid date'),
+        ...latePolicyRules('latePolicy'),
+        body('rubric')
+            .optional({ nullable: true, checkFalsy: true })
+            .isMongoId()
+            .withMessage('Valid rubric ID is required'),
+        checkValidation
+    ]
+};
+
+// Attendance validation rules
+const attendanceValidation = {
+    rollCall: [
+        body('eventId')
+            .optional()
+            .isMongoId()
+            .withMessage('Valid event ID is required'),
+        body('sessionDate')
+            .optional()
+            .isISO8601()
+            .withMessage('Session date must be a valid date'),
+        body('defaultStatus')
+            .optional()
+            .isIn(['present', 'absent', 'late', 'excused'])
+            .withMessage('Default status must be present, absent, late, or excused'),
+        body('records')
+            .optional()
+            .isArray()
+            .withMessage('Records must be an array'),
+        body('records.*.student')
+            .isMongoId()
+            .withMessage('Valid student ID is required'),
+        body('records.*.status')
+            .isIn(['present', 'absent', 'late', 'excused'])
+            .withMessage('Status must be present, absent, late, or excused'),
+        checkValidation
+    ],
+
+    update: [
+        body('topic')
+            .optional()
+            .isLength({ max: 200 })
+            .withMessage('Topic cannot exceed 200 characters'),
+        body('records')
+            .optional()
+            .isArray()
+            .withMessage('Records must be an array'),
+        body('records.*.student')
+            .isMongoId()
+            .withMessage('Valid student ID is required'),
+        body('records.*.status')
+            .isIn(['present', 'absent', 'late', 'excused'])
+            .withMessage('Status must be present, absent, late, or excused'),
         checkValidation
     ]
 };
@@ -223,6 +811,74 @@ const calendarValidation = {
             .optional()
             .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
             .withMessage('Color must be a valid hex color'),
+        body('reminders.*.type')
+            .optional()
+            .isIn(['email', 'notification', 'sms'])
+            .withMessage('Reminder type must be email, notification, or sms'),
+        body('reminders.*.minutesBefore')
+            .optional()
+            .isInt({ min: 0, max: 20160 })
+            .withMessage('Reminders must be between 0 minutes and 14 days before the event'),
+        body('allowConflicts')
+            .optional()
+            .isBoolean()
+            .withMessage('allowConflicts must be true or false')
+            .toBoolean(),
+        checkValidation
+    ],
+
+    update: [
+        body('scope')
+            .optional()
+            .isIn(['this', 'following', 'all'])
+            .withMessage('Scope must be this, following, or all'),
+        body('occurrenceStart')
+            .if(body('scope').isIn(['this', 'following']))
+            .isISO8601()
+            .withMessage('occurrenceStart is required when editing part of a recurring event'),
+        body('startDateTime')
+            .optional()
+            .isISO8601()
+            .withMessage('Valid start date and time is required'),
+        body('endDateTime')
+            .optional()
+            .isISO8601()
+            .withMessage('Valid end date and time is required'),
+        body('reminders.*.type')
+            .optional()
+            .isIn(['email', 'notification', 'sms'])
+            .withMessage('Reminder type must be email, notification, or sms'),
+        body('reminders.*.minutesBefore')
+            .optional()
+            .isInt({ min: 0, max: 20160 })
+            .withMessage('Reminders must be between 0 minutes and 14 days before the event'),
+        body('allowConflicts')
+            .optional()
+            .isBoolean()
+            .withMessage('allowConflicts must be true or false')
+            .toBoolean(),
+        checkValidation
+    ],
+
+    remove: [
+        query('scope')
+            .optional()
+            .isIn(['this', 'following', 'all'])
+            .withMessage('Scope must be this, following, or all'),
+        query('occurrenceStart')
+            .if(query('scope').isIn(['this', 'following']))
+            .isISO8601()
+            .withMessage('occurrenceStart is required when deleting part of a recurring event'),
+        checkValidation
+    ],
+
+    conflicts: [
+        query('startDate')
+            .isISO8601()
+            .withMessage('Valid start date is required'),
+        query('endDate')
+            .isISO8601()
+            .withMessage('Valid end date is required'),
         checkValidation
     ]
 };
@@ -234,6 +890,27 @@ const paramValidation = {
             .isMongoId()
             .withMessage('Invalid ID format'),
         checkValidation
+    ],
+
+    classId: [
+        param('classId')
+            .isMongoId()
+            .withMessage('Invalid class ID format'),
+        checkValidation
+    ],
+
+    studentId: [
+        param('studentId')
+            .isMongoId()
+            .withMessage('Invalid student ID format'),
+        checkValidation
+    ],
+
+    assignmentId: [
+        param('assignmentId')
+            .isMongoId()
+            .withMessage('Invalid assignment ID format'),
+        checkValidation
     ]
 };
 
@@ -249,6 +926,14 @@ const queryValidation = {
             .isInt({ min: 1, max: 100 })
             .withMessage('Limit must be between 1 and 100'),
         checkValidation
+    ],
+
+    disputeStatus: [
+        query('disputeStatus')
+            .optional()
+            .isIn(['none', 'open', 'accepted', 'rejected'])
+            .withMessage('Dispute status must be none, open, accepted or rejected'),
+        checkValidation
     ]
 };
 
@@ -256,8 +941,13 @@ module.exports = {
     checkValidation,
     professorValidation,
     studentValidation,
+    portalValidation,
     classValidation,
+    gradeScaleValidation,
+    rubricValidation,
     gradeValidation,
+    assignmentValidation,
+    attendanceValidation,
     calendarValidation,
     paramValidation,
     queryValidation
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { latePolicySchema } = require('./latePolicy');
+
+// Settings of a curve applied to an assignment's grades, see services/curveService
+const curveSchema = new mongoose.Schema({
+    method: { type: String, enum: ['flat', 'targetMean', 'sqrt', 'bell'] },
+    points: Number,
+    targetMean: Number,
+    targetStdDev: Number,
+    allowDecrease: Boolean,
+    appliedAt: Date,
+    appliedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Professor' }
+}, { _id: false });
+
+const assignmentSchema = new mongoose.Schema({
+    class: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Class',
+        required: [true, 'Class is required']
+    },
+    professor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Professor',
+        required: [true, 'Professor is required']
+    },
+    name: {
+        type: String,
+        required: [true, 'Assignment name is required'],
+        trim: true,
+        maxLength: [100, 'Assignment name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        maxLength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    type: {
+        type: String,
+        required: [true, 'Assignment type is required'],
+        enum: ['homework', 'quiz', 'exam', 'project', 'participation', 'attendance', 'midterm', 'final']
+    },
+    dueDate: {
+        type: Date
+    },
+    maxPoints: {
+        type: Number,
+        required: [true, 'Maximum points is required'],
+        min: [0, 'Maximum points must be at least 0']
+    },
+    weight: {
+        type: Number,
+        min: [0, 'Weight must be at least 0'],
+        max: [100, 'Weight cannot exceed 100'],
+        default: 1
+    },
+    // Overrides the class late policy when set
+    latePolicy: {
+        type: latePolicySchema,
+        default: null
+    },
+    // Scoring guide; its total points match maxPoints
+    rubric: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Rubric',
+        default: null
+    },
+    // The curve currently applied to this assignment's grades
+    curve: {
+        type: curveSchema,
+        default: null
+    },
+    // Curves replaced by a newer one, oldest first; reverting the current curve brings back the last
+    previousCurves: [curveSchema],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for whether the due date has passed
+assignmentSchema.virtual('isPastDue').get(function() {
+    return !!this.dueDate && this.dueDate < new Date();
+});
+
+// Index for better query performance
+assignmentSchema.index({ class: 1, dueDate: 1 });
+assignmentSchema.index({ professor: 1 });
+
+// Assignment names are unique within a class among active assignments
+assignmentSchema.index(
+    { class: 1, name: 1 },
+    { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+module.exports = mongoose.model('Assignment', assignmentSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+
+const attendanceSchema = new mongoose.Schema({
+    class: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Class',
+        required: [true, 'Class is required']
+    },
+    professor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Professor',
+        required: [true, 'Professor is required']
+    },
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CalendarEvent',
+        default: null
+    },
+    sessionDate: {
+        type: Date,
+        required: [true, 'Session date is required']
+    },
+    topic: {
+        type: String,
+        trim: true,
+        maxLength: [200, 'Topic cannot exceed 200 characters']
+    },
+    records: [{
+        _id: false,
+        student: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Student',
+            required: [true, 'Student is required']
+        },
+        status: {
+            type: String,
+            enum: ATTENDANCE_STATUSES,
+            required: [true, 'Attendance status is required']
+        },
+        note: {
+            type: String,
+            maxLength: [500, 'Note cannot exceed 500 characters']
+        }
+    }],
+    takenBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Professor'
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for the number of students in each status
+attendanceSchema.virtual('counts').get(function() {
+    const counts = { present: 0, absent: 0, late: 0, excused: 0 };
+    (this.records || []).forEach(record => {
+        counts[record.status]++;
+    });
+    return counts;
+});
+
+// Make sure a student only appears once in a session
+attendanceSchema.pre('validate', function(next) {
+    const students = this.records.map(record => record.student.toString());
+    if (new Set(students).size !== students.length) {
+        this.invalidate('records', 'A student can only be recorded once per session');
+    }
+    next();
+});
+
+// Index for better query performance
+attendanceSchema.index({ class: 1, sessionDate: 1 }, { unique: true });
+attendanceSchema.index({ event: 1 }, { unique: true, partialFilterExpression: { event: { $type: 'objectId' } } });
+attendanceSchema.index({ 'records.student': 1 });
+
+const Attendance = mongoose.model('Attendance', attendanceSchema);
+
+Attendance.ATTENDANCE_STATUSES = ATTENDANCE_STATUSES;
+
+module.exports = Attendance;
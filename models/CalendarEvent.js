@@ -73,6 +73,11 @@ const calendarEventSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Lecture created from the class schedule; kept in sync when the schedule changes
+    generatedFromSchedule: {
+        type: Boolean,
+        default: false
+    },
     externalId: {
         type: String,
         sparse: true
@@ -102,7 +107,35 @@ const calendarEventSchema = new mongoose.Schema({
             enum: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
         }],
         endDate: Date,
-        occurrences: Number
+        occurrences: Number,
+        // Per-occurrence changes, keyed by the occurrence's original start
+        exceptions: [{
+            _id: false,
+            originalStartDateTime: {
+                type: Date,
+                required: [true, 'Original occurrence start is required']
+            },
+            isCancelled: {
+                type: Boolean,
+                default: false
+            },
+            startDateTime: Date,
+            endDateTime: Date,
+            title: {
+                type: String,
+                trim: true,
+                maxLength: [200, 'Title cannot exceed 200 characters']
+            },
+            description: {
+                type: String,
+                maxLength: [1000, 'Description cannot exceed 1000 characters']
+            },
+            location: {
+                building: String,
+                room: String,
+                campus: String
+            }
+        }]
     },
     attendees: [{
         student: {
@@ -139,6 +172,7 @@ const calendarEventSchema = new mongoose.Schema({
         minutesBefore: {
             type: Number,
             min: 0,
+            max: [20160, 'Reminders can be set at most 14 days before an event'],
             default: 15
         },
         isEnabled: {
@@ -231,9 +265,11 @@ calendarEventSchema.pre('save', function(next) {
 // Index for better query performance
 calendarEventSchema.index({ professor: 1 });
 calendarEventSchema.index({ class: 1 });
+calendarEventSchema.index({ class: 1, generatedFromSchedule: 1, startDateTime: 1 });
 calendarEventSchema.index({ startDateTime: 1, endDateTime: 1 });
 calendarEventSchema.index({ eventType: 1 });
 calendarEventSchema.index({ status: 1 });
+calendarEventSchema.index({ 'recurrence.isRecurring': 1, professor: 1 });
 
 // Compound index for date range queries
 calendarEventSchema.index({ professor: 1, startDateTime: 1, endDateTime: 1 });
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { LATE_POLICY_FIELDS } = require('./latePolicy');
 
 const classSchema = new mongoose.Schema({
     className: {
@@ -61,6 +62,31 @@ const classSchema = new mongoose.Schema({
             campus: String
         }
     },
+    // Date range the schedule's lecture events were generated for
+    term: {
+        startDate: Date,
+        endDate: Date
+    },
+    members: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Professor',
+            required: [true, 'Member is required']
+        },
+        role: {
+            type: String,
+            enum: ['instructor', 'teaching_assistant', 'auditor'],
+            default: 'teaching_assistant'
+        },
+        addedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Professor'
+        },
+        addedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     enrolledStudents: [{
         student: {
             type: mongoose.Schema.Types.ObjectId,
@@ -72,15 +98,23 @@ const classSchema = new mongoose.Schema({
         },
         status: {
             type: String,
-            enum: ['enrolled', 'dropped', 'completed'],
+            enum: ['enrolled', 'waitlisted', 'dropped', 'completed'],
             default: 'enrolled'
-        }
+        },
+        // Waitlist order is first come, first served by this date
+        waitlistedAt: Date
     }],
     maxEnrollment: {
         type: Number,
         default: 30,
         min: [1, 'Max enrollment must be at least 1']
     },
+    // Students allowed on the waitlist once the class is full; 0 turns the waitlist off
+    maxWaitlist: {
+        type: Number,
+        default: 10,
+        min: [0, 'Max waitlist cannot be negative']
+    },
     syllabus: {
         objectives: [String],
         topics: [String],
@@ -94,8 +128,26 @@ const classSchema = new mongoose.Schema({
             attendance: { type: Number, min: 0, max: 100, default: 10 },
             assignments: { type: Number, min: 0, max: 100, default: 30 },
             midterm: { type: Number, min: 0, max: 100, default: 25 },
-            final: { type: Number, min: 0, max: 100, default: 35 }
-        }
+            final: { type: Number, min: 0, max: 100, default: 35 },
+            // Number of lowest grades dropped in each category
+            dropLowest: {
+                attendance: { type: Number, min: 0, default: 0 },
+                assignments: { type: Number, min: 0, default: 0 },
+                midterm: { type: Number, min: 0, default: 0 },
+                final: { type: Number, min: 0, default: 0 }
+            },
+            // Share of a present mark a late arrival earns towards the attendance score
+            lateAttendanceCredit: { type: Number, min: 0, max: 1, default: 0.5 },
+            // Count past-due assignments without a grade as zero
+            missingAsZero: { type: Boolean, default: false }
+        },
+        // Penalty for late submissions; assignments can override it
+        latePolicy: LATE_POLICY_FIELDS
+    },
+    gradeScale: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GradeScale',
+        default: null
     },
     announcements: [{
         title: String,
@@ -134,6 +186,37 @@ classSchema.virtual('availableSpots').get(function() {
     return this.maxEnrollment - this.currentEnrollment;
 });
 
+// Virtual for the number of students on the waitlist
+classSchema.virtual('waitlistCount').get(function() {
+    if (!this.enrolledStudents || !Array.isArray(this.enrolledStudents)) {
+        return 0;
+    }
+    return this.enrolledStudents.filter(enrollment => enrollment.status === 'waitlisted').length;
+});
+
+// Waitlisted enrollments in the order they will be promoted
+classSchema.methods.getWaitlist = function() {
+    return this.enrolledStudents
+        .filter(enrollment => enrollment.status === 'waitlisted')
+        .sort((a, b) => (a.waitlistedAt || a.enrollmentDate) - (b.waitlistedAt || b.enrollmentDate));
+};
+
+// Enroll students from the front of the waitlist while there are open seats, skipping `except`; caller saves
+classSchema.methods.promoteFromWaitlist = function(except) {
+    const promoted = [];
+    const waitlist = this.getWaitlist().filter(enrollment => enrollment !== except);
+
+    while (this.currentEnrollment < this.maxEnrollment && waitlist.length > 0) {
+        const enrollment = waitlist.shift();
+        enrollment.status = 'enrolled';
+        enrollment.enrollmentDate = new Date();
+        enrollment.waitlistedAt = undefined;
+        promoted.push(enrollment);
+    }
+
+    return promoted;
+};
+
 // Virtual for class display name
 classSchema.virtual('displayName').get(function() {
     return `${this.courseCode} - ${this.className}`;
@@ -142,6 +225,7 @@ classSchema.virtual('displayName').get(function() {
 // Index for better search performance
 classSchema.index({ courseCode: 1 });
 classSchema.index({ professor: 1 });
+classSchema.index({ 'members.user': 1 });
 classSchema.index({ semester: 1, year: 1 });
 
 // Validate that end time is after start time
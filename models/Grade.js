@@ -1,4 +1,27 @@
 const mongoose = require('mongoose');
+const GradeScale = require('./GradeScale');
+const GradeHistory = require('./GradeHistory');
+const { resolveLatePolicy, calculateLatePenalty } = require('./latePolicy');
+
+// Fields whose changes are written to GradeHistory
+const AUDITED_FIELDS = [
+    'score.points',
+    'score.adjustedPoints',
+    'score.curveAdjustment',
+    'score.percentage',
+    'score.letterGrade',
+    'feedback.comments',
+    'submissionInfo.submittedAt',
+    'submissionInfo.isLate',
+    'submissionInfo.latePenalty',
+    'isExcused',
+    'isExtra',
+    'dispute.status',
+    'isDeleted'
+];
+
+// Comparable form of an audited value
+const auditValue = (value) => (value instanceof Date ? value.toISOString() : value ?? null);
 
 const gradeSchema = new mongoose.Schema({
     student: {
@@ -16,32 +39,14 @@ const gradeSchema = new mongoose.Schema({
         ref: 'Professor',
         required: [true, 'Professor is required']
     },
+    gradedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Professor'
+    },
     assignment: {
-        name: {
-            type: String,
-            required: [true, 'Assignment name is required'],
-            trim: true,
-            maxLength: [100, 'Assignment name cannot exceed 100 characters']
-        },
-        type: {
-            type: String,
-            required: [true, 'Assignment type is required'],
-            enum: ['homework', 'quiz', 'exam', 'project', 'participation', 'attendance', 'midterm', 'final']
-        },
-        dueDate: {
-            type: Date
-        },
-        maxPoints: {
-            type: Number,
-            required: [true, 'Maximum points is required'],
-            min: [0, 'Maximum points must be at least 0']
-        },
-        weight: {
-            type: Number,
-            min: [0, 'Weight must be at least 0'],
-            max: [100, 'Weight cannot exceed 100'],
-            default: 1
-        }
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Assignment',
+        required: [true, 'Assignment is required']
     },
     score: {
         points: {
@@ -49,6 +54,16 @@ const gradeSchema = new mongoose.Schema({
             required: [true, 'Points scored is required'],
             min: [0, 'Points cannot be negative']
         },
+        // Points added (or, rarely, removed) by a curve on the assignment; points stays the raw score
+        curveAdjustment: {
+            type: Number,
+            default: 0
+        },
+        // Points after the late penalty and any curve; percentage and letter grade are based on these
+        adjustedPoints: {
+            type: Number,
+            min: 0
+        },
         percentage: {
             type: Number,
             min: [0, 'Percentage cannot be negative'],
@@ -56,7 +71,7 @@ const gradeSchema = new mongoose.Schema({
         },
         letterGrade: {
             type: String,
-            enum: ['A+', 'A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D+', 'D', 'D-', 'F', 'I', 'W']
+            enum: GradeScale.LETTER_GRADES
         }
     },
     feedback: {
@@ -77,15 +92,30 @@ const gradeSchema = new mongoose.Schema({
             type: Boolean,
             default: false
         },
+        // Percentage of the assignment's points deducted, set from the late policy
         latePenalty: {
             type: Number,
             min: 0,
             max: 100,
             default: 0
+        },
+        daysLate: {
+            type: Number,
+            min: 0,
+            default: 0
+        },
+        // Keep a hand-entered latePenalty instead of the policy's
+        isPenaltyOverridden: {
+            type: Boolean,
+            default: false
         }
     },
+    // Points per criterion; criterion and level are set when scored against a Rubric template
     rubric: [{
+        criterion: mongoose.Schema.Types.ObjectId,
         criteria: String,
+        level: mongoose.Schema.Types.ObjectId,
+        levelName: String,
         maxPoints: Number,
         earnedPoints: Number,
         comments: String
@@ -97,6 +127,38 @@ const gradeSchema = new mongoose.Schema({
     isExtra: {
         type: Boolean,
         default: false
+    },
+    // A student's request, from the portal, to have the grade reviewed
+    dispute: {
+        status: {
+            type: String,
+            enum: ['none', 'open', 'accepted', 'rejected'],
+            default: 'none'
+        },
+        reason: {
+            type: String,
+            maxLength: [1000, 'Dispute reason cannot exceed 1000 characters']
+        },
+        raisedAt: Date,
+        response: {
+            type: String,
+            maxLength: [1000, 'Response cannot exceed 1000 characters']
+        },
+        resolvedAt: Date,
+        resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Professor'
+        }
+    },
+    // Deleted grades are kept for the audit trail and hidden from queries
+    isDeleted: {
+        type: Boolean,
+        default: false
+    },
+    deletedAt: Date,
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Professor'
     }
 }, {
     timestamps: true,
@@ -104,57 +166,157 @@ const gradeSchema = new mongoose.Schema({
     toObject: { virtuals: true }
 });
 
-// Virtual for calculated percentage
+// Virtual for the points that count, after any late penalty
+gradeSchema.virtual('effectivePoints').get(function() {
+    return this.score.adjustedPoints ?? this.score.points;
+});
+
+// Virtual for calculated percentage; needs the assignment populated
 gradeSchema.virtual('calculatedPercentage').get(function() {
+    if (!this.assignment || this.assignment.maxPoints === undefined) return null;
     if (this.assignment.maxPoints === 0) return 0;
-    return Math.round((this.score.points / this.assignment.maxPoints) * 100 * 100) / 100;
+    return Math.round((this.effectivePoints / this.assignment.maxPoints) * 100 * 100) / 100;
 });
 
-// Virtual for letter grade calculation
+// Virtual for letter grade calculation on the default scale
 gradeSchema.virtual('calculatedLetterGrade').get(function() {
-    const percentage = this.calculatedPercentage;
-    if (percentage >= 97) return 'A+';
-    if (percentage >= 93) return 'A';
-    if (percentage >= 90) return 'A-';
-    if (percentage >= 87) return 'B+';
-    if (percentage >= 83) return 'B';
-    if (percentage >= 80) return 'B-';
-    if (percentage >= 77) return 'C+';
-    if (percentage >= 73) return 'C';
-    if (percentage >= 70) return 'C-';
-    if (percentage >= 67) return 'D+';
-    if (percentage >= 63) return 'D';
-    if (percentage >= 60) return 'D-';
-    return 'F';
+    return GradeScale.defaultLetterFor(this.calculatedPercentage);
 });
 
-// Pre-save middleware to calculate percentage and letter grade
-gradeSchema.pre('save', function(next) {
-    // Calculate percentage if not provided
-    if (!this.score.percentage && this.assignment.maxPoints > 0) {
-        this.score.percentage = this.calculatedPercentage;
-    }
-    
-    // Calculate letter grade if not provided
-    if (!this.score.letterGrade) {
-        this.score.letterGrade = this.calculatedLetterGrade;
-    }
-    
-    // Check if submission is late
-    if (this.assignment.dueDate && this.submissionInfo.submittedAt) {
-        this.submissionInfo.isLate = this.submissionInfo.submittedAt > this.assignment.dueDate;
+// Record who is making the next save, so it is written to GradeHistory
+gradeSchema.methods.auditAs = function(changedBy, { action, reason } = {}) {
+    this.$locals.audit = { changedBy, action, reason };
+    return this;
+};
+
+// Remember audited values as loaded, to diff against on save
+gradeSchema.post('init', function() {
+    this.$locals.original = Object.fromEntries(AUDITED_FIELDS.map(field => [field, auditValue(this.get(field))]));
+});
+
+// Hide deleted grades unless a query opts in with setOptions({ withDeleted: true })
+gradeSchema.pre(['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate'], function() {
+    if (this.getOptions().withDeleted || this.getFilter().isDeleted !== undefined) return;
+    this.where({ isDeleted: { $ne: true } });
+});
+
+gradeSchema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+    this.pipeline().unshift({ $match: { isDeleted: { $ne: true } } });
+});
+
+// Rubric points must add up to the grade's points
+gradeSchema.pre('validate', function(next) {
+    if (this.rubric.length > 0 && (this.isModified('rubric') || this.isModified('score.points'))) {
+        const earned = Math.round(this.rubric.reduce((total, entry) => total + (entry.earnedPoints || 0), 0) * 100) / 100;
+        if (earned !== this.score.points) {
+            this.invalidate('rubric', `Rubric points (${earned}) must add up to the points scored (${this.score.points})`);
+        }
     }
-    
     next();
 });
 
+// Pre-save middleware to calculate percentage and letter grade
+gradeSchema.pre('save', async function(next) {
+    try {
+        // Point values and due dates live on the assignment
+        if (!this.populated('assignment')) {
+            await this.populate('assignment', 'maxPoints dueDate');
+        }
+        const assignment = this.assignment;
+
+        // Lateness and the penalty follow the assignment's late policy, or the class's when it has none
+        if (assignment && this.submissionInfo.submittedAt) {
+            const [policyAssignment, policyClass] = await Promise.all([
+                mongoose.model('Assignment').findById(assignment._id).select('dueDate latePolicy'),
+                mongoose.model('Class').findById(this.class).select('syllabus.latePolicy')
+            ]);
+            const late = calculateLatePenalty(
+                resolveLatePolicy(policyAssignment, policyClass),
+                policyAssignment?.dueDate,
+                this.submissionInfo.submittedAt
+            );
+
+            this.submissionInfo.isLate = late.isLate;
+            this.submissionInfo.daysLate = late.daysLate;
+            if (!this.submissionInfo.isPenaltyOverridden) {
+                this.submissionInfo.latePenalty = late.penaltyPercent;
+            }
+        }
+
+        // Deduct the penalty as a share of the assignment's points, never below zero, then apply any curve
+        const penalty = this.submissionInfo.latePenalty || 0;
+        const afterPenalty = penalty > 0 && assignment
+            ? Math.max(0, this.score.points - assignment.maxPoints * penalty / 100)
+            : this.score.points;
+        this.score.adjustedPoints = Math.max(0, Math.round((afterPenalty + (this.score.curveAdjustment || 0)) * 100) / 100);
+
+        // A changed penalty or curve re-grades an existing grade
+        if (!this.isNew && this.isModified('score.adjustedPoints') && !this.isModified('score.percentage')) {
+            this.score.percentage = undefined;
+            this.score.letterGrade = undefined;
+        }
+
+        // Calculate percentage if not provided
+        if (!this.score.percentage && assignment && assignment.maxPoints > 0) {
+            this.score.percentage = this.calculatedPercentage;
+        }
+        
+        // Calculate letter grade if not provided, using the class's grade scale
+        if (!this.score.letterGrade && assignment) {
+            const classDoc = await mongoose.model('Class').findById(this.class).select('gradeScale');
+            const cutoffs = await GradeScale.resolveCutoffs(classDoc);
+            this.score.letterGrade = GradeScale.letterForCutoffs(cutoffs, this.calculatedPercentage);
+        }
+        
+        this.$locals.wasNew = this.isNew;
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Append a GradeHistory entry for audited saves
+gradeSchema.post('save', async function() {
+    const audit = this.$locals.audit;
+    if (!audit) return;
+    delete this.$locals.audit;
+
+    const original = this.$locals.wasNew ? {} : (this.$locals.original || {});
+    const changes = AUDITED_FIELDS
+        .map(field => ({ field, oldValue: original[field] ?? null, newValue: auditValue(this.get(field)) }))
+        .filter(change => JSON.stringify(change.oldValue) !== JSON.stringify(change.newValue));
+
+    this.$locals.original = Object.fromEntries(AUDITED_FIELDS.map(field => [field, auditValue(this.get(field))]));
+
+    if (changes.length === 0 && !audit.action) return;
+
+    await GradeHistory.create([{
+        grade: this._id,
+        class: this.class,
+        student: this.student?._id || this.student,
+        assignment: this.assignment?._id || this.assignment,
+        action: audit.action || (this.$locals.wasNew ? 'created' : 'updated'),
+        changedBy: audit.changedBy,
+        reason: audit.reason,
+        changes
+    }], { session: this.$session() });
+});
+
 // Index for better query performance
 gradeSchema.index({ student: 1, class: 1 });
 gradeSchema.index({ class: 1 });
 gradeSchema.index({ professor: 1 });
-gradeSchema.index({ 'assignment.type': 1 });
+gradeSchema.index({ assignment: 1 });
+
+// One grade per student per assignment; deleted grades don't count
+gradeSchema.index(
+    { student: 1, assignment: 1 },
+    { unique: true, partialFilterExpression: { isDeleted: false } }
+);
+
+const Grade = mongoose.model('Grade', gradeSchema);
 
-// Compound index for unique assignment per student per class
-gradeSchema.index({ student: 1, class: 1, 'assignment.name': 1 }, { unique: true });
+Grade.AUDITED_FIELDS = AUDITED_FIELDS;
 
-module.exports = mongoose.model('Grade', gradeSchema);
+module.exports = Grade;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const GRADE_HISTORY_ACTIONS = ['created', 'updated', 'deleted', 'restored', 'dispute_resolved', 'curved', 'curve_reverted'];
+
+const gradeHistorySchema = new mongoose.Schema({
+    grade: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Grade',
+        required: [true, 'Grade is required']
+    },
+    class: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Class'
+    },
+    student: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Student'
+    },
+    assignment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Assignment'
+    },
+    action: {
+        type: String,
+        enum: GRADE_HISTORY_ACTIONS,
+        required: [true, 'Action is required']
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Professor'
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxLength: [500, 'Reason cannot exceed 500 characters']
+    },
+    // One entry per grade field that changed
+    changes: [{
+        _id: false,
+        field: String,
+        oldValue: mongoose.Schema.Types.Mixed,
+        newValue: mongoose.Schema.Types.Mixed
+    }]
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// History is append-only: entries can be added but never changed or removed
+const refuseChange = function(next) {
+    next(new Error('Grade history is append-only'));
+};
+
+gradeHistorySchema.pre('save', function(next) {
+    if (!this.isNew) return refuseChange(next);
+    next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace']
+    .forEach(operation => gradeHistorySchema.pre(operation, refuseChange));
+
+// Index for better query performance
+gradeHistorySchema.index({ grade: 1, createdAt: -1 });
+gradeHistorySchema.index({ class: 1, createdAt: -1 });
+
+const GradeHistory = mongoose.model('GradeHistory', gradeHistorySchema);
+
+GradeHistory.GRADE_HISTORY_ACTIONS = GRADE_HISTORY_ACTIONS;
+
+module.exports = GradeHistory;
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// Every letter a scale may award; Grade.score.letterGrade accepts the same set
+const LETTER_GRADES = ['A+', 'A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-', 'D+', 'D', 'D-', 'F', 'P', 'NP', 'S', 'U', 'I', 'W'];
+
+// The standard scale used when a class has no scale attached
+const DEFAULT_CUTOFFS = [
+    { letter: 'A+', min: 97 },
+    { letter: 'A', min: 93 },
+    { letter: 'A-', min: 90 },
+    { letter: 'B+', min: 87 },
+    { letter: 'B', min: 83 },
+    { letter: 'B-', min: 80 },
+    { letter: 'C+', min: 77 },
+    { letter: 'C', min: 73 },
+    { letter: 'C-', min: 70 },
+    { letter: 'D+', min: 67 },
+    { letter: 'D', min: 63 },
+    { letter: 'D-', min: 60 },
+    { letter: 'F', min: 0 }
+];
+
+const gradeScaleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Scale name is required'],
+        trim: true,
+        maxLength: [100, 'Scale name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        maxLength: [500, 'Description cannot exceed 500 characters']
+    },
+    professor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Professor',
+        required: [true, 'Professor is required']
+    },
+    scaleType: {
+        type: String,
+        enum: ['letter', 'pass_fail', 'curved'],
+        default: 'letter'
+    },
+    cutoffs: [{
+        _id: false,
+        letter: {
+            type: String,
+            required: [true, 'Letter is required'],
+            enum: LETTER_GRADES
+        },
+        min: {
+            type: Number,
+            required: [true, 'Minimum percentage is required'],
+            min: [0, 'Minimum percentage cannot be negative'],
+            max: [100, 'Minimum percentage cannot exceed 100']
+        }
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Find the letter for a percentage from cutoffs sorted highest first
+const letterForCutoffs = (cutoffs, percentage) => {
+    if (percentage === null || percentage === undefined) return null;
+    const cutoff = cutoffs.find(c => percentage >= c.min);
+    return cutoff ? cutoff.letter : cutoffs[cutoffs.length - 1].letter;
+};
+
+// Letter grade for a percentage on this scale
+gradeScaleSchema.methods.letterFor = function(percentage) {
+    return letterForCutoffs(this.cutoffs, percentage);
+};
+
+// Letter grade for a percentage on the default scale
+gradeScaleSchema.statics.defaultLetterFor = function(percentage) {
+    return letterForCutoffs(DEFAULT_CUTOFFS, percentage);
+};
+
+// Cutoffs in effect for a class: its attached scale, or the default
+gradeScaleSchema.statics.resolveCutoffs = async function(classDoc) {
+    const scaleId = classDoc?.gradeScale?._id || classDoc?.gradeScale;
+    if (scaleId) {
+        const scale = classDoc.gradeScale.cutoffs ? classDoc.gradeScale : await this.findById(scaleId);
+        if (scale && scale.isActive && scale.cutoffs.length > 0) {
+            return scale.cutoffs;
+        }
+    }
+    return DEFAULT_CUTOFFS;
+};
+
+// Keep cutoffs ordered highest first and make sure every percentage maps to a letter
+gradeScaleSchema.pre('validate', function(next) {
+    if (!this.cutoffs || this.cutoffs.length < 2) {
+        this.invalidate('cutoffs', 'A grade scale needs at least two cutoffs');
+        return next();
+    }
+
+    this.cutoffs.sort((a, b) => b.min - a.min);
+
+    const mins = this.cutoffs.map(c => c.min);
+    if (new Set(mins).size !== mins.length) {
+        this.invalidate('cutoffs', 'Each cutoff must have a different minimum percentage');
+    } else if (mins[mins.length - 1] !== 0) {
+        this.invalidate('cutoffs', 'The lowest cutoff must start at 0%');
+    }
+
+    next();
+});
+
+// Index for better query performance
+gradeScaleSchema.index({ professor: 1 });
+
+const GradeScale = mongoose.model('GradeScale', gradeScaleSchema);
+
+GradeScale.LETTER_GRADES = LETTER_GRADES;
+GradeScale.DEFAULT_CUTOFFS = DEFAULT_CUTOFFS;
+GradeScale.letterForCutoffs = letterForCutoffs;
+
+module.exports = GradeScale;
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TYPES = ['reminder', 'import', 'enrollment', 'grade_dispute', 'system'];
+
+const notificationSchema = new mongoose.Schema({
+    professor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Professor',
+        required: [true, 'Professor is required']
+    },
+    type: {
+        type: String,
+        enum: NOTIFICATION_TYPES,
+        default: 'system'
+    },
+    title: {
+        type: String,
+        required: [true, 'Notification title is required'],
+        trim: true,
+        maxLength: [200, 'Title cannot exceed 200 characters']
+    },
+    message: {
+        type: String,
+        maxLength: [1000, 'Message cannot exceed 1000 characters']
+    },
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CalendarEvent'
+    },
+    class: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Class'
+    },
+    readAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for whether the notification has been read
+notificationSchema.virtual('isRead').get(function() {
+    return !!this.readAt;
+});
+
+// Index for better query performance
+notificationSchema.index({ professor: 1, readAt: 1, createdAt: -1 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+Notification.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+
+module.exports = Notification;
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const professorSchema = new mongoose.Schema({
     firstName: {
@@ -49,10 +50,23 @@ const professorSchema = new mongoose.Schema({
         type: String,
         default: null
     },
+    role: {
+        type: String,
+        enum: ['admin', 'instructor'],
+        default: 'instructor'
+    },
     isActive: {
         type: Boolean,
         default: true
     },
+    passwordResetToken: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    },
     preferences: {
         theme: {
             type: String,
@@ -61,12 +75,21 @@ const professorSchema = new mongoose.Schema({
         },
         notifications: {
             email: { type: Boolean, default: true },
-            browser: { type: Boolean, default: true }
+            browser: { type: Boolean, default: true },
+            sms: { type: Boolean, default: false }
         },
         gradeScale: {
             type: String,
             enum: ['percentage', 'letter', 'points'],
             default: 'percentage'
+        },
+        // Thresholds for the at-risk report; unset ones use the report's defaults
+        atRisk: {
+            minPercentage: { type: Number, min: 0, max: 100 },
+            maxMissing: { type: Number, min: 1 },
+            maxLate: { type: Number, min: 1 },
+            minAttendance: { type: Number, min: 0, max: 100 },
+            declineDrop: { type: Number, min: 0, max: 100 }
         }
     }
 }, {
@@ -98,10 +121,28 @@ professorSchema.methods.comparePassword = async function(candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+// Generate a single-use password reset token
+// Only a SHA-256 hash is stored; the plain token is returned so it can be emailed
+professorSchema.methods.createPasswordResetToken = function(expiresInMinutes = 60) {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+
+    this.passwordResetToken = this.constructor.hashResetToken(resetToken);
+    this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+    return resetToken;
+};
+
+// Hash a plain reset token for lookup
+professorSchema.statics.hashResetToken = function(resetToken) {
+    return crypto.createHash('sha256').update(resetToken).digest('hex');
+};
+
+// Remove password and reset token from JSON output
 professorSchema.methods.toJSON = function() {
     const professor = this.toObject();
     delete professor.password;
+    delete professor.passwordResetToken;
+    delete professor.passwordResetExpires;
     return professor;
 };
 
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One record per reminder per occurrence; the unique index is what stops a restart from sending twice
+const reminderDeliverySchema = new mongoose.Schema({
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CalendarEvent',
+        required: [true, 'Event is required']
+    },
+    reminder: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, 'Reminder is required']
+    },
+    occurrenceStart: {
+        type: Date,
+        required: [true, 'Occurrence start is required']
+    },
+    professor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Professor',
+        required: [true, 'Professor is required']
+    },
+    channel: {
+        type: String,
+        enum: ['email', 'notification', 'sms'],
+        required: [true, 'Channel is required']
+    },
+    dueAt: {
+        type: Date,
+        required: [true, 'Due date is required']
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sent', 'failed', 'skipped'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastError: {
+        type: String,
+        maxLength: [500, 'Error cannot exceed 500 characters']
+    },
+    sentAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Index for better query performance
+reminderDeliverySchema.index({ reminder: 1, occurrenceStart: 1 }, { unique: true });
+reminderDeliverySchema.index({ event: 1 });
+
+// Delivery records are only needed while an occurrence could still be re-checked
+reminderDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ReminderDelivery', reminderDeliverySchema);
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+
+// A reusable scoring guide: each criterion has performance levels, and each level a range of points
+const rubricSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Rubric name is required'],
+        trim: true,
+        maxLength: [100, 'Rubric name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        maxLength: [500, 'Description cannot exceed 500 characters']
+    },
+    professor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Professor',
+        required: [true, 'Professor is required']
+    },
+    criteria: [{
+        name: {
+            type: String,
+            required: [true, 'Criterion name is required'],
+            trim: true,
+            maxLength: [100, 'Criterion name cannot exceed 100 characters']
+        },
+        description: {
+            type: String,
+            maxLength: [500, 'Criterion description cannot exceed 500 characters']
+        },
+        levels: [{
+            name: {
+                type: String,
+                required: [true, 'Level name is required'],
+                trim: true,
+                maxLength: [50, 'Level name cannot exceed 50 characters']
+            },
+            description: {
+                type: String,
+                maxLength: [500, 'Level description cannot exceed 500 characters']
+            },
+            minPoints: {
+                type: Number,
+                required: [true, 'Level minimum points are required'],
+                min: [0, 'Level points cannot be negative']
+            },
+            maxPoints: {
+                type: Number,
+                required: [true, 'Level maximum points are required'],
+                min: [0, 'Level points cannot be negative']
+            }
+        }]
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Highest score the rubric can award: the top level of every criterion
+rubricSchema.virtual('totalPoints').get(function() {
+    return (this.criteria || []).reduce((total, criterion) =>
+        total + Math.max(0, ...criterion.levels.map(level => level.maxPoints)), 0);
+});
+
+// Score a student against the rubric
+// selections: [{ criterion, level, points, comments }] with one entry per criterion; points
+// default to the top of the level's range. Returns { rubric, points } where rubric is the
+// Grade.rubric array; throws when a selection is missing or out of range.
+rubricSchema.methods.score = function(selections) {
+    const byCriterion = new Map((selections || []).map(selection => [String(selection.criterion), selection]));
+
+    const rubric = this.criteria.map(criterion => {
+        const selection = byCriterion.get(criterion._id.toString());
+        if (!selection) {
+            throw new Error(`Select a level for "${criterion.name}"`);
+        }
+
+        const level = criterion.levels.id(selection.level);
+        if (!level) {
+            throw new Error(`Unknown level for "${criterion.name}"`);
+        }
+
+        const earnedPoints = selection.points === undefined || selection.points === null || selection.points === ''
+            ? level.maxPoints
+            : Number(selection.points);
+        if (Number.isNaN(earnedPoints) || earnedPoints < level.minPoints || earnedPoints > level.maxPoints) {
+            throw new Error(`Points for "${criterion.name}" must be between ${level.minPoints} and ${level.maxPoints} at level "${level.name}"`);
+        }
+
+        return {
+            criterion: criterion._id,
+            criteria: criterion.name,
+            level: level._id,
+            levelName: level.name,
+            maxPoints: Math.max(...criterion.levels.map(l => l.maxPoints)),
+            earnedPoints,
+            comments: selection.comments
+        };
+    });
+
+    if (byCriterion.size !== rubric.length) {
+        throw new Error('Selections include a criterion that is not on this rubric');
+    }
+
+    const points = Math.round(rubric.reduce((total, entry) => total + entry.earnedPoints, 0) * 100) / 100;
+    return { rubric, points };
+};
+
+// Keep levels ordered best first and make sure every criterion can be scored
+rubricSchema.pre('validate', function(next) {
+    if (!this.criteria || this.criteria.length === 0) {
+        this.invalidate('criteria', 'A rubric needs at least one criterion');
+        return next();
+    }
+
+    this.criteria.forEach((criterion, index) => {
+        if (criterion.levels.length === 0) {
+            this.invalidate(`criteria.${index}.levels`, `Criterion "${criterion.name}" needs at least one level`);
+            return;
+        }
+
+        criterion.levels.sort((a, b) => b.maxPoints - a.maxPoints);
+
+        criterion.levels.forEach(level => {
+            if (level.minPoints > level.maxPoints) {
+                this.invalidate(`criteria.${index}.levels`, `Level "${level.name}" of "${criterion.name}" has a minimum above its maximum`);
+            }
+        });
+    });
+
+    next();
+});
+
+// Index for better query performance
+rubricSchema.index({ professor: 1 });
+
+module.exports = mongoose.model('Rubric', rubricSchema);
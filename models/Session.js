@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+    professor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Professor',
+        required: [true, 'Professor is required']
+    },
+    refreshTokenHash: {
+        type: String,
+        required: [true, 'Refresh token hash is required'],
+        select: false
+    },
+    previousRefreshTokenHash: {
+        type: String,
+        select: false
+    },
+    userAgent: {
+        type: String,
+        maxLength: [500, 'User agent cannot exceed 500 characters']
+    },
+    ipAddress: {
+        type: String
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry date is required']
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'logout_all', 'password_change', 'password_reset', 'account_deactivated', 'token_reuse', null],
+        default: null
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Revoke every active session for a professor, optionally keeping one
+sessionSchema.statics.revokeAllForProfessor = function(professorId, reason, exceptSessionId = null) {
+    const query = { professor: professorId, revokedAt: null };
+    if (exceptSessionId) {
+        query._id = { $ne: exceptSessionId };
+    }
+    return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Index for better query performance
+sessionSchema.index({ professor: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousRefreshTokenHash: 1 });
+
+// Let MongoDB remove sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const studentSchema = new mongoose.Schema({
     studentId: {
@@ -71,6 +73,26 @@ const studentSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    portal: {
+        isEnabled: {
+            type: Boolean,
+            default: false
+        },
+        password: {
+            type: String,
+            minLength: [6, 'Password must be at least 6 characters'],
+            select: false
+        },
+        activationToken: {
+            type: String,
+            select: false
+        },
+        activationExpires: {
+            type: Date,
+            select: false
+        },
+        lastLoginAt: Date
+    },
     notes: [{
         content: String,
         createdBy: {
@@ -106,6 +128,52 @@ studentSchema.virtual('age').get(function() {
     return age;
 });
 
+// Hash portal password before saving
+studentSchema.pre('save', async function(next) {
+    if (!this.isModified('portal.password') || !this.portal.password) return next();
+
+    try {
+        const salt = await bcrypt.genSalt(12);
+        this.portal.password = await bcrypt.hash(this.portal.password, salt);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Compare portal password method
+studentSchema.methods.comparePassword = async function(candidatePassword) {
+    if (!this.portal || !this.portal.password) return false;
+    return await bcrypt.compare(candidatePassword, this.portal.password);
+};
+
+// Generate a single-use portal activation token
+// Only a SHA-256 hash is stored; the plain token is returned so it can be emailed
+studentSchema.methods.createPortalActivationToken = function(expiresInHours = 72) {
+    const activationToken = crypto.randomBytes(32).toString('hex');
+
+    this.portal.activationToken = this.constructor.hashActivationToken(activationToken);
+    this.portal.activationExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+
+    return activationToken;
+};
+
+// Hash a plain activation token for lookup
+studentSchema.statics.hashActivationToken = function(activationToken) {
+    return crypto.createHash('sha256').update(activationToken).digest('hex');
+};
+
+// Remove portal credentials from JSON output
+studentSchema.methods.toJSON = function() {
+    const student = this.toObject();
+    if (student.portal) {
+        delete student.portal.password;
+        delete student.portal.activationToken;
+        delete student.portal.activationExpires;
+    }
+    return student;
+};
+
 // Index for better search performance
 studentSchema.index({ studentId: 1 });
 studentSchema.index({ firstName: 1, lastName: 1 });
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Late submission policy, set on a class (syllabus.latePolicy) and optionally overridden per assignment.
+// Penalties are percentages of the assignment's maximum points.
+const LATE_POLICY_FIELDS = {
+    // Submissions within this many minutes of the due date are on time
+    graceMinutes: { type: Number, min: 0, default: 0 },
+    // Deducted for every started day late
+    percentPerDay: { type: Number, min: 0, max: 100, default: 0 },
+    // Deducted once for any late submission
+    flatPercent: { type: Number, min: 0, max: 100, default: 0 },
+    // Upper limit on the total deduction
+    maxPercent: { type: Number, min: 0, max: 100, default: 100 },
+    // Submissions more than this many days late score zero; null means no cutoff
+    cutoffDays: { type: Number, min: 0, default: null }
+};
+
+const latePolicySchema = new mongoose.Schema(LATE_POLICY_FIELDS, { _id: false });
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// The policy for an assignment: its own when it has one, otherwise its class's
+const resolveLatePolicy = (assignment, classDoc) => {
+    return assignment?.latePolicy || classDoc?.syllabus?.latePolicy || null;
+};
+
+// Work out lateness and the penalty for a submission
+// Returns { isLate, daysLate, penaltyPercent, isPastCutoff }
+const calculateLatePenalty = (policy, dueDate, submittedAt) => {
+    const onTime = { isLate: false, daysLate: 0, penaltyPercent: 0, isPastCutoff: false };
+    if (!dueDate || !submittedAt) return onTime;
+
+    const minutesLate = (new Date(submittedAt) - new Date(dueDate)) / 60000;
+    if (minutesLate <= (policy?.graceMinutes || 0)) return onTime;
+
+    const daysLate = Math.ceil(minutesLate / MINUTES_PER_DAY);
+    if (!policy) {
+        return { isLate: true, daysLate, penaltyPercent: 0, isPastCutoff: false };
+    }
+
+    const isPastCutoff = policy.cutoffDays !== null && policy.cutoffDays !== undefined &&
+        minutesLate > policy.cutoffDays * MINUTES_PER_DAY;
+    const penaltyPercent = isPastCutoff
+        ? 100
+        : Math.min(policy.maxPercent ?? 100, (policy.flatPercent || 0) + (policy.percentPerDay || 0) * daysLate);
+
+    return { isLate: true, daysLate, penaltyPercent, isPastCutoff };
+};
+
+module.exports = {
+    LATE_POLICY_FIELDS,
+    latePolicySchema,
+    resolveLatePolicy,
+    calculateLatePenalty
+};
@@ -0,0 +1,370 @@
+const express = require('express');
+const Attendance = require('../models/Attendance');
+const Class = require('../models/Class');
+const CalendarEvent = require('../models/CalendarEvent');
+const { auth } = require('../middleware/auth');
+const { authorize, getClassRole, hasPermission } = require('../middleware/authorize');
+const { attendanceValidation, paramValidation } = require('../middleware/validation');
+const attendanceService = require('../services/attendanceService');
+
+const router = express.Router();
+
+// Load a session and check the caller's permission on its class
+const findSessionWithPermission = async (sessionId, professor, permission) => {
+    const session = await Attendance.findById(sessionId);
+    if (!session) {
+        return { status: 404, message: 'Attendance session not found' };
+    }
+
+    const classDoc = await Class.findById(session.class);
+    const role = classDoc ? await getClassRole(classDoc, professor) : null;
+    if (!role) {
+        return { status: 404, message: 'Attendance session not found' };
+    }
+
+    if (!hasPermission(role, permission)) {
+        return { status: 403, message: `Your role on this class does not allow ${permission}` };
+    }
+
+    return { session, classDoc, role };
+};
+
+// Students currently enrolled in a class
+const enrolledStudentIds = (classDoc) => classDoc.enrolledStudents
+    .filter(enrollment => enrollment.status === 'enrolled')
+    .map(enrollment => enrollment.student.toString());
+
+// Merge submitted records into a session; unlisted enrolled students get defaultStatus if given
+const applyRecords = (session, records, enrolledIds, defaultStatus) => {
+    const byStudent = {};
+    session.records.forEach(record => {
+        byStudent[record.student.toString()] = record;
+    });
+
+    records.forEach(record => {
+        byStudent[String(record.student)] = {
+            student: record.student,
+            status: record.status,
+            note: record.note
+        };
+    });
+
+    if (defaultStatus) {
+        enrolledIds.forEach(studentId => {
+            if (!byStudent[studentId]) {
+                byStudent[studentId] = { student: studentId, status: defaultStatus };
+            }
+        });
+    }
+
+    session.records = Object.values(byStudent);
+};
+
+// @route   GET /api/attendance/class/:classId
+// @desc    List a class's attendance sessions
+// @access  Private
+router.get('/class/:classId', auth, paramValidation.classId, authorize('roster:read'), async (req, res) => {
+    try {
+        const sessions = await Attendance.find({ class: req.params.classId })
+            .populate('event', 'title eventType startDateTime endDateTime')
+            .sort({ sessionDate: -1 });
+
+        res.json({
+            success: true,
+            data: {
+                sessions: sessions.map(session => {
+                    const { records, ...sessionData } = session.toJSON();
+                    return sessionData;
+                })
+            }
+        });
+    } catch (error) {
+        console.error('Get attendance sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get attendance sessions'
+        });
+    }
+});
+
+// @route   POST /api/attendance/class/:classId/roll-call
+// @desc    Record attendance for a class session, creating the session if needed
+// @access  Private
+router.post('/class/:classId/roll-call', auth, paramValidation.classId, attendanceValidation.rollCall, authorize('grades:write'), async (req, res) => {
+    try {
+        const classDoc = req.classDoc;
+        const { eventId, topic, records = [], defaultStatus } = req.body;
+        let sessionDate = req.body.sessionDate ? new Date(req.body.sessionDate) : null;
+        let event = null;
+
+        // A session is keyed on a lecture or lab event when one is given
+        if (eventId) {
+            event = await CalendarEvent.findOne({
+                _id: eventId,
+                class: classDoc._id,
+                eventType: { $in: ['lecture', 'lab'] }
+            });
+
+            if (!event) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Lecture or lab event not found for this class'
+                });
+            }
+            sessionDate = event.startDateTime;
+        }
+
+        if (!sessionDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Either eventId or sessionDate is required'
+            });
+        }
+
+        // Only enrolled students can be marked
+        const enrolledIds = enrolledStudentIds(classDoc);
+        const notEnrolled = records.filter(record => !enrolledIds.includes(String(record.student)));
+        if (notEnrolled.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${notEnrolled.length} student(s) in this roll call are not enrolled in the class`
+            });
+        }
+
+        let session = await Attendance.findOne(event ? { event: event._id } : { class: classDoc._id, sessionDate });
+        const isNew = !session;
+        if (!session) {
+            session = new Attendance({
+                class: classDoc._id,
+                professor: classDoc.professor,
+                event: event ? event._id : null,
+                sessionDate
+            });
+        }
+
+        if (topic !== undefined) session.topic = topic;
+        applyRecords(session, records, enrolledIds, defaultStatus);
+        session.takenBy = req.professorId;
+        await session.save();
+
+        const populatedSession = await Attendance.findById(session._id)
+            .populate('records.student', 'firstName lastName studentId')
+            .populate('event', 'title eventType startDateTime endDateTime');
+
+        res.status(isNew ? 201 : 200).json({
+            success: true,
+            message: 'Attendance recorded successfully',
+            data: {
+                session: populatedSession
+            }
+        });
+    } catch (error) {
+        console.error('Roll call error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to record attendance'
+        });
+    }
+});
+
+// @route   GET /api/attendance/class/:classId/rates
+// @desc    Get attendance rates for every enrolled student
+// @access  Private
+router.get('/class/:classId/rates', auth, paramValidation.classId, authorize('roster:read'), async (req, res) => {
+    try {
+        const classDoc = await Class.findById(req.params.classId)
+            .populate('enrolledStudents.student', 'firstName lastName studentId');
+
+        const rates = await attendanceService.calculateClassRates(classDoc);
+        const emptySummary = attendanceService.summarize([]);
+
+        const studentRates = classDoc.enrolledStudents
+            .filter(enrollment => enrollment.status === 'enrolled' && enrollment.student)
+            .map(enrollment => ({
+                student: enrollment.student,
+                ...(rates[enrollment.student._id.toString()] || emptySummary)
+            }))
+            .sort((a, b) => a.student.lastName.localeCompare(b.student.lastName));
+
+        const recordedRates = studentRates.map(s => s.rate).filter(rate => rate !== null);
+        const sessionCount = await Attendance.countDocuments({ class: classDoc._id });
+
+        res.json({
+            success: true,
+            data: {
+                students: studentRates,
+                statistics: {
+                    totalSessions: sessionCount,
+                    averageRate: recordedRates.length > 0 ?
+                        Math.round((recordedRates.reduce((sum, rate) => sum + rate, 0) / recordedRates.length) * 100) / 100 : null,
+                    lateCredit: attendanceService.getLateCredit(classDoc)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get attendance rates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get attendance rates'
+        });
+    }
+});
+
+// @route   GET /api/attendance/class/:classId/student/:studentId
+// @desc    Get one student's attendance history in a class
+// @access  Private
+router.get('/class/:classId/student/:studentId', auth, paramValidation.classId, paramValidation.studentId, authorize('roster:read'), async (req, res) => {
+    try {
+        const sessions = await Attendance.find({
+            class: req.params.classId,
+            'records.student': req.params.studentId
+        })
+        .populate('event', 'title eventType startDateTime')
+        .sort({ sessionDate: -1 });
+
+        const history = sessions.map(session => {
+            const record = session.records.find(r => r.student.toString() === req.params.studentId);
+            return {
+                sessionId: session._id,
+                sessionDate: session.sessionDate,
+                topic: session.topic,
+                event: session.event,
+                status: record.status,
+                note: record.note
+            };
+        });
+
+        res.json({
+            success: true,
+            data: {
+                history,
+                summary: attendanceService.summarize(
+                    history.map(entry => entry.status),
+                    attendanceService.getLateCredit(req.classDoc)
+                )
+            }
+        });
+    } catch (error) {
+        console.error('Get student attendance error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get student attendance'
+        });
+    }
+});
+
+// @route   GET /api/attendance/:id
+// @desc    Get an attendance session with its records
+// @access  Private
+router.get('/:id', auth, paramValidation.mongoId, async (req, res) => {
+    try {
+        const access = await findSessionWithPermission(req.params.id, req.professor, 'roster:read');
+        if (!access.session) {
+            return res.status(access.status).json({
+                success: false,
+                message: access.message
+            });
+        }
+
+        const session = await Attendance.findById(req.params.id)
+            .populate('records.student', 'firstName lastName studentId')
+            .populate('event', 'title eventType startDateTime endDateTime')
+            .populate('takenBy', 'firstName lastName');
+
+        res.json({
+            success: true,
+            data: {
+                session
+            }
+        });
+    } catch (error) {
+        console.error('Get attendance session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get attendance session'
+        });
+    }
+});
+
+// @route   PUT /api/attendance/:id
+// @desc    Update records in an attendance session
+// @access  Private
+router.put('/:id', auth, paramValidation.mongoId, attendanceValidation.update, async (req, res) => {
+    try {
+        const access = await findSessionWithPermission(req.params.id, req.professor, 'grades:write');
+        if (!access.session) {
+            return res.status(access.status).json({
+                success: false,
+                message: access.message
+            });
+        }
+
+        const { session, classDoc } = access;
+        const { topic, records = [] } = req.body;
+
+        const enrolledIds = enrolledStudentIds(classDoc);
+        const recordedIds = session.records.map(record => record.student.toString());
+        const unknown = records.filter(record =>
+            !enrolledIds.includes(String(record.student)) && !recordedIds.includes(String(record.student))
+        );
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `${unknown.length} student(s) are not enrolled in the class`
+            });
+        }
+
+        if (topic !== undefined) session.topic = topic;
+        applyRecords(session, records, enrolledIds, null);
+        session.takenBy = req.professorId;
+        await session.save();
+
+        const populatedSession = await Attendance.findById(session._id)
+            .populate('records.student', 'firstName lastName studentId')
+            .populate('event', 'title eventType startDateTime endDateTime');
+
+        res.json({
+            success: true,
+            message: 'Attendance updated successfully',
+            data: {
+                session: populatedSession
+            }
+        });
+    } catch (error) {
+        console.error('Update attendance error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update attendance'
+        });
+    }
+});
+
+// @route   DELETE /api/attendance/:id
+// @desc    Delete an attendance session
+// @access  Private
+router.delete('/:id', auth, paramValidation.mongoId, async (req, res) => {
+    try {
+        const access = await findSessionWithPermission(req.params.id, req.professor, 'grades:write');
+        if (!access.session) {
+            return res.status(access.status).json({
+                success: false,
+                message: access.message
+            });
+        }
+
+        await Attendance.findByIdAndDelete(req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Attendance session deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete attendance error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete attendance session'
+        });
+    }
+});
+
+module.exports = router;
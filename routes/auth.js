@@ -3,6 +3,9 @@ const jwt = require('jsonwebtoken');
 const Professor = require('../models/Professor');
 const { professorValidation } = require('../middleware/validation');
 const { authLimiter } = require('../middleware/rateLimiter');
+const mailer = require('../services/mailer');
+const sessionService = require('../services/sessionService');
+const { auth } = require('../middleware/auth');
 
 const router = express.Router();
 
@@ -36,19 +39,16 @@ router.post('/register', authLimiter, professorValidation.register, async (req,
 
         await professor.save();
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { id: professor._id },
-            process.env.JWT_SECRET,
-            { expiresIn: "24h" }
-        );
+        // Start a session and issue the access/refresh token pair
+        const { token, refreshToken } = await sessionService.createSession(professor, req);
 
         res.status(201).json({
             success: true,
             message: 'Professor registered successfully',
             data: {
                 professor,
-                token
+                token,
+                refreshToken
             }
         });
     } catch (error) {
@@ -93,12 +93,8 @@ router.post('/login', authLimiter, professorValidation.login, async (req, res) =
             });
         }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { id: professor._id },
-            process.env.JWT_SECRET,
-            { expiresIn: "24h" }
-        );
+        // Start a session and issue the access/refresh token pair
+        const { token, refreshToken } = await sessionService.createSession(professor, req);
 
         // Remove password from response
         professor.password = undefined;
@@ -108,7 +104,8 @@ router.post('/login', authLimiter, professorValidation.login, async (req, res) =
             message: 'Login successful',
             data: {
                 professor,
-                token
+                token,
+                refreshToken
             }
         });
     } catch (error) {
@@ -120,32 +117,174 @@ router.post('/login', authLimiter, professorValidation.login, async (req, res) =
     }
 });
 
+// Reset tokens expire after this many minutes
+const RESET_TOKEN_EXPIRY_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRY_MINUTES) || 60;
+
 // @route   POST /api/auth/forgot-password
 // @desc    Initiate password reset process
 // @access  Public
-router.post('/forgot-password', authLimiter, async (req, res) => {
+router.post('/forgot-password', authLimiter, professorValidation.forgotPassword, async (req, res) => {
+    // Same response whether or not the email is registered, so accounts can't be enumerated
+    const genericResponse = {
+        success: true,
+        message: 'If an account exists for this email, password reset instructions have been sent'
+    };
+
     try {
+        // Links are only built from the configured address; the request's Host header can be forged
+        const baseUrl = process.env.FRONTEND_URL?.replace(/\/+$/, '');
+        if (!baseUrl) {
+            console.error('Forgot password error: FRONTEND_URL is not set, so reset links cannot be sent');
+            return res.status(500).json({
+                success: false,
+                message: 'Password reset is not available'
+            });
+        }
+
         const { email } = req.body;
 
         const professor = await Professor.findOne({ email });
-        if (!professor) {
-            return res.status(404).json({
+        if (!professor || !professor.isActive) {
+            return res.json(genericResponse);
+        }
+
+        const resetToken = professor.createPasswordResetToken(RESET_TOKEN_EXPIRY_MINUTES);
+        await professor.save({ validateBeforeSave: false });
+
+        const resetUrl = `${baseUrl}/?resetToken=${resetToken}`;
+
+        try {
+            await mailer.sendPasswordReset(professor, resetUrl, RESET_TOKEN_EXPIRY_MINUTES);
+        } catch (mailError) {
+            // Don't leave a usable token behind if the email never went out
+            professor.passwordResetToken = undefined;
+            professor.passwordResetExpires = undefined;
+            await professor.save({ validateBeforeSave: false });
+            throw mailError;
+        }
+
+        res.json(genericResponse);
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process password reset request'
+        });
+    }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', authLimiter, professorValidation.resetPassword, async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        const professor = await Professor.findOne({
+            passwordResetToken: Professor.hashResetToken(token),
+            passwordResetExpires: { $gt: new Date() }
+        }).select('+passwordResetToken +passwordResetExpires');
+
+        if (!professor || !professor.isActive) {
+            return res.status(400).json({
                 success: false,
-                message: 'No professor found with this email address'
+                message: 'Password reset token is invalid or has expired'
             });
         }
 
-        // In a real application, you would send an email with a reset token
-        // For now, we'll just return a success message
+        // The pre-save hook hashes the new password; clearing the token makes it single-use
+        professor.password = password;
+        professor.passwordResetToken = undefined;
+        professor.passwordResetExpires = undefined;
+        await professor.save();
+
+        // Sign out every device that was using the old password
+        await sessionService.revokeAllSessions(professor._id, 'password_reset');
+
         res.json({
             success: true,
-            message: 'Password reset instructions sent to your email'
+            message: 'Password has been reset. Please login with your new password.'
         });
     } catch (error) {
-        console.error('Forgot password error:', error);
+        console.error('Reset password error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to process password reset request'
+            message: 'Failed to reset password'
+        });
+    }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', professorValidation.refresh, async (req, res) => {
+    try {
+        const rotated = await sessionService.rotateSession(req.body.refreshToken);
+
+        if (!rotated) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token. Please login again.'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Token refreshed successfully',
+            data: {
+                professor: rotated.professor,
+                token: rotated.token,
+                refreshToken: rotated.refreshToken
+            }
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to refresh token'
+        });
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+    try {
+        await sessionService.revokeSession(req.sessionId, 'logout');
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to logout'
+        });
+    }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke every session for the current professor (sign out all devices)
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+    try {
+        const revokedCount = await sessionService.revokeAllSessions(req.professorId, 'logout_all');
+
+        res.json({
+            success: true,
+            message: 'Signed out of all devices',
+            data: {
+                revokedCount
+            }
+        });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sign out of all devices'
         });
     }
 });
@@ -166,8 +305,9 @@ router.get('/verify-token', async (req, res) => {
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         const professor = await Professor.findById(decoded.id);
+        const session = professor && await sessionService.findActiveSession(decoded.sid, professor._id);
 
-        if (!professor || !professor.isActive) {
+        if (!professor || !professor.isActive || !session) {
             return res.status(401).json({
                 success: false,
                 message: 'Invalid token'
@@ -3,11 +3,28 @@ const CalendarEvent = require('../models/CalendarEvent');
 const Class = require('../models/Class');
 const { auth } = require('../middleware/auth');
 const { calendarValidation, paramValidation, queryValidation } = require('../middleware/validation');
+const recurrenceService = require('../services/recurrenceService');
+const conflictService = require('../services/conflictService');
 const fs = require('fs');
 const path = require('path');
 
 const router = express.Router();
 
+// Fields that can be changed on a single occurrence of a recurring event
+const OCCURRENCE_FIELDS = ['title', 'description', 'startDateTime', 'endDateTime', 'location'];
+
+// Fields whose change can double-book the professor or the room
+const SCHEDULING_FIELDS = ['startDateTime', 'endDateTime', 'location', 'recurrence', 'eventType', 'status'];
+
+// Refuse a save that double-books unless the request sets allowConflicts
+const conflictResponse = (res, conflicts) => res.status(409).json({
+    success: false,
+    message: 'This event conflicts with existing bookings. Set allowConflicts to save it anyway.',
+    data: {
+        conflicts
+    }
+});
+
 // @route   GET /api/calendar/events
 // @desc    Get calendar events with filtering
 // @access  Private
@@ -40,10 +57,8 @@ router.get('/events', auth, queryValidation.pagination, async (req, res) => {
                 });
             }
             
-            query.startDateTime = {
-                $gte: startDateObj,
-                $lte: endDateObj
-            };
+            // Recurring events are expanded into their occurrences within the window
+            Object.assign(query, recurrenceService.windowQuery(startDateObj, endDateObj));
         } else if (startDate) {
             const startDateObj = new Date(startDate);
             
@@ -76,14 +91,27 @@ router.get('/events', auth, queryValidation.pagination, async (req, res) => {
             query.class = classId;
         }
 
-        const events = await CalendarEvent.find(query)
-            .populate('class', 'className courseCode')
-            .populate('attendees.student', 'firstName lastName studentId')
-            .sort({ startDateTime: 1 })
-            .skip(skip)
-            .limit(limit);
+        let events;
+        let total;
 
-        const total = await CalendarEvent.countDocuments(query);
+        if (startDate && endDate) {
+            const matches = await CalendarEvent.find(query)
+                .populate('class', 'className courseCode')
+                .populate('attendees.student', 'firstName lastName studentId');
+
+            const occurrences = recurrenceService.expandEvents(matches, new Date(startDate), new Date(endDate));
+            total = occurrences.length;
+            events = occurrences.slice(skip, skip + limit);
+        } else {
+            events = await CalendarEvent.find(query)
+                .populate('class', 'className courseCode')
+                .populate('attendees.student', 'firstName lastName studentId')
+                .sort({ startDateTime: 1 })
+                .skip(skip)
+                .limit(limit);
+
+            total = await CalendarEvent.countDocuments(query);
+        }
 
         res.json({
             success: true,
@@ -113,16 +141,20 @@ router.get('/events/upcoming', auth, async (req, res) => {
     try {
         const limit = parseInt(req.query.limit) || 10;
         const now = new Date();
+        const horizon = new Date(now);
+        horizon.setFullYear(horizon.getFullYear() + 1);
 
-        const events = await CalendarEvent.find({
+        const matches = await CalendarEvent.find({
             professor: req.professorId,
-            startDateTime: { $gte: now },
             status: 'scheduled',
-            isVisible: true
+            isVisible: true,
+            ...recurrenceService.windowQuery(now, horizon)
         })
-        .populate('class', 'className courseCode')
-        .sort({ startDateTime: 1 })
-        .limit(limit);
+        .populate('class', 'className courseCode');
+
+        const events = recurrenceService.expandEvents(matches, now, horizon)
+            .filter(event => new Date(event.startDateTime) >= now)
+            .slice(0, limit);
 
         res.json({
             success: true,
@@ -193,11 +225,17 @@ router.post('/events', auth, calendarValidation.create, async (req, res) => {
             }
         }
 
+        const { allowConflicts, ...fields } = req.body;
         const eventData = {
-            ...req.body,
+            ...fields,
             professor: req.professorId
         };
 
+        const conflicts = await conflictService.findEventConflicts(eventData);
+        if (conflicts.length > 0 && !allowConflicts) {
+            return conflictResponse(res, conflicts);
+        }
+
         const event = new CalendarEvent(eventData);
         await event.save();
 
@@ -209,7 +247,8 @@ router.post('/events', auth, calendarValidation.create, async (req, res) => {
             success: true,
             message: 'Calendar event created successfully',
             data: {
-                event: populatedEvent
+                event: populatedEvent,
+                conflicts
             }
         });
     } catch (error) {
@@ -222,30 +261,134 @@ router.post('/events', auth, calendarValidation.create, async (req, res) => {
 });
 
 // @route   PUT /api/calendar/events/:id
-// @desc    Update calendar event by ID
+// @desc    Update calendar event by ID; for recurring events scope picks this occurrence, this and following, or all
 // @access  Private
-router.put('/events/:id', auth, paramValidation.mongoId, async (req, res) => {
+router.put('/events/:id', auth, paramValidation.mongoId, calendarValidation.update, async (req, res) => {
     try {
-        const event = await CalendarEvent.findOneAndUpdate(
-            { _id: req.params.id, professor: req.professorId },
-            req.body,
-            { new: true, runValidators: true }
-        )
-        .populate('class', 'className courseCode')
-        .populate('attendees.student', 'firstName lastName studentId');
+        const { scope = 'all', occurrenceStart, allowConflicts, ...changes } = req.body;
+        const reschedules = SCHEDULING_FIELDS.some(field => changes[field] !== undefined);
+        let conflicts = [];
 
-        if (!event) {
+        const existing = await CalendarEvent.findOne({ _id: req.params.id, professor: req.professorId });
+        if (!existing) {
             return res.status(404).json({
                 success: false,
                 message: 'Calendar event not found'
             });
         }
 
+        // Editing "this and following" from the first occurrence is the same as editing all
+        const isFirst = existing.startDateTime.getTime() === new Date(occurrenceStart).getTime();
+
+        if (scope !== 'all' && recurrenceService.isRecurring(existing) && !(scope === 'following' && isFirst)) {
+            if (!recurrenceService.isOccurrence(existing, new Date(occurrenceStart))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'occurrenceStart does not match an occurrence of this event'
+                });
+            }
+
+            if (scope === 'this') {
+                // Record the change as an exception on the series
+                const overrides = {};
+                OCCURRENCE_FIELDS.forEach(field => {
+                    if (changes[field] !== undefined) overrides[field] = changes[field];
+                });
+
+                const original = new Date(occurrenceStart);
+                const previous = recurrenceService.findException(existing.toObject().recurrence.exceptions, original);
+
+                if (reschedules) {
+                    const startDateTime = new Date(overrides.startDateTime || previous?.startDateTime || original);
+                    const duration = existing.endDateTime - existing.startDateTime;
+                    conflicts = await conflictService.findEventConflicts({
+                        professor: existing.professor,
+                        eventType: existing.eventType,
+                        status: existing.status,
+                        location: { ...existing.toObject().location, ...previous?.location, ...overrides.location },
+                        startDateTime,
+                        endDateTime: new Date(overrides.endDateTime || previous?.endDateTime || startDateTime.getTime() + duration)
+                    }, { excludeEventId: existing._id });
+
+                    if (conflicts.length > 0 && !allowConflicts) {
+                        return conflictResponse(res, conflicts);
+                    }
+                }
+
+                existing.recurrence.exceptions = existing.recurrence.exceptions.filter(exception =>
+                    exception.originalStartDateTime.getTime() !== original.getTime()
+                );
+                existing.recurrence.exceptions.push({
+                    ...previous,
+                    ...overrides,
+                    originalStartDateTime: original,
+                    isCancelled: false
+                });
+                await existing.save();
+
+                return res.json({
+                    success: true,
+                    message: 'Occurrence updated successfully',
+                    data: {
+                        event: existing,
+                        occurrenceStart: original,
+                        conflicts
+                    }
+                });
+            }
+
+            // scope === 'following': end this series and start a new one at the occurrence
+            const { original, created } = recurrenceService.splitSeries(existing, new Date(occurrenceStart), changes);
+
+            if (reschedules) {
+                conflicts = await conflictService.findEventConflicts(created.toObject(), { excludeEventId: existing._id });
+                if (conflicts.length > 0 && !allowConflicts) {
+                    return conflictResponse(res, conflicts);
+                }
+            }
+
+            await original.save();
+            await created.save();
+
+            const populatedEvent = await CalendarEvent.findById(created._id)
+                .populate('class', 'className courseCode')
+                .populate('attendees.student', 'firstName lastName studentId');
+
+            return res.json({
+                success: true,
+                message: 'Event series updated from this occurrence onwards',
+                data: {
+                    event: populatedEvent,
+                    previousSeries: original,
+                    conflicts
+                }
+            });
+        }
+
+        if (reschedules) {
+            conflicts = await conflictService.findEventConflicts(
+                { ...existing.toObject(), ...changes },
+                { excludeEventId: existing._id }
+            );
+            if (conflicts.length > 0 && !allowConflicts) {
+                return conflictResponse(res, conflicts);
+            }
+        }
+
+        const event = await CalendarEvent.findOneAndUpdate(
+            { _id: req.params.id, professor: req.professorId },
+            changes,
+            { new: true, runValidators: true }
+        )
+        .populate('class', 'className courseCode')
+        .populate('attendees.student', 'firstName lastName studentId');
+
         res.json({
             success: true,
             message: 'Calendar event updated successfully',
             data: {
-                event
+                event,
+                conflicts
             }
         });
     } catch (error) {
@@ -258,11 +401,13 @@ router.put('/events/:id', auth, paramValidation.mongoId, async (req, res) => {
 });
 
 // @route   DELETE /api/calendar/events/:id
-// @desc    Delete calendar event by ID
+// @desc    Delete calendar event by ID; ?scope=this|following with ?occurrenceStart for recurring events
 // @access  Private
-router.delete('/events/:id', auth, paramValidation.mongoId, async (req, res) => {
+router.delete('/events/:id', auth, paramValidation.mongoId, calendarValidation.remove, async (req, res) => {
     try {
-        const event = await CalendarEvent.findOneAndDelete({
+        const scope = req.query.scope || 'all';
+
+        const event = await CalendarEvent.findOne({
             _id: req.params.id,
             professor: req.professorId
         });
@@ -274,6 +419,43 @@ router.delete('/events/:id', auth, paramValidation.mongoId, async (req, res) =>
             });
         }
 
+        if (scope !== 'all' && recurrenceService.isRecurring(event)) {
+            const occurrence = new Date(req.query.occurrenceStart);
+            if (!recurrenceService.isOccurrence(event, occurrence)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'occurrenceStart does not match an occurrence of this event'
+                });
+            }
+
+            if (scope === 'this') {
+                event.recurrence.exceptions = event.recurrence.exceptions.filter(exception =>
+                    exception.originalStartDateTime.getTime() !== occurrence.getTime()
+                );
+                event.recurrence.exceptions.push({ originalStartDateTime: occurrence, isCancelled: true });
+                await event.save();
+
+                return res.json({
+                    success: true,
+                    message: 'Occurrence cancelled successfully'
+                });
+            }
+
+            // scope === 'following': end the series before this occurrence
+            const isFirst = event.startDateTime.getTime() === occurrence.getTime();
+            if (!isFirst) {
+                const { original } = recurrenceService.splitSeries(event, occurrence, {});
+                await original.save();
+
+                return res.json({
+                    success: true,
+                    message: 'Occurrences from this date onwards deleted successfully'
+                });
+            }
+        }
+
+        await event.deleteOne();
+
         res.json({
             success: true,
             message: 'Calendar event deleted successfully'
@@ -302,16 +484,15 @@ router.get('/schedule/weekly', auth, async (req, res) => {
         weekEnd.setDate(weekEnd.getDate() + 6);
         weekEnd.setHours(23, 59, 59, 999);
 
-        const events = await CalendarEvent.find({
+        const matches = await CalendarEvent.find({
             professor: req.professorId,
-            startDateTime: {
-                $gte: weekStart,
-                $lte: weekEnd
-            },
-            isVisible: true
+            isVisible: true,
+            ...recurrenceService.windowQuery(weekStart, weekEnd)
         })
-        .populate('class', 'className courseCode')
-        .sort({ startDateTime: 1 });
+        .populate('class', 'className courseCode');
+
+        const events = recurrenceService.expandEvents(matches, weekStart, weekEnd)
+            .filter(event => new Date(event.startDateTime) >= weekStart);
 
         // Group events by day
         const weeklySchedule = {};
@@ -322,7 +503,7 @@ router.get('/schedule/weekly', auth, async (req, res) => {
         });
 
         events.forEach(event => {
-            const dayName = days[event.startDateTime.getDay()];
+            const dayName = days[new Date(event.startDateTime).getDay()];
             weeklySchedule[dayName].push(event);
         });
 
@@ -343,6 +524,48 @@ router.get('/schedule/weekly', auth, async (req, res) => {
     }
 });
 
+// @route   GET /api/calendar/conflicts
+// @desc    Report double bookings of the professor or their rooms in a date range
+// @access  Private
+router.get('/conflicts', auth, calendarValidation.conflicts, async (req, res) => {
+    try {
+        const startDate = new Date(req.query.startDate);
+        const endDate = new Date(req.query.endDate);
+
+        if (startDate > endDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start date must be before end date'
+            });
+        }
+
+        if (endDate - startDate > 366 * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Date range cannot be longer than one year'
+            });
+        }
+
+        const conflicts = await conflictService.findConflictsInRange(req.professorId, startDate, endDate);
+
+        res.json({
+            success: true,
+            data: {
+                startDate,
+                endDate,
+                total: conflicts.length,
+                conflicts
+            }
+        });
+    } catch (error) {
+        console.error('Get conflicts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get scheduling conflicts'
+        });
+    }
+});
+
 // @route   POST /api/calendar/events/:id/attendees
 // @desc    Add attendees to an event
 // @access  Private
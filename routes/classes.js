@@ -1,11 +1,90 @@
 const express = require('express');
+const multer = require('multer');
 const Class = require('../models/Class');
 const Student = require('../models/Student');
+const Professor = require('../models/Professor');
+const GradeScale = require('../models/GradeScale');
+const Assignment = require('../models/Assignment');
+const Grade = require('../models/Grade');
+const Rubric = require('../models/Rubric');
+const scheduleService = require('../services/scheduleService');
+const conflictService = require('../services/conflictService');
+const notificationService = require('../services/notificationService');
+const mailer = require('../services/mailer');
+const rosterService = require('../services/rosterService');
+const gradebookService = require('../services/gradebookService');
 const { auth } = require('../middleware/auth');
-const { classValidation, paramValidation, queryValidation } = require('../middleware/validation');
+const { authorize, findAccessibleClassIds } = require('../middleware/authorize');
+const { classValidation, assignmentValidation, paramValidation, queryValidation } = require('../middleware/validation');
 
 const router = express.Router();
 
+// Registrar roster spreadsheets are only read for their student IDs, so keep them in memory
+const rosterUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (file.originalname.match(/\.(xlsx|xls|csv)$/i)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only Excel (.xlsx, .xls) and CSV files are allowed.'), false);
+        }
+    },
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB limit
+    }
+});
+
+// Refuse a schedule that double-books unless the request sets allowConflicts
+const conflictResponse = (res, conflicts) => res.status(409).json({
+    success: false,
+    message: 'This class schedule conflicts with other classes or calendar events. Set allowConflicts to save it anyway.',
+    data: {
+        conflicts
+    }
+});
+
+// Check that a rubric can score an assignment: its total must equal the assignment's maximum points.
+// Pass professorId when attaching, so only that professor's rubrics can be chosen.
+// Returns an error message, or null when the rubric fits
+const checkAssignmentRubric = async (rubricId, maxPoints, professorId) => {
+    const rubric = await Rubric.findOne({
+        _id: rubricId,
+        isActive: true,
+        ...(professorId ? { professor: professorId } : {})
+    });
+
+    if (!rubric) {
+        return 'Rubric not found';
+    }
+    if (rubric.totalPoints !== Number(maxPoints)) {
+        return `Rubric total (${rubric.totalPoints}) must match the assignment's maximum points (${maxPoints})`;
+    }
+    return null;
+};
+
+// Email students who were moved off the waitlist; a failed email doesn't undo the enrollment
+const notifyPromotedStudents = async (classDoc, promoted) => {
+    if (promoted.length === 0) return;
+
+    const students = await Student.find({ _id: { $in: promoted.map(enrollment => enrollment.student._id || enrollment.student) } })
+        .select('firstName lastName email');
+
+    for (const student of students) {
+        try {
+            await mailer.sendWaitlistPromotion(student, classDoc);
+        } catch (error) {
+            console.error('Waitlist promotion email error:', error);
+        }
+    }
+
+    await notificationService.notifySafely(classDoc.professor, {
+        type: 'enrollment',
+        title: `${classDoc.courseCode} waitlist moved`,
+        message: `${students.map(student => `${student.firstName} ${student.lastName}`).join(', ')} enrolled from the waitlist`,
+        class: classDoc._id
+    });
+};
+
 // @route   GET /api/classes
 // @desc    Get all classes for the professor
 // @access  Private
@@ -18,7 +97,9 @@ router.get('/', auth, queryValidation.pagination, async (req, res) => {
         const semester = req.query.semester;
         const year = req.query.year;
 
-        let query = { professor: req.professorId };
+        // Classes the professor owns, is a member of, or administers
+        const readableClassIds = await findAccessibleClassIds(req.professor, 'class:read');
+        let query = { _id: { $in: readableClassIds } };
 
         // Add search functionality
         if (search) {
@@ -71,24 +152,18 @@ router.get('/', auth, queryValidation.pagination, async (req, res) => {
 // @route   GET /api/classes/:id
 // @desc    Get class by ID
 // @access  Private
-router.get('/:id', auth, paramValidation.mongoId, async (req, res) => {
+router.get('/:id', auth, paramValidation.mongoId, authorize('class:read'), async (req, res) => {
     try {
-        const classDoc = await Class.findOne({
-            _id: req.params.id,
-            professor: req.professorId
-        }).populate('enrolledStudents.student', 'firstName lastName studentId email phoneNumber academicInfo');
-
-        if (!classDoc) {
-            return res.status(404).json({
-                success: false,
-                message: 'Class not found'
-            });
-        }
+        const classDoc = await Class.findById(req.params.id)
+            .populate('enrolledStudents.student', 'firstName lastName studentId email phoneNumber academicInfo')
+            .populate('members.user', 'firstName lastName email department')
+            .populate('gradeScale', 'name scaleType cutoffs isActive');
 
         res.json({
             success: true,
             data: {
-                class: classDoc
+                class: classDoc,
+                role: req.classRole
             }
         });
     } catch (error) {
@@ -120,12 +195,18 @@ router.post('/', auth, classValidation.create, async (req, res) => {
             });
         }
 
+        const { allowConflicts, ...fields } = req.body;
         const classData = {
-            ...req.body,
+            ...fields,
             professor: req.professorId,
             courseCode: req.body.courseCode.toUpperCase()
         };
 
+        const conflicts = await conflictService.findClassConflicts(classData);
+        if (conflicts.length > 0 && !allowConflicts) {
+            return conflictResponse(res, conflicts);
+        }
+
         const newClass = new Class(classData);
         await newClass.save();
 
@@ -136,7 +217,8 @@ router.post('/', auth, classValidation.create, async (req, res) => {
             success: true,
             message: 'Class created successfully',
             data: {
-                class: populatedClass
+                class: populatedClass,
+                conflicts
             }
         });
     } catch (error) {
@@ -151,26 +233,70 @@ router.post('/', auth, classValidation.create, async (req, res) => {
 // @route   PUT /api/classes/:id
 // @desc    Update class by ID
 // @access  Private
-router.put('/:id', auth, paramValidation.mongoId, async (req, res) => {
+router.put('/:id', auth, paramValidation.mongoId, classValidation.update, authorize('class:write'), async (req, res) => {
     try {
-        const classDoc = await Class.findOneAndUpdate(
-            { _id: req.params.id, professor: req.professorId },
-            req.body,
+        // Ownership, membership, the grade scale and the term have their own endpoints
+        const { professor: _professor, members: _members, gradeScale: _gradeScale, term: _term, allowConflicts, ...updates } = req.body;
+
+        const current = req.classDoc.toObject();
+
+        // A partial schedule updates only the parts sent, so what is checked below is what gets saved
+        if (updates.schedule !== undefined) {
+            updates.schedule = { ...current.schedule, ...updates.schedule };
+        }
+
+        let conflicts = [];
+        if (['schedule', 'semester', 'year'].some(field => updates[field] !== undefined)) {
+            conflicts = await conflictService.findClassConflicts({
+                ...current,
+                ...updates
+            }, { excludeClassId: req.classDoc._id });
+
+            if (conflicts.length > 0 && !allowConflicts) {
+                return conflictResponse(res, conflicts);
+            }
+        }
+
+        const classDoc = await Class.findByIdAndUpdate(
+            req.params.id,
+            updates,
             { new: true, runValidators: true }
         ).populate('enrolledStudents.student', 'firstName lastName studentId email');
 
-        if (!classDoc) {
-            return res.status(404).json({
-                success: false,
-                message: 'Class not found'
-            });
+        // Late penalties on submitted work follow the class policy
+        if (updates.syllabus?.latePolicy !== undefined) {
+            const grades = await Grade.find({ class: classDoc._id, 'submissionInfo.submittedAt': { $ne: null } });
+            for (const grade of grades) {
+                await grade.auditAs(req.professorId, { reason: 'Late policy changed' }).save();
+            }
+        }
+
+        // Seats added by raising maxEnrollment go to the waitlist
+        const promoted = updates.maxEnrollment !== undefined ? classDoc.promoteFromWaitlist() : [];
+        if (promoted.length > 0) {
+            await classDoc.save();
+            await notifyPromotedStudents(classDoc, promoted);
+        }
+
+        // Keep upcoming generated lectures in step with the schedule
+        let scheduleSync = null;
+        const affectsLectures = ['schedule', 'className', 'courseCode'].some(field => updates[field] !== undefined);
+        if (affectsLectures && classDoc.term?.startDate && classDoc.term?.endDate) {
+            const now = new Date();
+            const from = classDoc.term.startDate > now ? classDoc.term.startDate : now;
+            if (from <= classDoc.term.endDate) {
+                scheduleSync = await scheduleService.syncLectureEvents(classDoc, from, classDoc.term.endDate);
+            }
         }
 
         res.json({
             success: true,
             message: 'Class updated successfully',
             data: {
-                class: classDoc
+                class: classDoc,
+                scheduleSync,
+                conflicts,
+                promoted: promoted.map(enrollment => enrollment.student)
             }
         });
     } catch (error) {
@@ -182,24 +308,128 @@ router.put('/:id', auth, paramValidation.mongoId, async (req, res) => {
     }
 });
 
-// @route   DELETE /api/classes/:id
-// @desc    Delete class by ID (soft delete)
+// @route   POST /api/classes/:id/schedule/events
+// @desc    Generate lecture events from the class schedule across a term
 // @access  Private
-router.delete('/:id', auth, paramValidation.mongoId, async (req, res) => {
+router.post('/:id/schedule/events', auth, paramValidation.mongoId, classValidation.generateSchedule, authorize('class:write'), async (req, res) => {
     try {
-        const classDoc = await Class.findOneAndUpdate(
-            { _id: req.params.id, professor: req.professorId },
-            { isActive: false },
-            { new: true }
-        );
+        const classDoc = req.classDoc;
+        const startDate = req.body.startDate ? new Date(req.body.startDate) : classDoc.term?.startDate;
+        const endDate = req.body.endDate ? new Date(req.body.endDate) : classDoc.term?.endDate;
 
-        if (!classDoc) {
-            return res.status(404).json({
+        if (!startDate || !endDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Term start and end dates are required'
+            });
+        }
+
+        if (startDate > endDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Term start date must be before the end date'
+            });
+        }
+
+        if (endDate - startDate > 366 * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({
+                success: false,
+                message: 'Term cannot be longer than one year'
+            });
+        }
+
+        if (!classDoc.schedule.days || classDoc.schedule.days.length === 0) {
+            return res.status(400).json({
                 success: false,
-                message: 'Class not found'
+                message: 'Class schedule has no meeting days'
             });
         }
 
+        // Times are HH:MM, possibly without a leading zero
+        if (classDoc.schedule.endTime.padStart(5, '0') <= classDoc.schedule.startTime.padStart(5, '0')) {
+            return res.status(400).json({
+                success: false,
+                message: 'Class end time must be after the start time'
+            });
+        }
+
+        classDoc.term = { startDate, endDate };
+        await classDoc.save();
+
+        const result = await scheduleService.syncLectureEvents(classDoc, startDate, endDate);
+
+        res.status(201).json({
+            success: true,
+            message: `${result.created} lecture events created, ${result.updated} updated, ${result.removed} removed`,
+            data: {
+                term: classDoc.term,
+                ...result
+            }
+        });
+    } catch (error) {
+        console.error('Generate schedule events error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate lecture events'
+        });
+    }
+});
+
+// @route   PUT /api/classes/:id/grade-scale
+// @desc    Attach one of the professor's grade scales to a class, or null to use the default
+// @access  Private
+router.put('/:id/grade-scale', auth, paramValidation.mongoId, classValidation.setGradeScale, authorize('class:write'), async (req, res) => {
+    try {
+        const { gradeScaleId } = req.body;
+        let scale = null;
+
+        if (gradeScaleId) {
+            scale = await GradeScale.findOne({
+                _id: gradeScaleId,
+                professor: req.professorId,
+                isActive: true
+            });
+
+            if (!scale) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Grade scale not found'
+                });
+            }
+        }
+
+        req.classDoc.gradeScale = scale ? scale._id : null;
+        await req.classDoc.save();
+
+        // Stored letters follow the new scale
+        const regraded = await gradebookService.refreshLetterGrades(req.classDoc._id, req.professorId, 'Grade scale changed');
+
+        res.json({
+            success: true,
+            message: scale ? 'Grade scale attached successfully' : 'Class now uses the default grade scale',
+            data: {
+                classId: req.classDoc._id,
+                regraded,
+                gradeScale: scale || null,
+                cutoffs: scale ? scale.cutoffs : GradeScale.DEFAULT_CUTOFFS
+            }
+        });
+    } catch (error) {
+        console.error('Set class grade scale error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to set grade scale'
+        });
+    }
+});
+
+// @route   DELETE /api/classes/:id
+// @desc    Delete class by ID (soft delete)
+// @access  Private
+router.delete('/:id', auth, paramValidation.mongoId, authorize('class:delete'), async (req, res) => {
+    try {
+        await Class.findByIdAndUpdate(req.params.id, { isActive: false });
+
         res.json({
             success: true,
             message: 'Class deleted successfully'
@@ -216,7 +446,7 @@ router.delete('/:id', auth, paramValidation.mongoId, async (req, res) => {
 // @route   POST /api/classes/:id/enroll
 // @desc    Enroll a student in the class
 // @access  Private
-router.post('/:id/enroll', auth, paramValidation.mongoId, async (req, res) => {
+router.post('/:id/enroll', auth, paramValidation.mongoId, authorize('roster:write'), async (req, res) => {
     try {
         const { studentId } = req.body;
 
@@ -227,25 +457,7 @@ router.post('/:id/enroll', auth, paramValidation.mongoId, async (req, res) => {
             });
         }
 
-        const classDoc = await Class.findOne({
-            _id: req.params.id,
-            professor: req.professorId
-        });
-
-        if (!classDoc) {
-            return res.status(404).json({
-                success: false,
-                message: 'Class not found'
-            });
-        }
-
-        // Check if class is full
-        if (classDoc.currentEnrollment >= classDoc.maxEnrollment) {
-            return res.status(400).json({
-                success: false,
-                message: 'Class is full'
-            });
-        }
+        const classDoc = req.classDoc;
 
         // Check if student exists
         const student = await Student.findById(studentId);
@@ -256,15 +468,44 @@ router.post('/:id/enroll', auth, paramValidation.mongoId, async (req, res) => {
             });
         }
 
-        // Check if student is already enrolled
-        const isEnrolled = classDoc.enrolledStudents.some(
-            enrollment => enrollment.student.toString() === studentId && enrollment.status === 'enrolled'
+        // Check if student is already enrolled or waiting for a seat
+        const existing = classDoc.enrolledStudents.find(
+            enrollment => enrollment.student.toString() === studentId && ['enrolled', 'waitlisted'].includes(enrollment.status)
         );
 
-        if (isEnrolled) {
+        if (existing) {
             return res.status(400).json({
                 success: false,
-                message: 'Student is already enrolled in this class'
+                message: existing.status === 'enrolled'
+                    ? 'Student is already enrolled in this class'
+                    : 'Student is already on the waitlist for this class'
+            });
+        }
+
+        // A full class puts the student on the waitlist while there is room on it
+        if (classDoc.currentEnrollment >= classDoc.maxEnrollment) {
+            if (classDoc.waitlistCount >= classDoc.maxWaitlist) {
+                return res.status(400).json({
+                    success: false,
+                    message: classDoc.maxWaitlist > 0 ? 'Class and waitlist are full' : 'Class is full'
+                });
+            }
+
+            classDoc.enrolledStudents.push({
+                student: studentId,
+                enrollmentDate: new Date(),
+                status: 'waitlisted',
+                waitlistedAt: new Date()
+            });
+            await classDoc.save();
+
+            return res.status(202).json({
+                success: true,
+                message: `Class is full. Student added to the waitlist at position ${classDoc.waitlistCount}`,
+                data: {
+                    status: 'waitlisted',
+                    waitlistPosition: classDoc.waitlistCount
+                }
             });
         }
 
@@ -277,6 +518,15 @@ router.post('/:id/enroll', auth, paramValidation.mongoId, async (req, res) => {
 
         await classDoc.save();
 
+        if (classDoc.currentEnrollment >= classDoc.maxEnrollment) {
+            await notificationService.notifySafely(classDoc.professor, {
+                type: 'enrollment',
+                title: `${classDoc.courseCode} is full`,
+                message: `${classDoc.className} has reached its maximum enrollment of ${classDoc.maxEnrollment} students`,
+                class: classDoc._id
+            });
+        }
+
         const updatedClass = await Class.findById(classDoc._id)
             .populate('enrolledStudents.student', 'firstName lastName studentId email');
 
@@ -296,32 +546,115 @@ router.post('/:id/enroll', auth, paramValidation.mongoId, async (req, res) => {
     }
 });
 
-// @route   PUT /api/classes/:id/students/:studentId/status
-// @desc    Update student enrollment status
+// @route   POST /api/classes/:id/enroll/bulk
+// @desc    Enroll students by student ID or from a registrar spreadsheet (rosterFile);
+//          mode=sync also drops students missing from the list, dryRun=true only reports the diff
 // @access  Private
-router.put('/:id/students/:studentId/status', auth, paramValidation.mongoId, async (req, res) => {
+router.post('/:id/enroll/bulk', auth, paramValidation.mongoId, authorize('roster:write'), rosterUpload.single('rosterFile'), classValidation.bulkEnroll, async (req, res) => {
     try {
-        const { status } = req.body;
+        const { mode = 'add', dryRun = false } = req.body;
+
+        let studentIds;
+        try {
+            studentIds = req.file
+                ? rosterService.readIdsFromSpreadsheet(req.file.buffer)
+                : rosterService.normalizeIds(req.body.studentIds);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        // An empty list in sync mode would drop the whole class
+        if (studentIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide studentIds or a rosterFile with at least one student ID'
+            });
+        }
 
-        if (!['enrolled', 'dropped', 'completed'].includes(status)) {
+        if (studentIds.length > rosterService.MAX_STUDENTS) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid status. Must be enrolled, dropped, or completed'
+                message: `A roster can list at most ${rosterService.MAX_STUDENTS} students`
+            });
+        }
+
+        const classDoc = req.classDoc;
+        const diff = await rosterService.sync(classDoc, studentIds, { mode });
+
+        const summary = {
+            added: diff.toAdd.length,
+            dropped: diff.toDrop.length,
+            unchanged: diff.unchanged.length,
+            unknown: diff.unknown.length,
+            full: diff.full.length,
+            promoted: diff.promoted.length
+        };
+
+        if (dryRun) {
+            return res.json({
+                success: true,
+                message: 'Dry run: no changes were saved',
+                data: {
+                    dryRun: true,
+                    mode,
+                    summary,
+                    ...diff
+                }
+            });
+        }
+
+        await classDoc.save();
+        await notifyPromotedStudents(classDoc, diff.promoted.map(student => ({ student: student._id })));
+
+        if (summary.added > 0 || summary.dropped > 0) {
+            await notificationService.notifySafely(classDoc.professor, {
+                type: 'enrollment',
+                title: `${classDoc.courseCode} roster updated`,
+                message: `${summary.added} added, ${summary.dropped} dropped, ${summary.unknown} unknown student IDs`,
+                class: classDoc._id
             });
         }
 
-        const classDoc = await Class.findOne({
-            _id: req.params.id,
-            professor: req.professorId
+        res.json({
+            success: true,
+            message: `Roster updated: ${summary.added} added, ${summary.dropped} dropped`,
+            data: {
+                dryRun: false,
+                mode,
+                summary,
+                ...diff,
+                currentEnrollment: classDoc.currentEnrollment,
+                waitlistCount: classDoc.waitlistCount
+            }
+        });
+    } catch (error) {
+        console.error('Bulk enroll error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update class roster'
         });
+    }
+});
 
-        if (!classDoc) {
-            return res.status(404).json({
+// @route   PUT /api/classes/:id/students/:studentId/status
+// @desc    Update student enrollment status
+// @access  Private
+router.put('/:id/students/:studentId/status', auth, paramValidation.mongoId, authorize('roster:write'), async (req, res) => {
+    try {
+        const { status } = req.body;
+
+        if (!['enrolled', 'waitlisted', 'dropped', 'completed'].includes(status)) {
+            return res.status(400).json({
                 success: false,
-                message: 'Class not found'
+                message: 'Invalid status. Must be enrolled, waitlisted, dropped, or completed'
             });
         }
 
+        const classDoc = req.classDoc;
+
         // Find and update student enrollment
         const enrollment = classDoc.enrolledStudents.find(
             e => e.student.toString() === req.params.studentId
@@ -334,17 +667,49 @@ router.put('/:id/students/:studentId/status', auth, paramValidation.mongoId, asy
             });
         }
 
+        const previousStatus = enrollment.status;
+
+        if (status === 'enrolled' && previousStatus !== 'enrolled' && classDoc.currentEnrollment >= classDoc.maxEnrollment) {
+            return res.status(400).json({
+                success: false,
+                message: 'Class is full'
+            });
+        }
+
+        if (status === 'waitlisted' && previousStatus !== 'waitlisted' && classDoc.waitlistCount >= classDoc.maxWaitlist) {
+            return res.status(400).json({
+                success: false,
+                message: 'Waitlist is full'
+            });
+        }
+
         enrollment.status = status;
+        if (status === 'waitlisted' && previousStatus !== 'waitlisted') {
+            // Students moved back onto the waitlist join at the end
+            enrollment.waitlistedAt = new Date();
+        } else if (status !== 'waitlisted') {
+            enrollment.waitlistedAt = undefined;
+        }
+
+        // A seat given up goes to the first student on the waitlist, never back to the student who left it
+        const promoted = previousStatus === 'enrolled' && status !== 'enrolled'
+            ? classDoc.promoteFromWaitlist(enrollment)
+            : [];
+
         await classDoc.save();
+        await notifyPromotedStudents(classDoc, promoted);
 
         const updatedClass = await Class.findById(classDoc._id)
             .populate('enrolledStudents.student', 'firstName lastName studentId email');
 
         res.json({
             success: true,
-            message: 'Student status updated successfully',
+            message: promoted.length > 0
+                ? `Student status updated successfully. ${promoted.length} student(s) enrolled from the waitlist`
+                : 'Student status updated successfully',
             data: {
-                class: updatedClass
+                class: updatedClass,
+                promoted: promoted.map(enrollment => enrollment.student)
             }
         });
     } catch (error) {
@@ -359,7 +724,7 @@ router.put('/:id/students/:studentId/status', auth, paramValidation.mongoId, asy
 // @route   POST /api/classes/:id/announcements
 // @desc    Add announcement to class
 // @access  Private
-router.post('/:id/announcements', auth, paramValidation.mongoId, async (req, res) => {
+router.post('/:id/announcements', auth, paramValidation.mongoId, authorize('class:write'), async (req, res) => {
     try {
         const { title, content, priority, expiryDate } = req.body;
 
@@ -370,17 +735,7 @@ router.post('/:id/announcements', auth, paramValidation.mongoId, async (req, res
             });
         }
 
-        const classDoc = await Class.findOne({
-            _id: req.params.id,
-            professor: req.professorId
-        });
-
-        if (!classDoc) {
-            return res.status(404).json({
-                success: false,
-                message: 'Class not found'
-            });
-        }
+        const classDoc = req.classDoc;
 
         const announcement = {
             title: title.trim(),
@@ -415,19 +770,10 @@ router.post('/:id/announcements', auth, paramValidation.mongoId, async (req, res
 // @route   GET /api/classes/:id/roster
 // @desc    Get class roster
 // @access  Private
-router.get('/:id/roster', auth, paramValidation.mongoId, async (req, res) => {
+router.get('/:id/roster', auth, paramValidation.mongoId, authorize('roster:read'), async (req, res) => {
     try {
-        const classDoc = await Class.findOne({
-            _id: req.params.id,
-            professor: req.professorId
-        }).populate('enrolledStudents.student', 'firstName lastName studentId email phoneNumber academicInfo');
-
-        if (!classDoc) {
-            return res.status(404).json({
-                success: false,
-                message: 'Class not found'
-            });
-        }
+        const classDoc = await Class.findById(req.params.id)
+            .populate('enrolledStudents.student', 'firstName lastName studentId email phoneNumber academicInfo');
 
         const roster = classDoc.enrolledStudents
             .filter(enrollment => enrollment.status === 'enrolled')
@@ -438,12 +784,22 @@ router.get('/:id/roster', auth, paramValidation.mongoId, async (req, res) => {
             }))
             .sort((a, b) => a.lastName.localeCompare(b.lastName));
 
+        const waitlist = classDoc.getWaitlist().map((enrollment, index) => ({
+            ...enrollment.student.toObject(),
+            waitlistedAt: enrollment.waitlistedAt || enrollment.enrollmentDate,
+            position: index + 1,
+            status: enrollment.status
+        }));
+
         res.json({
             success: true,
             data: {
                 roster,
+                waitlist,
                 totalEnrolled: roster.length,
+                totalWaitlisted: waitlist.length,
                 maxEnrollment: classDoc.maxEnrollment,
+                maxWaitlist: classDoc.maxWaitlist,
                 availableSpots: classDoc.availableSpots
             }
         });
@@ -456,4 +812,418 @@ router.get('/:id/roster', auth, paramValidation.mongoId, async (req, res) => {
     }
 });
 
+// @route   GET /api/classes/:id/members
+// @desc    List the staff who can access a class
+// @access  Private
+router.get('/:id/members', auth, paramValidation.mongoId, authorize('class:read'), async (req, res) => {
+    try {
+        const classDoc = await Class.findById(req.params.id)
+            .populate('professor', 'firstName lastName email department')
+            .populate('members.user', 'firstName lastName email department');
+
+        res.json({
+            success: true,
+            data: {
+                owner: classDoc.professor,
+                members: classDoc.members
+            }
+        });
+    } catch (error) {
+        console.error('Get class members error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get class members'
+        });
+    }
+});
+
+// @route   POST /api/classes/:id/members
+// @desc    Add a co-instructor, teaching assistant or auditor to a class
+// @access  Private
+router.post('/:id/members', auth, paramValidation.mongoId, classValidation.addMember, authorize('members:manage'), async (req, res) => {
+    try {
+        const { email, role } = req.body;
+        const classDoc = req.classDoc;
+
+        const member = await Professor.findOne({ email, isActive: true });
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'No active account found with this email address'
+            });
+        }
+
+        const isOwner = classDoc.professor.toString() === member._id.toString();
+        const isMember = classDoc.members.some(m => m.user.toString() === member._id.toString());
+
+        if (isOwner || isMember) {
+            return res.status(400).json({
+                success: false,
+                message: 'This person already has access to the class'
+            });
+        }
+
+        classDoc.members.push({
+            user: member._id,
+            role,
+            addedBy: req.professorId,
+            addedAt: new Date()
+        });
+        await classDoc.save();
+
+        const updatedClass = await Class.findById(classDoc._id)
+            .populate('members.user', 'firstName lastName email department');
+
+        res.status(201).json({
+            success: true,
+            message: 'Member added successfully',
+            data: {
+                members: updatedClass.members
+            }
+        });
+    } catch (error) {
+        console.error('Add class member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add class member'
+        });
+    }
+});
+
+// @route   PUT /api/classes/:id/members/:memberId
+// @desc    Change a member's role on a class
+// @access  Private
+router.put('/:id/members/:memberId', auth, paramValidation.mongoId, classValidation.updateMember, authorize('members:manage'), async (req, res) => {
+    try {
+        const classDoc = req.classDoc;
+
+        const membership = classDoc.members.find(m => m.user.toString() === req.params.memberId);
+        if (!membership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found in this class'
+            });
+        }
+
+        membership.role = req.body.role;
+        await classDoc.save();
+
+        const updatedClass = await Class.findById(classDoc._id)
+            .populate('members.user', 'firstName lastName email department');
+
+        res.json({
+            success: true,
+            message: 'Member role updated successfully',
+            data: {
+                members: updatedClass.members
+            }
+        });
+    } catch (error) {
+        console.error('Update class member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update class member'
+        });
+    }
+});
+
+// @route   DELETE /api/classes/:id/members/:memberId
+// @desc    Remove a member from a class
+// @access  Private
+router.delete('/:id/members/:memberId', auth, paramValidation.mongoId, authorize('members:manage'), async (req, res) => {
+    try {
+        const classDoc = req.classDoc;
+
+        const membership = classDoc.members.find(m => m.user.toString() === req.params.memberId);
+        if (!membership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found in this class'
+            });
+        }
+
+        classDoc.members.pull(membership._id);
+        await classDoc.save();
+
+        res.json({
+            success: true,
+            message: 'Member removed successfully'
+        });
+    } catch (error) {
+        console.error('Remove class member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove class member'
+        });
+    }
+});
+
+// @route   GET /api/classes/:id/assignments
+// @desc    List the class's assignments
+// @access  Private
+router.get('/:id/assignments', auth, paramValidation.mongoId, authorize('class:read'), async (req, res) => {
+    try {
+        const assignments = await Assignment.find({ class: req.params.id, isActive: true })
+            .sort({ dueDate: 1, createdAt: 1 });
+
+        // Number of grades entered for each assignment
+        const counts = await Grade.aggregate([
+            { $match: { assignment: { $in: assignments.map(a => a._id) } } },
+            { $group: { _id: '$assignment', count: { $sum: 1 } } }
+        ]);
+        const countByAssignment = {};
+        counts.forEach(c => {
+            countByAssignment[c._id.toString()] = c.count;
+        });
+
+        res.json({
+            success: true,
+            data: {
+                assignments: assignments.map(assignment => ({
+                    ...assignment.toJSON(),
+                    gradedCount: countByAssignment[assignment._id.toString()] || 0
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Get assignments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get assignments'
+        });
+    }
+});
+
+// @route   POST /api/classes/:id/assignments
+// @desc    Create an assignment in the class
+// @access  Private
+router.post('/:id/assignments', auth, paramValidation.mongoId, assignmentValidation.create, authorize('class:write'), async (req, res) => {
+    try {
+        const { name, description, type, dueDate, maxPoints, weight, latePolicy, rubric } = req.body;
+
+        const existingAssignment = await Assignment.findOne({
+            class: req.params.id,
+            name: name.trim(),
+            isActive: true
+        });
+
+        if (existingAssignment) {
+            return res.status(400).json({
+                success: false,
+                message: 'An assignment with this name already exists in this class'
+            });
+        }
+
+        if (rubric) {
+            const rubricError = await checkAssignmentRubric(rubric, maxPoints, req.professorId);
+            if (rubricError) {
+                return res.status(400).json({
+                    success: false,
+                    message: rubricError
+                });
+            }
+        }
+
+        const assignment = new Assignment({
+            class: req.params.id,
+            professor: req.classDoc.professor,
+            name,
+            description,
+            type,
+            dueDate: dueDate || undefined,
+            maxPoints,
+            weight,
+            latePolicy: latePolicy || null,
+            rubric: rubric || null
+        });
+
+        await assignment.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Assignment created successfully',
+            data: {
+                assignment
+            }
+        });
+    } catch (error) {
+        console.error('Create assignment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create assignment'
+        });
+    }
+});
+
+// @route   GET /api/classes/:id/assignments/:assignmentId
+// @desc    Get an assignment
+// @access  Private
+router.get('/:id/assignments/:assignmentId', auth, paramValidation.mongoId, paramValidation.assignmentId, authorize('class:read'), async (req, res) => {
+    try {
+        const assignment = await Assignment.findOne({
+            _id: req.params.assignmentId,
+            class: req.params.id,
+            isActive: true
+        }).populate('rubric');
+
+        if (!assignment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment not found'
+            });
+        }
+
+        const gradedCount = await Grade.countDocuments({ assignment: assignment._id });
+
+        res.json({
+            success: true,
+            data: {
+                assignment,
+                gradedCount
+            }
+        });
+    } catch (error) {
+        console.error('Get assignment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get assignment'
+        });
+    }
+});
+
+// @route   PUT /api/classes/:id/assignments/:assignmentId
+// @desc    Update an assignment; every grade for it picks up the change
+// @access  Private
+router.put('/:id/assignments/:assignmentId', auth, paramValidation.mongoId, paramValidation.assignmentId, assignmentValidation.update, authorize('class:write'), async (req, res) => {
+    try {
+        const assignment = await Assignment.findOne({
+            _id: req.params.assignmentId,
+            class: req.params.id,
+            isActive: true
+        });
+
+        if (!assignment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment not found'
+            });
+        }
+
+        if (req.body.name && req.body.name.trim() !== assignment.name) {
+            const duplicate = await Assignment.exists({
+                class: req.params.id,
+                name: req.body.name.trim(),
+                isActive: true
+            });
+
+            if (duplicate) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'An assignment with this name already exists in this class'
+                });
+            }
+        }
+
+        ['name', 'description', 'type', 'dueDate', 'maxPoints', 'weight', 'latePolicy', 'rubric'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                assignment[field] = req.body[field] === '' ? null : req.body[field];
+            }
+        });
+
+        // A newly chosen rubric must be the caller's; any attached rubric must still total maxPoints
+        if (assignment.rubric && (assignment.isModified('rubric') || assignment.isModified('maxPoints'))) {
+            const rubricError = await checkAssignmentRubric(
+                assignment.rubric,
+                assignment.maxPoints,
+                assignment.isModified('rubric') ? req.professorId : null
+            );
+            if (rubricError) {
+                return res.status(400).json({
+                    success: false,
+                    message: rubricError
+                });
+            }
+        }
+
+        const pointsChanged = assignment.isModified('maxPoints');
+        const dueDateChanged = assignment.isModified('dueDate');
+        const latePolicyChanged = assignment.isModified('latePolicy');
+        await assignment.save();
+
+        // Stored percentages, letter grades, lateness and late penalties depend on the assignment
+        if (pointsChanged || dueDateChanged || latePolicyChanged) {
+            const reason = [
+                pointsChanged && 'Maximum points changed',
+                dueDateChanged && 'Due date changed',
+                latePolicyChanged && 'Late policy changed'
+            ].filter(Boolean).join(', ');
+            const grades = await Grade.find({ assignment: assignment._id });
+            for (const grade of grades) {
+                grade.assignment = assignment;
+                if (pointsChanged) {
+                    grade.score.percentage = undefined;
+                    grade.score.letterGrade = undefined;
+                }
+                await grade.auditAs(req.professorId, { reason }).save();
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'Assignment updated successfully',
+            data: {
+                assignment
+            }
+        });
+    } catch (error) {
+        console.error('Update assignment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update assignment'
+        });
+    }
+});
+
+// @route   DELETE /api/classes/:id/assignments/:assignmentId
+// @desc    Delete an assignment (soft delete); refused while it has grades
+// @access  Private
+router.delete('/:id/assignments/:assignmentId', auth, paramValidation.mongoId, paramValidation.assignmentId, authorize('class:write'), async (req, res) => {
+    try {
+        const assignment = await Assignment.findOne({
+            _id: req.params.assignmentId,
+            class: req.params.id,
+            isActive: true
+        });
+
+        if (!assignment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment not found'
+            });
+        }
+
+        const gradedCount = await Grade.countDocuments({ assignment: assignment._id });
+        if (gradedCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Assignment has ${gradedCount} grade(s). Delete them before deleting the assignment.`
+            });
+        }
+
+        assignment.isActive = false;
+        await assignment.save();
+
+        res.json({
+            success: true,
+            message: 'Assignment deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete assignment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete assignment'
+        });
+    }
+});
+
 module.exports = router;
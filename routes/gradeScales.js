@@ -0,0 +1,225 @@
+const express = require('express');
+const GradeScale = require('../models/GradeScale');
+const Class = require('../models/Class');
+const gradebookService = require('../services/gradebookService');
+const { auth } = require('../middleware/auth');
+const { gradeScaleValidation, paramValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// The built-in scale, listed alongside the professor's own so it can be chosen in the UI
+const DEFAULT_SCALE = {
+    _id: null,
+    name: 'Standard',
+    description: 'Default letter-grade scale used when a class has no scale attached',
+    scaleType: 'letter',
+    cutoffs: GradeScale.DEFAULT_CUTOFFS,
+    isDefault: true
+};
+
+// @route   GET /api/grade-scales
+// @desc    Get the professor's grade scales and the built-in default
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    try {
+        const scales = await GradeScale.find({
+            professor: req.professorId,
+            isActive: true
+        }).sort({ name: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                defaultScale: DEFAULT_SCALE,
+                scales
+            }
+        });
+    } catch (error) {
+        console.error('Get grade scales error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get grade scales'
+        });
+    }
+});
+
+// @route   GET /api/grade-scales/:id
+// @desc    Get grade scale by ID
+// @access  Private
+router.get('/:id', auth, paramValidation.mongoId, async (req, res) => {
+    try {
+        const scale = await GradeScale.findOne({
+            _id: req.params.id,
+            professor: req.professorId,
+            isActive: true
+        });
+
+        if (!scale) {
+            return res.status(404).json({
+                success: false,
+                message: 'Grade scale not found'
+            });
+        }
+
+        const classes = await Class.find({ gradeScale: scale._id, isActive: true })
+            .select('className courseCode semester year');
+
+        res.json({
+            success: true,
+            data: {
+                scale,
+                classes
+            }
+        });
+    } catch (error) {
+        console.error('Get grade scale error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get grade scale'
+        });
+    }
+});
+
+// @route   POST /api/grade-scales
+// @desc    Create a new grade scale
+// @access  Private
+router.post('/', auth, gradeScaleValidation.create, async (req, res) => {
+    try {
+        const { name, description, scaleType, cutoffs } = req.body;
+
+        const scale = new GradeScale({
+            name,
+            description,
+            scaleType,
+            cutoffs,
+            professor: req.professorId
+        });
+
+        await scale.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Grade scale created successfully',
+            data: {
+                scale
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+        console.error('Create grade scale error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create grade scale'
+        });
+    }
+});
+
+// @route   PUT /api/grade-scales/:id
+// @desc    Update grade scale by ID
+// @access  Private
+router.put('/:id', auth, paramValidation.mongoId, gradeScaleValidation.update, async (req, res) => {
+    try {
+        const scale = await GradeScale.findOne({
+            _id: req.params.id,
+            professor: req.professorId,
+            isActive: true
+        });
+
+        if (!scale) {
+            return res.status(404).json({
+                success: false,
+                message: 'Grade scale not found'
+            });
+        }
+
+        ['name', 'description', 'scaleType', 'cutoffs'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                scale[field] = req.body[field];
+            }
+        });
+
+        const cutoffsChanged = scale.isModified('cutoffs');
+
+        // Saving (rather than findByIdAndUpdate) runs the cutoff checks
+        await scale.save();
+
+        // Stored letters in the classes using the scale follow the new cutoffs
+        let regraded = 0;
+        if (cutoffsChanged) {
+            const classIds = await Class.find({ gradeScale: scale._id, isActive: true }).distinct('_id');
+            for (const classId of classIds) {
+                regraded += await gradebookService.refreshLetterGrades(classId, req.professorId, 'Grade scale cutoffs changed');
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'Grade scale updated successfully',
+            data: {
+                scale,
+                regraded
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+        console.error('Update grade scale error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update grade scale'
+        });
+    }
+});
+
+// @route   DELETE /api/grade-scales/:id
+// @desc    Delete grade scale by ID (soft delete)
+// @access  Private
+router.delete('/:id', auth, paramValidation.mongoId, async (req, res) => {
+    try {
+        const scale = await GradeScale.findOne({
+            _id: req.params.id,
+            professor: req.professorId,
+            isActive: true
+        });
+
+        if (!scale) {
+            return res.status(404).json({
+                success: false,
+                message: 'Grade scale not found'
+            });
+        }
+
+        const inUse = await Class.countDocuments({ gradeScale: scale._id, isActive: true });
+        if (inUse > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Grade scale is used by ${inUse} class(es). Detach it before deleting.`
+            });
+        }
+
+        scale.isActive = false;
+        await scale.save();
+
+        res.json({
+            success: true,
+            message: 'Grade scale deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete grade scale error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete grade scale'
+        });
+    }
+});
+
+module.exports = router;
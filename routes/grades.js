@@ -1,16 +1,56 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Grade = require('../models/Grade');
+const GradeHistory = require('../models/GradeHistory');
 const Class = require('../models/Class');
 const Student = require('../models/Student');
+const Assignment = require('../models/Assignment');
 const { auth } = require('../middleware/auth');
+const { authorize, getClassRole, hasPermission, findAccessibleClassIds } = require('../middleware/authorize');
 const { gradeValidation, paramValidation, queryValidation } = require('../middleware/validation');
+const GradeScale = require('../models/GradeScale');
+const gradeCalculator = require('../services/gradeCalculator');
+const attendanceService = require('../services/attendanceService');
+const gradebookService = require('../services/gradebookService');
+const analyticsService = require('../services/analyticsService');
+const curveService = require('../services/curveService');
 
 const router = express.Router();
 
+// Assignment fields shown alongside a grade
+const ASSIGNMENT_FIELDS = 'name type dueDate maxPoints weight rubric';
+
+// Order grades by their assignment's due date, most recent first unless ascending
+const sortByDueDate = (grades, ascending = false) => grades.sort((a, b) => {
+    const aDue = a.assignment?.dueDate ? new Date(a.assignment.dueDate).getTime() : 0;
+    const bDue = b.assignment?.dueDate ? new Date(b.assignment.dueDate).getTime() : 0;
+    return ascending ? aDue - bDue : bDue - aDue;
+});
+
+// Load a grade and check the caller's permission on the class it belongs to
+const findGradeWithPermission = async (gradeId, professor, permission, { withDeleted = false } = {}) => {
+    const grade = await Grade.findById(gradeId).setOptions({ withDeleted });
+    if (!grade) {
+        return { status: 404, message: 'Grade not found' };
+    }
+
+    const classDoc = await Class.findById(grade.class);
+    const role = classDoc ? await getClassRole(classDoc, professor) : null;
+    if (!role) {
+        return { status: 404, message: 'Grade not found' };
+    }
+
+    if (!hasPermission(role, permission)) {
+        return { status: 403, message: `Your role on this class does not allow ${permission}` };
+    }
+
+    return { grade, classDoc, role };
+};
+
 // @route   GET /api/grades
 // @desc    Get all grades with filtering
 // @access  Private
-router.get('/', auth, queryValidation.pagination, async (req, res) => {
+router.get('/', auth, queryValidation.pagination, queryValidation.disputeStatus, async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 10;
@@ -19,11 +59,13 @@ router.get('/', auth, queryValidation.pagination, async (req, res) => {
         const studentId = req.query.studentId;
         const assignmentType = req.query.assignmentType;
 
-        let query = { professor: req.professorId };
+        // Only grades from classes the caller can read grades for
+        const readableClassIds = await findAccessibleClassIds(req.professor, 'grades:read');
+        let query = { class: { $in: readableClassIds } };
 
         // Filter by class
         if (classId) {
-            query.class = classId;
+            query.class = readableClassIds.some(id => id.toString() === classId) ? classId : { $in: [] };
         }
 
         // Filter by student
@@ -33,13 +75,20 @@ router.get('/', auth, queryValidation.pagination, async (req, res) => {
 
         // Filter by assignment type
         if (assignmentType) {
-            query['assignment.type'] = assignmentType;
+            const assignmentIds = await Assignment.find({ class: query.class, type: assignmentType }).distinct('_id');
+            query.assignment = { $in: assignmentIds };
+        }
+
+        // Filter by dispute status, e.g. ?disputeStatus=open for disputes awaiting review
+        if (req.query.disputeStatus) {
+            query['dispute.status'] = req.query.disputeStatus;
         }
 
         const grades = await Grade.find(query)
             .populate('student', 'firstName lastName studentId')
             .populate('class', 'className courseCode')
-            .sort({ 'assignment.dueDate': -1, createdAt: -1 })
+            .populate('assignment', ASSIGNMENT_FIELDS)
+            .sort({ createdAt: -1 })
             .skip(skip)
             .limit(limit);
 
@@ -71,20 +120,19 @@ router.get('/', auth, queryValidation.pagination, async (req, res) => {
 // @access  Private
 router.get('/:id', auth, paramValidation.mongoId, async (req, res) => {
     try {
-        const grade = await Grade.findOne({
-            _id: req.params.id,
-            professor: req.professorId
-        })
-        .populate('student', 'firstName lastName studentId email')
-        .populate('class', 'className courseCode semester year');
-
-        if (!grade) {
-            return res.status(404).json({
+        const access = await findGradeWithPermission(req.params.id, req.professor, 'grades:read');
+        if (!access.grade) {
+            return res.status(access.status).json({
                 success: false,
-                message: 'Grade not found'
+                message: access.message
             });
         }
 
+        const grade = await Grade.findById(req.params.id)
+            .populate('student', 'firstName lastName studentId email')
+            .populate('class', 'className courseCode semester year')
+            .populate('assignment', ASSIGNMENT_FIELDS);
+
         res.json({
             success: true,
             data: {
@@ -103,20 +151,9 @@ router.get('/:id', auth, paramValidation.mongoId, async (req, res) => {
 // @route   POST /api/grades
 // @desc    Create a new grade
 // @access  Private
-router.post('/', auth, gradeValidation.create, async (req, res) => {
+router.post('/', auth, gradeValidation.create, authorize('grades:write'), async (req, res) => {
     try {
-        // Verify the class belongs to the professor
-        const classDoc = await Class.findOne({
-            _id: req.body.class,
-            professor: req.professorId
-        });
-
-        if (!classDoc) {
-            return res.status(404).json({
-                success: false,
-                message: 'Class not found'
-            });
-        }
+        const classDoc = req.classDoc;
 
         // Verify the student is enrolled in the class
         const isEnrolled = classDoc.enrolledStudents.some(
@@ -131,11 +168,24 @@ router.post('/', auth, gradeValidation.create, async (req, res) => {
             });
         }
 
+        // The assignment must belong to the same class
+        const assignment = await Assignment.findOne({
+            _id: req.body.assignment,
+            class: classDoc._id,
+            isActive: true
+        });
+
+        if (!assignment) {
+            return res.status(400).json({
+                success: false,
+                message: 'Assignment not found in this class'
+            });
+        }
+
         // Check if grade already exists for this assignment
         const existingGrade = await Grade.findOne({
             student: req.body.student,
-            class: req.body.class,
-            'assignment.name': req.body.assignment.name
+            assignment: assignment._id
         });
 
         if (existingGrade) {
@@ -145,17 +195,20 @@ router.post('/', auth, gradeValidation.create, async (req, res) => {
             });
         }
 
+        // Grades stay owned by the class's professor; gradedBy records who entered them
         const gradeData = {
             ...req.body,
-            professor: req.professorId
+            professor: classDoc.professor,
+            gradedBy: req.professorId
         };
 
         const grade = new Grade(gradeData);
-        await grade.save();
+        await grade.auditAs(req.professorId).save();
 
         const populatedGrade = await Grade.findById(grade._id)
             .populate('student', 'firstName lastName studentId')
-            .populate('class', 'className courseCode');
+            .populate('class', 'className courseCode')
+            .populate('assignment', ASSIGNMENT_FIELDS);
 
         res.status(201).json({
             success: true,
@@ -176,31 +229,66 @@ router.post('/', auth, gradeValidation.create, async (req, res) => {
 // @route   PUT /api/grades/:id
 // @desc    Update grade by ID
 // @access  Private
-router.put('/:id', auth, paramValidation.mongoId, async (req, res) => {
+router.put('/:id', auth, paramValidation.mongoId, gradeValidation.update, async (req, res) => {
     try {
-        const grade = await Grade.findOneAndUpdate(
-            { _id: req.params.id, professor: req.professorId },
-            req.body,
-            { new: true, runValidators: true }
-        )
-        .populate('student', 'firstName lastName studentId')
-        .populate('class', 'className courseCode');
-
-        if (!grade) {
-            return res.status(404).json({
+        const access = await findGradeWithPermission(req.params.id, req.professor, 'grades:write');
+        if (!access.grade) {
+            return res.status(access.status).json({
                 success: false,
-                message: 'Grade not found'
+                message: access.message
             });
         }
 
+        // A grade can't be moved to another class, assignment or owner, or un-deleted, through an update
+        const {
+            class: _class, professor: _professor, gradedBy: _gradedBy, assignment: _assignment, dispute: _dispute,
+            student: _student, isDeleted: _isDeleted, deletedAt: _deletedAt, deletedBy: _deletedBy, reason, ...updates
+        } = req.body;
+
+        // Nested fields are set one at a time, so those the client leaves out (such as a curve) are kept
+        const fields = {};
+        Object.entries(updates).forEach(([path, value]) => {
+            if (['score', 'feedback', 'submissionInfo'].includes(path) && value && typeof value === 'object' && !Array.isArray(value)) {
+                Object.entries(value).forEach(([field, fieldValue]) => { fields[`${path}.${field}`] = fieldValue; });
+            } else {
+                fields[path] = value;
+            }
+        });
+        // Curves and penalties are applied by their own routes and the pre-save hook
+        delete fields['score.curveAdjustment'];
+        delete fields['score.adjustedPoints'];
+
+        const grade = access.grade;
+        Object.entries(fields).forEach(([path, value]) => grade.set(path, value));
+        grade.set('gradedBy', req.professorId);
+
+        // New points are re-graded by the pre-save hook unless a percentage or letter was sent too
+        if (grade.isModified('score.points')) {
+            if (updates.score?.percentage === undefined) grade.score.percentage = undefined;
+            if (updates.score?.letterGrade === undefined) grade.score.letterGrade = undefined;
+        }
+
+        await grade.auditAs(req.professorId, { reason }).save();
+
+        const populatedGrade = await Grade.findById(grade._id)
+            .populate('student', 'firstName lastName studentId')
+            .populate('class', 'className courseCode')
+            .populate('assignment', ASSIGNMENT_FIELDS);
+
         res.json({
             success: true,
             message: 'Grade updated successfully',
             data: {
-                grade
+                grade: populatedGrade
             }
         });
     } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
         console.error('Update grade error:', error);
         res.status(500).json({
             success: false,
@@ -209,23 +297,122 @@ router.put('/:id', auth, paramValidation.mongoId, async (req, res) => {
     }
 });
 
-// @route   DELETE /api/grades/:id
-// @desc    Delete grade by ID
+// @route   PUT /api/grades/:id/dispute
+// @desc    Accept or reject a student's grade dispute, optionally changing the points
 // @access  Private
-router.delete('/:id', auth, paramValidation.mongoId, async (req, res) => {
+router.put('/:id/dispute', auth, paramValidation.mongoId, gradeValidation.resolveDispute, async (req, res) => {
     try {
-        const grade = await Grade.findOneAndDelete({
-            _id: req.params.id,
-            professor: req.professorId
+        const access = await findGradeWithPermission(req.params.id, req.professor, 'grades:write');
+        if (!access.grade) {
+            return res.status(access.status).json({
+                success: false,
+                message: access.message
+            });
+        }
+
+        const grade = access.grade;
+        if (grade.dispute?.status !== 'open') {
+            return res.status(400).json({
+                success: false,
+                message: 'This grade has no open dispute'
+            });
+        }
+
+        const { status, response, points } = req.body;
+
+        // Changed points are re-graded by the pre-save hook
+        if (status === 'accepted' && points !== undefined) {
+            grade.score.points = points;
+            grade.score.percentage = undefined;
+            grade.score.letterGrade = undefined;
+            grade.gradedBy = req.professorId;
+        }
+
+        grade.dispute.status = status;
+        grade.dispute.response = response;
+        grade.dispute.resolvedAt = new Date();
+        grade.dispute.resolvedBy = req.professorId;
+        await grade.auditAs(req.professorId, { action: 'dispute_resolved', reason: response }).save();
+
+        const populatedGrade = await Grade.findById(grade._id)
+            .populate('student', 'firstName lastName studentId')
+            .populate('class', 'className courseCode')
+            .populate('assignment', ASSIGNMENT_FIELDS);
+
+        res.json({
+            success: true,
+            message: `Dispute ${status}`,
+            data: {
+                grade: populatedGrade
+            }
         });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+        console.error('Resolve grade dispute error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to resolve dispute'
+        });
+    }
+});
 
-        if (!grade) {
-            return res.status(404).json({
+// @route   GET /api/grades/:id/history
+// @desc    Get the change history of a grade, newest first (deleted grades included)
+// @access  Private
+router.get('/:id/history', auth, paramValidation.mongoId, async (req, res) => {
+    try {
+        const access = await findGradeWithPermission(req.params.id, req.professor, 'grades:read', { withDeleted: true });
+        if (!access.grade) {
+            return res.status(access.status).json({
+                success: false,
+                message: access.message
+            });
+        }
+
+        const history = await GradeHistory.find({ grade: req.params.id })
+            .populate('changedBy', 'firstName lastName')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: {
+                history,
+                isDeleted: access.grade.isDeleted
+            }
+        });
+    } catch (error) {
+        console.error('Get grade history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get grade history'
+        });
+    }
+});
+
+// @route   DELETE /api/grades/:id
+// @desc    Delete grade by ID (soft delete; the grade stays in the history)
+// @access  Private
+router.delete('/:id', auth, paramValidation.mongoId, gradeValidation.withReason, async (req, res) => {
+    try {
+        const access = await findGradeWithPermission(req.params.id, req.professor, 'grades:write');
+        if (!access.grade) {
+            return res.status(access.status).json({
                 success: false,
-                message: 'Grade not found'
+                message: access.message
             });
         }
 
+        const grade = access.grade;
+        grade.isDeleted = true;
+        grade.deletedAt = new Date();
+        grade.deletedBy = req.professorId;
+        await grade.auditAs(req.professorId, { action: 'deleted', reason: req.body.reason }).save();
+
         res.json({
             success: true,
             message: 'Grade deleted successfully'
@@ -239,66 +426,88 @@ router.delete('/:id', auth, paramValidation.mongoId, async (req, res) => {
     }
 });
 
-// @route   GET /api/grades/class/:classId/summary
-// @desc    Get grade summary for a class
+// @route   POST /api/grades/:id/restore
+// @desc    Restore a deleted grade
 // @access  Private
-router.get('/class/:classId/summary', auth, paramValidation.mongoId, async (req, res) => {
+router.post('/:id/restore', auth, paramValidation.mongoId, gradeValidation.withReason, async (req, res) => {
     try {
-        // Verify the class belongs to the professor
-        const classDoc = await Class.findOne({
-            _id: req.params.classId,
-            professor: req.professorId
-        });
+        const access = await findGradeWithPermission(req.params.id, req.professor, 'grades:write', { withDeleted: true });
+        if (!access.grade) {
+            return res.status(access.status).json({
+                success: false,
+                message: access.message
+            });
+        }
 
-        if (!classDoc) {
-            return res.status(404).json({
+        const grade = access.grade;
+        if (!grade.isDeleted) {
+            return res.status(400).json({
                 success: false,
-                message: 'Class not found'
+                message: 'Grade is not deleted'
             });
         }
 
-        const grades = await Grade.find({
-            class: req.params.classId,
-            professor: req.professorId
-        })
-        .populate('student', 'firstName lastName studentId')
-        .sort({ 'student.lastName': 1, 'assignment.dueDate': 1 });
+        // A new grade may have been entered for the assignment since this one was deleted
+        const replacement = await Grade.findOne({ student: grade.student, assignment: grade.assignment });
+        if (replacement) {
+            return res.status(400).json({
+                success: false,
+                message: 'The student already has another grade for this assignment'
+            });
+        }
 
-        // Group grades by student
-        const studentGrades = {};
-        grades.forEach(grade => {
-            const studentId = grade.student._id.toString();
-            if (!studentGrades[studentId]) {
-                studentGrades[studentId] = {
-                    student: grade.student,
-                    grades: [],
-                    totalPoints: 0,
-                    maxTotalPoints: 0,
-                    percentage: 0
-                };
-            }
-            studentGrades[studentId].grades.push(grade);
-            if (!grade.isExcused && !grade.isExtra) {
-                studentGrades[studentId].totalPoints += grade.score.points;
-                studentGrades[studentId].maxTotalPoints += grade.assignment.maxPoints;
-            }
-        });
+        grade.isDeleted = false;
+        grade.deletedAt = undefined;
+        grade.deletedBy = undefined;
+        await grade.auditAs(req.professorId, { action: 'restored', reason: req.body.reason }).save();
+
+        const populatedGrade = await Grade.findById(grade._id)
+            .populate('student', 'firstName lastName studentId')
+            .populate('class', 'className courseCode')
+            .populate('assignment', ASSIGNMENT_FIELDS);
 
-        // Calculate final percentages
-        Object.values(studentGrades).forEach(student => {
-            if (student.maxTotalPoints > 0) {
-                student.percentage = Math.round((student.totalPoints / student.maxTotalPoints) * 100 * 100) / 100;
+        res.json({
+            success: true,
+            message: 'Grade restored successfully',
+            data: {
+                grade: populatedGrade
             }
         });
+    } catch (error) {
+        console.error('Restore grade error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to restore grade'
+        });
+    }
+});
+
+// @route   GET /api/grades/class/:classId/summary
+// @desc    Get grade summary for a class with each student's missing work; ?missingAsZero=true|false overrides the class policy
+// @access  Private
+router.get('/class/:classId/summary', auth, paramValidation.classId, gradeValidation.summary, authorize('grades:read'), async (req, res) => {
+    try {
+        const { classDoc, cutoffs, grades, assignments, missingAsZero, results: calculated } = await gradebookService.calculateClass(
+            req.params.classId,
+            { missingAsZero: req.query.missingAsZero }
+        );
+        const displayPreference = req.professor.preferences?.gradeScale;
+
+        const results = calculated.map(entry => ({
+            ...entry,
+            displayGrade: gradeCalculator.formatResult(entry, displayPreference)
+        }));
 
         // Calculate class statistics
-        const percentages = Object.values(studentGrades).map(s => s.percentage).filter(p => p > 0);
+        const percentages = results.map(s => s.percentage).filter(p => p !== null);
         const classAverage = percentages.length > 0 ? 
             Math.round((percentages.reduce((sum, p) => sum + p, 0) / percentages.length) * 100) / 100 : 0;
 
         const statistics = {
-            totalStudents: Object.keys(studentGrades).length,
+            totalStudents: results.length,
             totalGrades: grades.length,
+            totalAssignments: assignments.length,
+            totalMissing: results.reduce((sum, s) => sum + s.missing.filter(a => a.isPastDue).length, 0),
             classAverage,
             highestGrade: percentages.length > 0 ? Math.max(...percentages) : 0,
             lowestGrade: percentages.length > 0 ? Math.min(...percentages) : 0
@@ -307,7 +516,14 @@ router.get('/class/:classId/summary', auth, paramValidation.mongoId, async (req,
         res.json({
             success: true,
             data: {
-                studentGrades: Object.values(studentGrades),
+                studentGrades: results,
+                gradingPolicy: gradeCalculator.getPolicy(classDoc),
+                missingAsZero,
+                gradeScale: {
+                    name: classDoc.gradeScale ? classDoc.gradeScale.name : 'Standard',
+                    cutoffs
+                },
+                displayPreference: displayPreference || 'percentage',
                 statistics
             }
         });
@@ -320,17 +536,384 @@ router.get('/class/:classId/summary', auth, paramValidation.mongoId, async (req,
     }
 });
 
+// @route   POST /api/grades/class/:classId/missing/fill
+// @desc    Fill missing work with zero or excused grades (past-due assignments unless includeNotDue); dryRun lists what would be filled
+// @access  Private
+router.post('/class/:classId/missing/fill', auth, paramValidation.classId, gradeValidation.fillMissing, authorize('grades:write'), async (req, res) => {
+    try {
+        const { value, assignmentIds, studentIds, includeNotDue = false, dryRun = false, reason } = req.body;
+
+        const result = await gradebookService.fillMissing(
+            req.classDoc,
+            { value, assignmentIds, studentIds, includeNotDue, dryRun },
+            req.professorId,
+            reason
+        );
+
+        if (dryRun) {
+            return res.json({
+                success: true,
+                message: `Dry run: ${result.missing.length} missing grade(s) would be ${value === 'excused' ? 'excused' : 'set to zero'}`,
+                data: {
+                    dryRun: true,
+                    value,
+                    missing: result.missing
+                }
+            });
+        }
+
+        res.status(result.created > 0 ? 201 : 200).json({
+            success: true,
+            message: `${result.created} missing grade(s) ${value === 'excused' ? 'excused' : 'set to zero'}${result.failed > 0 ? `, ${result.failed} failed` : ''}`,
+            data: {
+                dryRun: false,
+                value,
+                ...result
+            }
+        });
+    } catch (error) {
+        console.error('Fill missing grades error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fill missing grades'
+        });
+    }
+});
+
+// @route   GET /api/grades/class/:classId/analytics
+// @desc    Get grade distributions, statistics and trends for a class
+// @access  Private
+router.get('/class/:classId/analytics', auth, paramValidation.classId, authorize('grades:read'), async (req, res) => {
+    try {
+        const analytics = await analyticsService.analyzeClass(req.params.classId);
+
+        res.json({
+            success: true,
+            data: analytics
+        });
+    } catch (error) {
+        console.error('Get grade analytics error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get grade analytics'
+        });
+    }
+});
+
+// Curve options from a request body
+const curveOptions = (body) => ({
+    method: body.method,
+    points: body.points === undefined ? undefined : Number(body.points),
+    targetMean: body.targetMean === undefined ? undefined : Number(body.targetMean),
+    targetStdDev: body.targetStdDev === undefined ? undefined : Number(body.targetStdDev),
+    allowDecrease: body.allowDecrease
+});
+
+// @route   POST /api/grades/class/:classId/assignments/:assignmentId/curve/preview
+// @desc    Show each student's score and letter before and after a curve, without saving
+// @access  Private
+router.post('/class/:classId/assignments/:assignmentId/curve/preview', auth, paramValidation.classId, paramValidation.assignmentId, gradeValidation.curve, authorize('grades:read'), async (req, res) => {
+    try {
+        const preview = await curveService.preview(req.params.classId, req.params.assignmentId, curveOptions(req.body));
+
+        if (!preview) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                assignment: preview.assignment,
+                rows: preview.rows,
+                statistics: preview.statistics
+            }
+        });
+    } catch (error) {
+        console.error('Preview curve error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to preview curve'
+        });
+    }
+});
+
+// @route   POST /api/grades/class/:classId/assignments/:assignmentId/curve
+// @desc    Apply a curve to an assignment; raw scores are kept and the change is recorded in each grade's history
+// @access  Private
+router.post('/class/:classId/assignments/:assignmentId/curve', auth, paramValidation.classId, paramValidation.assignmentId, gradeValidation.curve, authorize('grades:write'), async (req, res) => {
+    try {
+        const result = await curveService.apply(
+            req.params.classId,
+            req.params.assignmentId,
+            curveOptions(req.body),
+            req.professorId,
+            req.body.reason
+        );
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Curve applied to ${result.updated} grade(s)`,
+            data: {
+                assignment: result.assignment,
+                rows: result.rows,
+                statistics: result.statistics,
+                updated: result.updated
+            }
+        });
+    } catch (error) {
+        console.error('Apply curve error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to apply curve'
+        });
+    }
+});
+
+// @route   POST /api/grades/class/:classId/assignments/:assignmentId/curve/revert
+// @desc    Undo the current curve on an assignment using the grade history; the assignment goes back to the curve it replaced
+// @access  Private
+router.post('/class/:classId/assignments/:assignmentId/curve/revert', auth, paramValidation.classId, paramValidation.assignmentId, gradeValidation.withReason, authorize('grades:write'), async (req, res) => {
+    try {
+        const result = await curveService.revert(req.params.classId, req.params.assignmentId, req.professorId, req.body.reason);
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Curve reverted on ${result.reverted} grade(s)`,
+            data: {
+                assignment: result.assignment,
+                reverted: result.reverted
+            }
+        });
+    } catch (error) {
+        console.error('Revert curve error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revert curve'
+        });
+    }
+});
+
+// @route   GET /api/grades/class/:classId/export
+// @desc    Download the class gradebook (?type=gradebook) or registrar final grades (?type=registrar) as ?format=xlsx|csv
+// @access  Private
+router.get('/class/:classId/export', auth, paramValidation.classId, gradeValidation.export, authorize('grades:read'), async (req, res) => {
+    try {
+        const format = req.query.format || 'xlsx';
+        const type = req.query.type || 'gradebook';
+
+        const { classDoc, rows } = await gradebookService.buildExport(req.params.classId, type);
+        const { buffer, contentType, extension } = gradebookService.writeWorkbook(
+            rows,
+            format,
+            type === 'registrar' ? 'Final Grades' : 'Gradebook'
+        );
+
+        const fileName = `${classDoc.courseCode}-${classDoc.semester}-${classDoc.year}-${type}.${extension}`
+            .replace(/[^A-Za-z0-9._-]/g, '_');
+
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.setHeader('Content-Type', contentType);
+        res.send(buffer);
+    } catch (error) {
+        console.error('Export grades error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export grades'
+        });
+    }
+});
+
+// @route   GET /api/grades/class/:classId/assignments/:assignmentId/rubric
+// @desc    Get an assignment's rubric with every enrolled student and their rubric grade, for grading
+// @access  Private
+router.get('/class/:classId/assignments/:assignmentId/rubric', auth, paramValidation.classId, paramValidation.assignmentId, authorize('grades:read'), async (req, res) => {
+    try {
+        const assignment = await Assignment.findOne({
+            _id: req.params.assignmentId,
+            class: req.params.classId,
+            isActive: true
+        }).populate('rubric');
+
+        if (!assignment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment not found'
+            });
+        }
+
+        if (!assignment.rubric) {
+            return res.status(400).json({
+                success: false,
+                message: 'This assignment has no rubric'
+            });
+        }
+
+        const [classDoc, grades] = await Promise.all([
+            Class.findById(req.params.classId)
+                .populate('enrolledStudents.student', 'firstName lastName studentId'),
+            Grade.find({ assignment: assignment._id })
+        ]);
+
+        const gradeByStudent = new Map(grades.map(grade => [grade.student.toString(), grade]));
+        const students = classDoc.enrolledStudents
+            .filter(enrollment => enrollment.status === 'enrolled' && enrollment.student)
+            .map(enrollment => ({
+                student: enrollment.student,
+                grade: gradeByStudent.get(enrollment.student._id.toString()) || null
+            }))
+            .sort((a, b) => a.student.lastName.localeCompare(b.student.lastName));
+
+        res.json({
+            success: true,
+            data: {
+                assignment,
+                rubric: assignment.rubric,
+                students
+            }
+        });
+    } catch (error) {
+        console.error('Get rubric grading error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get rubric grading'
+        });
+    }
+});
+
+// @route   PUT /api/grades/class/:classId/assignments/:assignmentId/rubric/:studentId
+// @desc    Score a student with the assignment's rubric; points are the sum of the selected levels
+// @access  Private
+router.put('/class/:classId/assignments/:assignmentId/rubric/:studentId', auth, paramValidation.classId, paramValidation.assignmentId, paramValidation.studentId, gradeValidation.rubricScore, authorize('grades:write'), async (req, res) => {
+    try {
+        const classDoc = req.classDoc;
+        const { studentId } = req.params;
+
+        const isEnrolled = classDoc.enrolledStudents.some(
+            enrollment => enrollment.student.toString() === studentId &&
+            enrollment.status === 'enrolled'
+        );
+
+        if (!isEnrolled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Student is not enrolled in this class'
+            });
+        }
+
+        const assignment = await Assignment.findOne({
+            _id: req.params.assignmentId,
+            class: classDoc._id,
+            isActive: true
+        }).populate('rubric');
+
+        if (!assignment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Assignment not found'
+            });
+        }
+
+        if (!assignment.rubric) {
+            return res.status(400).json({
+                success: false,
+                message: 'This assignment has no rubric'
+            });
+        }
+
+        let scored;
+        try {
+            scored = assignment.rubric.score(req.body.selections);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        const existingGrade = await Grade.findOne({ student: studentId, assignment: assignment._id });
+        const grade = existingGrade || new Grade({
+            student: studentId,
+            class: classDoc._id,
+            assignment: assignment._id,
+            professor: classDoc.professor
+        });
+
+        grade.rubric = scored.rubric;
+        grade.score.points = scored.points;
+        grade.gradedBy = req.professorId;
+        if (req.body.comments !== undefined) {
+            grade.feedback.comments = req.body.comments;
+        }
+
+        // New points are re-graded by the pre-save hook
+        if (grade.isModified('score.points')) {
+            grade.score.percentage = undefined;
+            grade.score.letterGrade = undefined;
+        }
+
+        await grade.auditAs(req.professorId, { reason: req.body.reason }).save();
+
+        const populatedGrade = await Grade.findById(grade._id)
+            .populate('student', 'firstName lastName studentId')
+            .populate('class', 'className courseCode')
+            .populate('assignment', ASSIGNMENT_FIELDS);
+
+        res.status(existingGrade ? 200 : 201).json({
+            success: true,
+            message: existingGrade ? 'Rubric grade updated successfully' : 'Rubric grade created successfully',
+            data: {
+                grade: populatedGrade
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(err => err.message).join(', ')
+            });
+        }
+        console.error('Score rubric error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save rubric grade'
+        });
+    }
+});
+
 // @route   GET /api/grades/student/:studentId/summary
-// @desc    Get grade summary for a student
+// @desc    Get grade summary for a student with missing work per class; ?missingAsZero=true|false overrides each class policy
 // @access  Private
-router.get('/student/:studentId/summary', auth, paramValidation.mongoId, async (req, res) => {
+router.get('/student/:studentId/summary', auth, paramValidation.studentId, gradeValidation.summary, async (req, res) => {
     try {
-        const grades = await Grade.find({
+        const readableClassIds = await findAccessibleClassIds(req.professor, 'grades:read');
+
+        const grades = sortByDueDate(await Grade.find({
             student: req.params.studentId,
-            professor: req.professorId
+            class: { $in: readableClassIds }
+        })
+        .populate({
+            path: 'class',
+            select: 'className courseCode semester year syllabus.gradingPolicy gradeScale',
+            populate: { path: 'gradeScale' }
         })
-        .populate('class', 'className courseCode semester year')
-        .sort({ 'assignment.dueDate': -1 });
+        .populate('assignment', ASSIGNMENT_FIELDS));
 
         if (grades.length === 0) {
             return res.status(404).json({
@@ -346,30 +929,45 @@ router.get('/student/:studentId/summary', auth, paramValidation.mongoId, async (
             if (!classSummaries[classId]) {
                 classSummaries[classId] = {
                     class: grade.class,
-                    grades: [],
-                    totalPoints: 0,
-                    maxTotalPoints: 0,
-                    percentage: 0
+                    grades: []
                 };
             }
             classSummaries[classId].grades.push(grade);
-            if (!grade.isExcused && !grade.isExtra) {
-                classSummaries[classId].totalPoints += grade.score.points;
-                classSummaries[classId].maxTotalPoints += grade.assignment.maxPoints;
-            }
         });
 
-        // Calculate percentages for each class
-        Object.values(classSummaries).forEach(classSum => {
-            if (classSum.maxTotalPoints > 0) {
-                classSum.percentage = Math.round((classSum.totalPoints / classSum.maxTotalPoints) * 100 * 100) / 100;
-            }
-        });
+        // Apply each class's grading policy and grade scale
+        const displayPreference = req.professor.preferences?.gradeScale;
+        const results = await Promise.all(Object.values(classSummaries).map(async classSum => {
+            const cutoffs = await GradeScale.resolveCutoffs(classSum.class);
+            const attendanceRates = await attendanceService.calculateClassRates(classSum.class, [req.params.studentId]);
+            const attendance = attendanceRates[req.params.studentId] || null;
+            const attendanceEntry = attendanceService.toGradeEntry(attendance);
+            const assignments = await gradebookService.loadAssignments(classSum.class._id);
+            const missing = gradeCalculator.findMissing(assignments, classSum.grades);
+            const missingAsZero = req.query.missingAsZero ?? gradeCalculator.getPolicy(classSum.class).missingAsZero;
+            const result = gradeCalculator.calculateStudent(
+                [
+                    ...classSum.grades,
+                    ...(missingAsZero ? gradeCalculator.missingZeroEntries(missing) : []),
+                    ...(attendanceEntry ? [attendanceEntry] : [])
+                ],
+                classSum.class,
+                cutoffs
+            );
+            return {
+                ...classSum,
+                ...result,
+                attendance,
+                missing,
+                missingAsZero,
+                displayGrade: gradeCalculator.formatResult(result, displayPreference)
+            };
+        }));
 
         res.json({
             success: true,
             data: {
-                classSummaries: Object.values(classSummaries),
+                classSummaries: results,
                 totalGrades: grades.length
             }
         });
@@ -382,35 +980,190 @@ router.get('/student/:studentId/summary', auth, paramValidation.mongoId, async (
     }
 });
 
+// Record why a grade failed to save on its bulk row
+const markSaveFailure = (row, error) => {
+    if (error.code === 11000) {
+        row.status = 'duplicate';
+        row.errors.push('Grade already exists for this assignment');
+    } else if (error instanceof mongoose.Error.ValidationError) {
+        row.status = 'failed';
+        row.errors.push(...Object.values(error.errors).map(err => err.message));
+    } else {
+        console.error('Bulk grade save error:', error);
+        row.status = 'failed';
+        row.errors.push('Failed to save grade');
+    }
+};
+
+// Check every item of a bulk request; returns one row per item with the grade to save when it passed
+const checkBulkGrades = async (items, professor) => {
+    const rows = await Promise.all(items.map(async (item, index) => ({
+        index,
+        status: 'pending',
+        errors: await gradeValidation.validateItem(item)
+    })));
+
+    const valid = items.filter((item, index) => rows[index].errors.length === 0);
+    const classIds = [...new Set(valid.map(item => String(item.class)))];
+
+    const writableClassIds = new Set((await findAccessibleClassIds(professor, 'grades:write', { _id: { $in: classIds } }))
+        .map(id => id.toString()));
+    const classes = new Map((await Class.find({ _id: { $in: [...writableClassIds] } }).select('professor enrolledStudents'))
+        .map(cls => [cls._id.toString(), cls]));
+    const assignments = new Map((await Assignment.find({
+        _id: { $in: valid.map(item => item.assignment) },
+        isActive: true
+    }).select('class')).map(assignment => [assignment._id.toString(), assignment]));
+    const existing = new Set(valid.length === 0 ? [] : (await Grade.find({
+        $or: valid.map(item => ({ student: item.student, assignment: item.assignment }))
+    }).select('student assignment')).map(grade => `${grade.student}|${grade.assignment}`));
+
+    const seen = new Set();
+
+    items.forEach((item, index) => {
+        const row = rows[index];
+        if (row.errors.length > 0) {
+            row.status = 'failed';
+            return;
+        }
+
+        const cls = classes.get(String(item.class));
+        const assignment = assignments.get(String(item.assignment));
+        const key = `${item.student}|${item.assignment}`;
+
+        if (!cls) {
+            row.errors.push('You do not have permission to enter grades for this class');
+        } else if (!cls.enrolledStudents.some(enrollment =>
+            enrollment.student.toString() === String(item.student) && enrollment.status === 'enrolled')) {
+            row.errors.push('Student is not enrolled in this class');
+        } else if (!assignment || assignment.class.toString() !== String(item.class)) {
+            row.errors.push('Assignment not found in this class');
+        } else if (existing.has(key) || seen.has(key)) {
+            row.status = 'duplicate';
+            row.errors.push('Grade already exists for this assignment');
+            return;
+        }
+
+        if (row.errors.length > 0) {
+            row.status = 'failed';
+            return;
+        }
+
+        seen.add(key);
+
+        // Only grade fields are taken from the client; the class owner and grader are set here
+        const { student, class: classId, assignment: assignmentId, score, feedback, submissionInfo, rubric, isExcused, isExtra } = item;
+        row.grade = new Grade({
+            student,
+            class: classId,
+            assignment: assignmentId,
+            score: { points: score.points },
+            feedback,
+            submissionInfo,
+            rubric,
+            isExcused,
+            isExtra,
+            professor: cls.professor,
+            gradedBy: professor._id
+        }).auditAs(professor._id);
+    });
+
+    return rows;
+};
+
+// Summarize bulk rows for the response
+const bulkResults = (rows) => ({
+    total: rows.length,
+    created: rows.filter(row => row.status === 'created').length,
+    failed: rows.filter(row => row.status === 'failed').length,
+    duplicates: rows.filter(row => row.status === 'duplicate').length,
+    rows: rows.map(({ grade, ...row }) => ({
+        ...row,
+        ...(row.status === 'created' ? { grade: grade._id } : {})
+    }))
+});
+
 // @route   POST /api/grades/bulk
-// @desc    Create multiple grades at once
+// @desc    Create multiple grades at once; with atomic=true either every grade is saved or none is
 // @access  Private
-router.post('/bulk', auth, async (req, res) => {
+router.post('/bulk', auth, gradeValidation.bulk, async (req, res) => {
     try {
-        const { grades } = req.body;
+        const { grades, atomic = false } = req.body;
 
-        if (!grades || !Array.isArray(grades) || grades.length === 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Grades array is required'
+        const rows = await checkBulkGrades(grades, req.professor);
+        const rejected = rows.filter(row => row.status !== 'pending');
+
+        if (atomic) {
+            if (rejected.length > 0) {
+                rows.filter(row => row.status === 'pending').forEach(row => {
+                    row.status = 'skipped';
+                });
+                return res.status(400).json({
+                    success: false,
+                    message: `${rejected.length} of ${rows.length} grades were rejected, so none were saved`,
+                    data: bulkResults(rows)
+                });
+            }
+
+            let savingRow = null;
+            try {
+                await mongoose.connection.transaction(async (session) => {
+                    // The transaction may be retried, so every attempt saves fresh copies; a document
+                    // saved in an aborted attempt would otherwise no longer count as new and be skipped
+                    for (const row of rows) {
+                        savingRow = row;
+                        await new Grade(row.grade.toObject()).save({ session });
+                    }
+                });
+            } catch (error) {
+                // Transactions are only available on a replica set or sharded cluster
+                if (error.code === 20 || error.codeName === 'IllegalOperation') {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'All-or-nothing grade entry needs the database to run as a replica set'
+                    });
+                }
+                if (!savingRow) throw error;
+
+                // The transaction rolled back; report the grade that stopped it
+                rows.forEach(row => {
+                    row.status = 'skipped';
+                });
+                markSaveFailure(savingRow, error);
+
+                return res.status(400).json({
+                    success: false,
+                    message: 'A grade failed to save, so none were saved',
+                    data: bulkResults(rows)
+                });
+            }
+
+            rows.forEach(row => {
+                row.status = 'created';
+            });
+            return res.status(201).json({
+                success: true,
+                message: `${rows.length} grades created successfully`,
+                data: bulkResults(rows)
             });
         }
 
-        // Validate each grade and add professor ID
-        const validatedGrades = grades.map(grade => ({
-            ...grade,
-            professor: req.professorId
-        }));
+        // Save each accepted grade on its own so one failure doesn't block the rest
+        for (const row of rows.filter(row => row.status === 'pending')) {
+            try {
+                await row.grade.save();
+                row.status = 'created';
+            } catch (error) {
+                markSaveFailure(row, error);
+            }
+        }
 
-        // Insert all grades
-        const createdGrades = await Grade.insertMany(validatedGrades, { ordered: false });
+        const results = bulkResults(rows);
 
-        res.status(201).json({
+        res.status(results.created === results.total ? 201 : 200).json({
             success: true,
-            message: `${createdGrades.length} grades created successfully`,
-            data: {
-                grades: createdGrades
-            }
+            message: `${results.created} of ${results.total} grades created`,
+            data: results
         });
     } catch (error) {
         console.error('Bulk create grades error:', error);
@@ -4,7 +4,11 @@ const xlsx = require('xlsx');
 const path = require('path');
 const fs = require('fs');
 const Student = require('../models/Student');
+const notificationService = require('../services/notificationService');
+const gradebookService = require('../services/gradebookService');
 const { auth } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { paramValidation } = require('../middleware/validation');
 const { body, validationResult } = require('express-validator');
 
 const router = express.Router();
@@ -288,7 +292,7 @@ router.post('/students/import', auth, upload.single('excelFile'), async (req, re
                     firstName: studentData.firstName,
                     lastName: studentData.lastName,
                     email: studentData.email,
-                    professor: req.user.id
+                    professor: req.professorId
                 };
                 
                 // Add optional fields if present
@@ -324,6 +328,12 @@ router.post('/students/import', auth, upload.single('excelFile'), async (req, re
         
         // Clean up uploaded file
         fs.unlinkSync(req.file.path);
+
+        await notificationService.notifySafely(req.professorId, {
+            type: 'import',
+            title: 'Student import finished',
+            message: `${results.successCount} of ${results.totalRows} rows imported, ${results.duplicateCount} duplicates, ${results.errorCount} errors`
+        });
         
         res.json({
             success: true,
@@ -343,6 +353,160 @@ router.post('/students/import', auth, upload.single('excelFile'), async (req, re
     }
 });
 
+// Remove an uploaded file once it has been read
+function removeUpload(file) {
+    if (file && fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+    }
+}
+
+// Read an uploaded gradebook and check it against the class; columnMap arrives as a JSON string
+async function readGradebook(req) {
+    let columnMap = {};
+    if (req.body.columnMap) {
+        try {
+            columnMap = typeof req.body.columnMap === 'string' ? JSON.parse(req.body.columnMap) : req.body.columnMap;
+        } catch (error) {
+            throw Object.assign(new Error('columnMap must be valid JSON'), { statusCode: 400 });
+        }
+    }
+
+    const { headers, rows } = parseExcelFile(req.file.path);
+    const assignments = await gradebookService.loadAssignments(req.classDoc._id);
+    const mapping = gradebookService.mapColumns(headers, assignments, columnMap);
+
+    if (mapping.errors.length > 0) {
+        return { headers, rows, mapping, validation: null };
+    }
+
+    const validation = await gradebookService.validate(req.classDoc, rows, mapping);
+    return { headers, rows, mapping, validation };
+}
+
+// Columns as reported to the client
+function describeMapping(mapping) {
+    return {
+        studentIdColumn: mapping.studentIdColumn,
+        columns: mapping.columns.map(({ column, header, assignment }) => ({
+            column,
+            header,
+            assignment: {
+                _id: assignment._id,
+                name: assignment.name,
+                maxPoints: assignment.maxPoints
+            }
+        })),
+        ignored: mapping.ignored
+    };
+}
+
+// @route   POST /api/import/classes/:id/grades/preview
+// @desc    Check a gradebook sheet (one row per student ID, one column per assignment) without saving
+// @access  Private
+router.post('/classes/:id/grades/preview', auth, paramValidation.mongoId, authorize('grades:write'), upload.single('gradesFile'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No file uploaded'
+            });
+        }
+
+        const { headers, rows, mapping, validation } = await readGradebook(req);
+        removeUpload(req.file);
+
+        if (!validation) {
+            return res.status(400).json({
+                success: false,
+                message: mapping.errors.join('; '),
+                data: {
+                    headers,
+                    mapping: describeMapping(mapping)
+                }
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                headers,
+                previewRows: rows.slice(0, 5),
+                mapping: describeMapping(mapping),
+                summary: validation.summary,
+                errors: validation.errors
+            }
+        });
+    } catch (error) {
+        removeUpload(req.file);
+
+        console.error('Gradebook preview error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to preview gradebook'
+        });
+    }
+});
+
+// @route   POST /api/import/classes/:id/grades/import
+// @desc    Import a gradebook sheet, creating or updating grades; rows with errors are skipped
+// @access  Private
+router.post('/classes/:id/grades/import', auth, paramValidation.mongoId, authorize('grades:write'), upload.single('gradesFile'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'No file uploaded'
+            });
+        }
+
+        const { mapping, validation } = await readGradebook(req);
+        removeUpload(req.file);
+
+        if (!validation) {
+            return res.status(400).json({
+                success: false,
+                message: mapping.errors.join('; '),
+                data: {
+                    mapping: describeMapping(mapping)
+                }
+            });
+        }
+
+        const saved = await gradebookService.commit(req.classDoc, validation, req.professorId);
+
+        const results = {
+            totalRows: validation.summary.totalRows,
+            errorRows: validation.summary.errorRows,
+            created: saved.created,
+            updated: saved.updated,
+            unchanged: saved.unchanged,
+            failed: saved.failed,
+            errors: [...validation.errors, ...saved.errors]
+        };
+
+        await notificationService.notifySafely(req.professorId, {
+            type: 'import',
+            title: `${req.classDoc.courseCode} gradebook import finished`,
+            message: `${results.created} grades created, ${results.updated} updated, ${results.errorRows} rows with errors`,
+            class: req.classDoc._id
+        });
+
+        res.json({
+            success: true,
+            message: `${results.created} grades created, ${results.updated} updated`,
+            data: results
+        });
+    } catch (error) {
+        removeUpload(req.file);
+
+        console.error('Gradebook import error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to import gradebook'
+        });
+    }
+});
+
 // Download template route
 router.get('/students/template', (req, res) => {
     try {
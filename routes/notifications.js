@@ -0,0 +1,171 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const notificationService = require('../services/notificationService');
+const sessionService = require('../services/sessionService');
+const { auth, streamAuth } = require('../middleware/auth');
+const { paramValidation, queryValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// @route   GET /api/notifications
+// @desc    Get the professor's notifications, newest first; ?unread=true for unread only
+// @access  Private
+router.get('/', auth, queryValidation.pagination, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const query = { professor: req.professorId };
+        if (req.query.unread === 'true') {
+            query.readAt = null;
+        }
+
+        const notifications = await Notification.find(query)
+            .populate('class', 'className courseCode')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await Notification.countDocuments(query);
+        const unreadCount = await notificationService.unreadCount(req.professorId);
+
+        res.json({
+            success: true,
+            data: {
+                notifications,
+                unreadCount,
+                pagination: {
+                    current: page,
+                    pages: Math.ceil(total / limit),
+                    total,
+                    limit
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get notifications'
+        });
+    }
+});
+
+// @route   POST /api/notifications/stream-ticket
+// @desc    Issue a short-lived ticket for opening the notification stream
+// @access  Private
+router.post('/stream-ticket', auth, async (req, res) => {
+    try {
+        const ticket = sessionService.signStreamTicket(req.professor, req.sessionId);
+
+        res.json({
+            success: true,
+            data: {
+                ticket
+            }
+        });
+    } catch (error) {
+        console.error('Create stream ticket error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create stream ticket'
+        });
+    }
+});
+
+// @route   GET /api/notifications/stream
+// @desc    Server-Sent Events stream of new notifications and unread counts
+// @access  Private (stream ticket passed as ?ticket= since EventSource can't set headers)
+router.get('/stream', streamAuth, async (req, res) => {
+    try {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const unsubscribe = notificationService.subscribe(req.professorId, res);
+        req.on('close', unsubscribe);
+
+        // Start the client off with the current count
+        const unreadCount = await notificationService.unreadCount(req.professorId);
+        res.write(`event: unread\ndata: ${JSON.stringify({ unreadCount })}\n\n`);
+    } catch (error) {
+        console.error('Notification stream error:', error);
+        res.end();
+    }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark every notification as read
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { professor: req.professorId, readAt: null },
+            { readAt: new Date() }
+        );
+
+        await notificationService.publishUnreadCount(req.professorId);
+
+        res.json({
+            success: true,
+            message: 'All notifications marked as read',
+            data: {
+                updated: result.modifiedCount,
+                unreadCount: 0
+            }
+        });
+    } catch (error) {
+        console.error('Mark all notifications read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to mark notifications as read'
+        });
+    }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', auth, paramValidation.mongoId, async (req, res) => {
+    try {
+        const notification = await Notification.findOne({
+            _id: req.params.id,
+            professor: req.professorId
+        });
+
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+            await notificationService.publishUnreadCount(req.professorId);
+        }
+
+        res.json({
+            success: true,
+            message: 'Notification marked as read',
+            data: {
+                notification,
+                unreadCount: await notificationService.unreadCount(req.professorId)
+            }
+        });
+    } catch (error) {
+        console.error('Mark notification read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to mark notification as read'
+        });
+    }
+});
+
+module.exports = router;
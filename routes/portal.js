@@ -0,0 +1,426 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Grade = require('../models/Grade');
+const CalendarEvent = require('../models/CalendarEvent');
+const notificationService = require('../services/notificationService');
+const { studentAuth } = require('../middleware/auth');
+const { portalValidation, paramValidation } = require('../middleware/validation');
+const { authLimiter } = require('../middleware/rateLimiter');
+
+const router = express.Router();
+
+// Generate a portal JWT; the type claim keeps it from being accepted by professor routes
+const signStudentToken = (student) => jwt.sign(
+    { id: student._id, type: 'student' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.STUDENT_TOKEN_EXPIRES_IN || '12h' }
+);
+
+// Classes the student is (or was) enrolled in
+const findStudentClasses = (studentId, select) => Class.find({
+    isActive: true,
+    enrolledStudents: {
+        $elemMatch: { student: studentId, status: { $in: ['enrolled', 'completed'] } }
+    }
+}).select(select);
+
+// Announcements that are published and not yet expired
+const visibleAnnouncements = (announcements, now = new Date()) => announcements.filter(announcement =>
+    (!announcement.publishDate || announcement.publishDate <= now) &&
+    (!announcement.expiryDate || announcement.expiryDate > now)
+);
+
+// @route   POST /api/portal/auth/login
+// @desc    Login student
+// @access  Public
+router.post('/auth/login', authLimiter, portalValidation.login, async (req, res) => {
+    try {
+        const { studentId, password } = req.body;
+
+        const student = await Student.findOne({ studentId: studentId.toUpperCase() }).select('+portal.password');
+        if (!student || !student.portal.isEnabled) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid student ID or password'
+            });
+        }
+
+        if (!student.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: 'Account is inactive. Please contact your professor.'
+            });
+        }
+
+        const isValidPassword = await student.comparePassword(password);
+        if (!isValidPassword) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid student ID or password'
+            });
+        }
+
+        student.portal.lastLoginAt = new Date();
+        await student.save({ validateBeforeSave: false });
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            data: {
+                student,
+                token: signStudentToken(student)
+            }
+        });
+    } catch (error) {
+        console.error('Portal login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to login'
+        });
+    }
+});
+
+// @route   POST /api/portal/auth/activate
+// @desc    Activate a portal account with an invitation token and choose a password
+// @access  Public
+router.post('/auth/activate', authLimiter, portalValidation.activate, async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        const student = await Student.findOne({
+            'portal.activationToken': Student.hashActivationToken(token),
+            'portal.activationExpires': { $gt: new Date() }
+        }).select('+portal.activationToken +portal.activationExpires');
+
+        if (!student || !student.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Activation link is invalid or has expired'
+            });
+        }
+
+        // The pre-save hook hashes the password; clearing the token makes it single-use
+        student.portal.password = password;
+        student.portal.isEnabled = true;
+        student.portal.activationToken = undefined;
+        student.portal.activationExpires = undefined;
+        student.portal.lastLoginAt = new Date();
+        await student.save();
+
+        res.json({
+            success: true,
+            message: 'Portal account activated successfully',
+            data: {
+                student,
+                token: signStudentToken(student)
+            }
+        });
+    } catch (error) {
+        console.error('Portal activation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to activate portal account'
+        });
+    }
+});
+
+// @route   GET /api/portal/me
+// @desc    Get the signed-in student's profile
+// @access  Private (student)
+router.get('/me', studentAuth, async (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            student: req.student
+        }
+    });
+});
+
+// @route   GET /api/portal/classes
+// @desc    Get the student's classes
+// @access  Private (student)
+router.get('/classes', studentAuth, async (req, res) => {
+    try {
+        const classes = await findStudentClasses(
+            req.studentId,
+            'className courseCode description semester year credits schedule syllabus professor enrolledStudents'
+        )
+        .populate('professor', 'firstName lastName email officeLocation')
+        .sort({ year: -1, semester: 1, courseCode: 1 });
+
+        // Other students' enrollments are not exposed, only this student's status
+        const studentClasses = classes.map(cls => {
+            const { enrolledStudents, ...classData } = cls.toObject();
+            const enrollment = enrolledStudents.find(e => e.student.toString() === req.studentId.toString());
+            return {
+                ...classData,
+                enrollmentStatus: enrollment.status,
+                enrollmentDate: enrollment.enrollmentDate
+            };
+        });
+
+        res.json({
+            success: true,
+            data: {
+                classes: studentClasses
+            }
+        });
+    } catch (error) {
+        console.error('Portal get classes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get classes'
+        });
+    }
+});
+
+// @route   GET /api/portal/announcements
+// @desc    Get current announcements from the student's classes
+// @access  Private (student)
+router.get('/announcements', studentAuth, async (req, res) => {
+    try {
+        const classes = await findStudentClasses(req.studentId, 'className courseCode announcements');
+        const classId = req.query.classId;
+
+        const announcements = classes
+            .filter(cls => !classId || cls._id.toString() === classId)
+            .flatMap(cls => visibleAnnouncements(cls.announcements).map(announcement => ({
+                ...announcement.toObject(),
+                class: {
+                    _id: cls._id,
+                    className: cls.className,
+                    courseCode: cls.courseCode
+                }
+            })))
+            .sort((a, b) => new Date(b.publishDate) - new Date(a.publishDate));
+
+        res.json({
+            success: true,
+            data: {
+                announcements
+            }
+        });
+    } catch (error) {
+        console.error('Portal get announcements error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get announcements'
+        });
+    }
+});
+
+// @route   GET /api/portal/grades
+// @desc    Get the student's grades, excluding those marked private
+// @access  Private (student)
+router.get('/grades', studentAuth, async (req, res) => {
+    try {
+        const classes = await findStudentClasses(req.studentId, '_id');
+
+        let classIds = classes.map(cls => cls._id);
+        if (req.query.classId) {
+            classIds = classIds.filter(id => id.toString() === req.query.classId);
+        }
+
+        const grades = await Grade.find({
+            student: req.studentId,
+            class: { $in: classIds },
+            'feedback.isPrivate': { $ne: true }
+        })
+        .select('-professor -gradedBy')
+        .populate('class', 'className courseCode semester year')
+        .populate('assignment', 'name type dueDate maxPoints')
+        .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: {
+                grades
+            }
+        });
+    } catch (error) {
+        console.error('Portal get grades error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get grades'
+        });
+    }
+});
+
+// @route   POST /api/portal/grades/:id/dispute
+// @desc    Ask the professor to review a grade
+// @access  Private (student)
+router.post('/grades/:id/dispute', studentAuth, paramValidation.mongoId, portalValidation.dispute, async (req, res) => {
+    try {
+        const grade = await Grade.findOne({
+            _id: req.params.id,
+            student: req.studentId,
+            'feedback.isPrivate': { $ne: true }
+        })
+        .populate('class', 'className courseCode professor')
+        .populate('assignment', 'name');
+
+        if (!grade) {
+            return res.status(404).json({
+                success: false,
+                message: 'Grade not found'
+            });
+        }
+
+        if (grade.dispute?.status === 'open') {
+            return res.status(400).json({
+                success: false,
+                message: 'This grade already has an open dispute'
+            });
+        }
+
+        grade.dispute = {
+            status: 'open',
+            reason: req.body.reason,
+            raisedAt: new Date()
+        };
+        await grade.save();
+
+        await notificationService.notifySafely(grade.class.professor, {
+            type: 'grade_dispute',
+            title: `Grade dispute in ${grade.class.courseCode}`,
+            message: `${req.student.firstName} ${req.student.lastName} disputed their grade for ${grade.assignment.name}: ${req.body.reason}`.slice(0, 1000),
+            class: grade.class._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Dispute submitted. Your professor has been notified.',
+            data: {
+                gradeId: grade._id,
+                dispute: grade.dispute
+            }
+        });
+    } catch (error) {
+        console.error('Portal grade dispute error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to submit dispute'
+        });
+    }
+});
+
+// @route   GET /api/portal/events
+// @desc    Get events for the student's classes and events they are invited to
+// @access  Private (student)
+router.get('/events', studentAuth, async (req, res) => {
+    try {
+        const classes = await findStudentClasses(req.studentId, '_id');
+
+        let query = {
+            isVisible: true,
+            $or: [
+                { class: { $in: classes.map(cls => cls._id) } },
+                { 'attendees.student': req.studentId }
+            ]
+        };
+
+        const startDate = req.query.startDate ? new Date(req.query.startDate) : null;
+        const endDate = req.query.endDate ? new Date(req.query.endDate) : null;
+
+        if ((startDate && isNaN(startDate.getTime())) || (endDate && isNaN(endDate.getTime()))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date format. Please use valid ISO date strings.'
+            });
+        }
+
+        if (startDate || endDate) {
+            query.startDateTime = {};
+            if (startDate) query.startDateTime.$gte = startDate;
+            if (endDate) query.startDateTime.$lte = endDate;
+        }
+
+        const events = await CalendarEvent.find(query)
+            .select('-notes -reminders -externalId -externalCalendarType')
+            .populate('class', 'className courseCode')
+            .sort({ startDateTime: 1 });
+
+        // Only this student's RSVP is returned, not the full attendee list
+        const studentEvents = events.map(event => {
+            const { attendees, ...eventData } = event.toObject();
+            const attendee = attendees.find(a => a.student && a.student.toString() === req.studentId.toString());
+            return {
+                ...eventData,
+                rsvpStatus: attendee ? attendee.status : null
+            };
+        });
+
+        res.json({
+            success: true,
+            data: {
+                events: studentEvents
+            }
+        });
+    } catch (error) {
+        console.error('Portal get events error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get events'
+        });
+    }
+});
+
+// @route   PUT /api/portal/events/:id/rsvp
+// @desc    RSVP to an event
+// @access  Private (student)
+router.put('/events/:id/rsvp', studentAuth, paramValidation.mongoId, portalValidation.rsvp, async (req, res) => {
+    try {
+        const event = await CalendarEvent.findOne({ _id: req.params.id, isVisible: true });
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        let attendee = event.attendees.find(a => a.student && a.student.toString() === req.studentId.toString());
+
+        // Students who weren't invited may still RSVP to events for their own classes
+        if (!attendee) {
+            const isEnrolled = event.class && await Class.exists({
+                _id: event.class,
+                isActive: true,
+                enrolledStudents: { $elemMatch: { student: req.studentId, status: 'enrolled' } }
+            });
+
+            if (!isEnrolled) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Event not found'
+                });
+            }
+
+            event.attendees.push({ student: req.studentId, status: req.body.status });
+            attendee = event.attendees[event.attendees.length - 1];
+        } else {
+            attendee.status = req.body.status;
+        }
+
+        await event.save();
+
+        res.json({
+            success: true,
+            message: 'RSVP updated successfully',
+            data: {
+                eventId: event._id,
+                rsvpStatus: attendee.status
+            }
+        });
+    } catch (error) {
+        console.error('Portal RSVP error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update RSVP'
+        });
+    }
+});
+
+module.exports = router;
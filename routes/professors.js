@@ -1,6 +1,9 @@
 const express = require('express');
 const Professor = require('../models/Professor');
 const { auth } = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const riskService = require('../services/riskService');
+const { findAccessibleClassIds } = require('../middleware/authorize');
 const { professorValidation, paramValidation } = require('../middleware/validation');
 
 const router = express.Router();
@@ -32,8 +35,9 @@ router.get('/profile', auth, async (req, res) => {
 // @access  Private
 router.put('/profile', auth, professorValidation.update, async (req, res) => {
     try {
+        // Department is left out: department admins' reach follows it, so it can't be self-assigned
         const allowedUpdates = [
-            'firstName', 'lastName', 'department', 'phoneNumber', 
+            'firstName', 'lastName', 'phoneNumber',
             'officeLocation', 'bio', 'preferences'
         ];
         
@@ -76,14 +80,15 @@ router.put('/profile', auth, professorValidation.update, async (req, res) => {
 // @route   PUT /api/professors/preferences
 // @desc    Update professor preferences
 // @access  Private
-router.put('/preferences', auth, async (req, res) => {
+router.put('/preferences', auth, professorValidation.preferences, async (req, res) => {
     try {
-        const { theme, notifications, gradeScale } = req.body;
+        const { theme, notifications, gradeScale, atRisk } = req.body;
         
         const updateData = {};
         if (theme) updateData['preferences.theme'] = theme;
         if (notifications) updateData['preferences.notifications'] = notifications;
         if (gradeScale) updateData['preferences.gradeScale'] = gradeScale;
+        if (atRisk) updateData['preferences.atRisk'] = atRisk;
 
         const professor = await Professor.findByIdAndUpdate(
             req.professorId,
@@ -151,6 +156,9 @@ router.post('/change-password', auth, async (req, res) => {
         professor.password = newPassword;
         await professor.save();
 
+        // Keep this device signed in but end every other session
+        await sessionService.revokeAllSessions(req.professorId, 'password_change', req.sessionId);
+
         res.json({
             success: true,
             message: 'Password changed successfully'
@@ -182,6 +190,9 @@ router.delete('/account', auth, async (req, res) => {
             });
         }
 
+        // Tokens already issued must stop working once the account is inactive
+        await sessionService.revokeAllSessions(req.professorId, 'account_deactivated');
+
         res.json({
             success: true,
             message: 'Account deactivated successfully'
@@ -250,4 +261,34 @@ router.get('/stats', auth, async (req, res) => {
     }
 });
 
+// @route   GET /api/professors/at-risk
+// @desc    Get students at risk across the professor's classes; thresholds can be overridden in the query
+// @access  Private
+router.get('/at-risk', auth, professorValidation.atRisk, async (req, res) => {
+    try {
+        const thresholds = riskService.resolveThresholds(req.professor.preferences?.atRisk, req.query);
+
+        let classIds = await findAccessibleClassIds(req.professor, 'grades:read', { isActive: true });
+        if (req.query.classId) {
+            classIds = classIds.filter(id => id.toString() === req.query.classId);
+        }
+
+        const report = await riskService.report(classIds, thresholds);
+
+        res.json({
+            success: true,
+            data: {
+                thresholds,
+                ...report
+            }
+        });
+    } catch (error) {
+        console.error('Get at-risk report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get at-risk report'
+        });
+    }
+});
+
 module.exports = router;
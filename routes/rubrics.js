@@ -0,0 +1,215 @@
+const express = require('express');
+const Rubric = require('../models/Rubric');
+const Assignment = require('../models/Assignment');
+const { auth } = require('../middleware/auth');
+const { rubricValidation, paramValidation } = require('../middleware/validation');
+
+const router = express.Router();
+
+// @route   GET /api/rubrics
+// @desc    Get the professor's rubrics
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    try {
+        const rubrics = await Rubric.find({
+            professor: req.professorId,
+            isActive: true
+        }).sort({ name: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                rubrics
+            }
+        });
+    } catch (error) {
+        console.error('Get rubrics error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get rubrics'
+        });
+    }
+});
+
+// @route   GET /api/rubrics/:id
+// @desc    Get rubric by ID with the assignments it is attached to
+// @access  Private
+router.get('/:id', auth, paramValidation.mongoId, async (req, res) => {
+    try {
+        const rubric = await Rubric.findOne({
+            _id: req.params.id,
+            professor: req.professorId,
+            isActive: true
+        });
+
+        if (!rubric) {
+            return res.status(404).json({
+                success: false,
+                message: 'Rubric not found'
+            });
+        }
+
+        const assignments = await Assignment.find({ rubric: rubric._id, isActive: true })
+            .select('name maxPoints class')
+            .populate('class', 'className courseCode semester year');
+
+        res.json({
+            success: true,
+            data: {
+                rubric,
+                assignments
+            }
+        });
+    } catch (error) {
+        console.error('Get rubric error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get rubric'
+        });
+    }
+});
+
+// @route   POST /api/rubrics
+// @desc    Create a new rubric
+// @access  Private
+router.post('/', auth, rubricValidation.create, async (req, res) => {
+    try {
+        const { name, description, criteria } = req.body;
+
+        const rubric = new Rubric({
+            name,
+            description,
+            criteria,
+            professor: req.professorId
+        });
+
+        await rubric.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Rubric created successfully',
+            data: {
+                rubric
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+        console.error('Create rubric error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create rubric'
+        });
+    }
+});
+
+// @route   PUT /api/rubrics/:id
+// @desc    Update rubric by ID; its total must still match the assignments using it
+// @access  Private
+router.put('/:id', auth, paramValidation.mongoId, rubricValidation.update, async (req, res) => {
+    try {
+        const rubric = await Rubric.findOne({
+            _id: req.params.id,
+            professor: req.professorId,
+            isActive: true
+        });
+
+        if (!rubric) {
+            return res.status(404).json({
+                success: false,
+                message: 'Rubric not found'
+            });
+        }
+
+        ['name', 'description', 'criteria'].forEach(field => {
+            if (req.body[field] !== undefined) {
+                rubric[field] = req.body[field];
+            }
+        });
+
+        if (rubric.isModified('criteria')) {
+            const mismatched = await Assignment.countDocuments({
+                rubric: rubric._id,
+                isActive: true,
+                maxPoints: { $ne: rubric.totalPoints }
+            });
+            if (mismatched > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Rubric total (${rubric.totalPoints}) would no longer match the maximum points of ${mismatched} assignment(s) using it`
+                });
+            }
+        }
+
+        // Saving (rather than findByIdAndUpdate) runs the level checks
+        await rubric.save();
+
+        res.json({
+            success: true,
+            message: 'Rubric updated successfully',
+            data: {
+                rubric
+            }
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+        console.error('Update rubric error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update rubric'
+        });
+    }
+});
+
+// @route   DELETE /api/rubrics/:id
+// @desc    Delete rubric by ID (soft delete)
+// @access  Private
+router.delete('/:id', auth, paramValidation.mongoId, async (req, res) => {
+    try {
+        const rubric = await Rubric.findOne({
+            _id: req.params.id,
+            professor: req.professorId,
+            isActive: true
+        });
+
+        if (!rubric) {
+            return res.status(404).json({
+                success: false,
+                message: 'Rubric not found'
+            });
+        }
+
+        const inUse = await Assignment.countDocuments({ rubric: rubric._id, isActive: true });
+        if (inUse > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Rubric is used by ${inUse} assignment(s). Detach it before deleting.`
+            });
+        }
+
+        rubric.isActive = false;
+        await rubric.save();
+
+        res.json({
+            success: true,
+            message: 'Rubric deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete rubric error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete rubric'
+        });
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,8 @@ const Student = require('../models/Student');
 const Class = require('../models/Class');
 
 const { auth } = require('../middleware/auth');
+const { findAccessibleClassIds } = require('../middleware/authorize');
+const mailer = require('../services/mailer');
 const { studentValidation, paramValidation, queryValidation } = require('../middleware/validation');
 
 const router = express.Router();
@@ -20,12 +22,14 @@ router.get('/', auth, queryValidation.pagination, async (req, res) => {
 
         let query = {};
 
+        // Rosters the professor can see as owner, member or department admin
+        const readableClassIds = await findAccessibleClassIds(req.professor, 'roster:read');
+
         // If classId is provided, filter students enrolled in that class
         if (classId) {
-            const classDoc = await Class.findOne({ 
-                _id: classId, 
-                professor: req.professorId 
-            });
+            const classDoc = readableClassIds.some(id => id.toString() === classId)
+                ? await Class.findById(classId)
+                : null;
             
             if (!classDoc) {
                 return res.status(404).json({
@@ -42,7 +46,7 @@ router.get('/', auth, queryValidation.pagination, async (req, res) => {
         } else {
             // If no classId, get all students from professor's classes
             const professorClasses = await Class.find({ 
-                professor: req.professorId 
+                _id: { $in: readableClassIds } 
             });
             
             const allStudentIds = professorClasses.reduce((acc, cls) => {
@@ -203,9 +207,12 @@ router.put('/:id', auth, paramValidation.mongoId, studentValidation.update, asyn
             });
         }
 
+        // Portal credentials are only set by the student through activation
+        const { portal: _portal, ...updates } = req.body;
+
         const student = await Student.findByIdAndUpdate(
             req.params.id,
-            req.body,
+            updates,
             { new: true, runValidators: true }
         );
 
@@ -346,6 +353,62 @@ router.post('/:id/notes', auth, paramValidation.mongoId, async (req, res) => {
     }
 });
 
+// @route   POST /api/students/:id/portal-invite
+// @desc    Email a student an invitation to activate their portal account
+// @access  Private
+router.post('/:id/portal-invite', auth, paramValidation.mongoId, async (req, res) => {
+    try {
+        // Only staff who can manage a roster the student is on may invite them
+        const writableClassIds = await findAccessibleClassIds(req.professor, 'roster:write');
+        const hasAccess = await Class.exists({
+            _id: { $in: writableClassIds },
+            enrolledStudents: { $elemMatch: { student: req.params.id, status: 'enrolled' } }
+        });
+
+        if (!hasAccess) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied to invite this student'
+            });
+        }
+
+        const student = await Student.findById(req.params.id);
+        if (!student || !student.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student not found'
+            });
+        }
+
+        // Links are only built from the configured address; the request's Host header can be forged
+        const baseUrl = process.env.FRONTEND_URL?.replace(/\/+$/, '');
+        if (!baseUrl) {
+            console.error('Portal invite error: FRONTEND_URL is not set, so invitation links cannot be sent');
+            return res.status(500).json({
+                success: false,
+                message: 'Portal invitations are not available'
+            });
+        }
+
+        const expiresInHours = parseInt(process.env.PORTAL_INVITE_EXPIRY_HOURS) || 72;
+        const activationToken = student.createPortalActivationToken(expiresInHours);
+        await student.save({ validateBeforeSave: false });
+
+        await mailer.sendPortalInvite(student, `${baseUrl}/?portalActivation=${activationToken}`, expiresInHours);
+
+        res.json({
+            success: true,
+            message: `Portal invitation sent to ${student.email}`
+        });
+    } catch (error) {
+        console.error('Portal invite error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send portal invitation'
+        });
+    }
+});
+
 // @route   GET /api/students/:id/grades
 // @desc    Get student's grades
 // @access  Private
@@ -374,7 +437,8 @@ router.get('/:id/grades', auth, paramValidation.mongoId, async (req, res) => {
             professor: req.professorId
         })
         .populate('class', 'className courseCode')
-        .sort({ 'assignment.dueDate': -1, createdAt: -1 });
+        .populate('assignment', 'name type dueDate maxPoints weight')
+        .sort({ createdAt: -1 });
 
         res.json({
             success: true,
@@ -0,0 +1,121 @@
+/**
+ * Migration: fold embedded grade assignments into Assignment documents
+ *
+ * Grades used to carry their own copy of { name, type, dueDate, maxPoints, weight }. This
+ * creates one Assignment per (class, assignment name), points each grade at it and drops the
+ * indexes that were built on the embedded fields. Safe to run more than once; grades that
+ * already reference an Assignment are left alone.
+ *
+ * Grades of one assignment can disagree about its due date or point value. The Assignment
+ * takes the first grade's values, every disagreement is listed at the end, and grades whose
+ * maximum points differ get their percentage and letter grade recomputed against the Assignment.
+ *
+ * Usage: npm run migrate:assignments
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Assignment = require('../models/Assignment');
+const Grade = require('../models/Grade');
+
+const LEGACY_INDEXES = ['student_1_class_1_assignment.name_1', 'assignment.type_1'];
+
+// Embedded fields compared against the Assignment each grade is pointed at
+const COMPARED_FIELDS = ['type', 'dueDate', 'maxPoints', 'weight'];
+
+// Comparable form of an embedded value; dates by time, missing values as null
+const comparable = (value) => value instanceof Date ? value.getTime() : (value ?? null);
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const grades = mongoose.connection.collection('grades');
+
+    // Indexes on the embedded fields would reject the converted documents
+    const existingIndexes = (await grades.indexes()).map(index => index.name);
+    for (const name of LEGACY_INDEXES) {
+        if (existingIndexes.includes(name)) {
+            await grades.dropIndex(name);
+            console.log(`Dropped legacy index ${name}`);
+        }
+    }
+
+    const cursor = grades.find({ 'assignment.name': { $exists: true } });
+    const assignments = {};
+    const mismatches = [];
+    const regradeIds = [];
+    let created = 0;
+    let updated = 0;
+
+    for await (const grade of cursor) {
+        const embedded = grade.assignment;
+        const key = `${grade.class}:${embedded.name.trim()}`;
+
+        // The first grade seen for an assignment supplies its due date and point value
+        if (!assignments[key]) {
+            let assignment = await Assignment.findOne({
+                class: grade.class,
+                name: embedded.name.trim(),
+                isActive: true
+            });
+
+            if (!assignment) {
+                assignment = await Assignment.create({
+                    class: grade.class,
+                    professor: grade.professor,
+                    name: embedded.name,
+                    type: embedded.type,
+                    dueDate: embedded.dueDate,
+                    maxPoints: embedded.maxPoints,
+                    weight: embedded.weight ?? 1
+                });
+                created++;
+            }
+
+            assignments[key] = assignment;
+        }
+
+        const assignment = assignments[key];
+        const differences = COMPARED_FIELDS
+            .filter(field => embedded[field] !== undefined)
+            .filter(field => comparable(embedded[field]) !== comparable(assignment[field]))
+            .map(field => `${field} ${embedded[field]} -> ${assignment[field]}`);
+        if (differences.length > 0) {
+            mismatches.push(`Grade ${grade._id} (class ${grade.class}, "${embedded.name.trim()}"): ${differences.join(', ')}`);
+        }
+        if (embedded.maxPoints !== undefined && comparable(embedded.maxPoints) !== comparable(assignment.maxPoints)) {
+            regradeIds.push(grade._id);
+        }
+
+        await grades.updateOne({ _id: grade._id }, { $set: { assignment: assignment._id } });
+        updated++;
+    }
+
+    // Build the new indexes now that every grade references an Assignment
+    await Grade.syncIndexes();
+
+    // Percentages and letters were based on the grade's own maximum points; the pre-save hook
+    // fills them in again from the Assignment
+    for (const gradeId of regradeIds) {
+        const grade = await Grade.findById(gradeId).setOptions({ withDeleted: true });
+        if (!grade) continue;
+        grade.score.percentage = undefined;
+        grade.score.letterGrade = undefined;
+        await grade.auditAs(null, { reason: 'Assignment migration: maximum points taken from the shared assignment' }).save();
+    }
+
+    if (mismatches.length > 0) {
+        console.warn(`${mismatches.length} grade(s) disagreed with their assignment; the assignment's values were kept:`);
+        mismatches.forEach(line => console.warn(`  ${line}`));
+    }
+
+    console.log(`Created ${created} assignments, updated ${updated} grades and regraded ${regradeIds.length} with different maximum points`);
+};
+
+migrate()
+    .catch(error => {
+        console.error('Assignment migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
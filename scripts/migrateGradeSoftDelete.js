@@ -0,0 +1,36 @@
+/**
+ * Migration: prepare grades for soft delete
+ *
+ * Grades are now hidden with isDeleted instead of being removed, and the one-grade-per-student-
+ * per-assignment index only covers grades where isDeleted is false. This marks existing grades
+ * as not deleted, so the partial index still covers them, and rebuilds the grade indexes.
+ * Safe to run more than once.
+ *
+ * Usage: npm run migrate:grade-soft-delete
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Grade = require('../models/Grade');
+
+const migrate = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const result = await mongoose.connection.collection('grades').updateMany(
+        { isDeleted: { $exists: false } },
+        { $set: { isDeleted: false } }
+    );
+
+    // Replaces the old unique index with the partial one
+    await Grade.syncIndexes();
+
+    console.log(`Marked ${result.modifiedCount} grades as not deleted and rebuilt grade indexes`);
+};
+
+migrate()
+    .catch(error => {
+        console.error('Grade soft delete migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -13,11 +13,19 @@ const classRoutes = require('./routes/classes');
 const studentRoutes = require('./routes/students');
 const calendarRoutes = require('./routes/calendar');
 const gradeRoutes = require('./routes/grades');
+const portalRoutes = require('./routes/portal');
+const gradeScaleRoutes = require('./routes/gradeScales');
+const rubricRoutes = require('./routes/rubrics');
+const attendanceRoutes = require('./routes/attendance');
+const notificationRoutes = require('./routes/notifications');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const { limiter } = require('./middleware/rateLimiter');
 
+// Import background jobs
+const reminderService = require('./services/reminderService');
+
 const app = express();
 
 // Security middleware
@@ -54,7 +62,8 @@ app.use(cors({
     allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
-// Logging middleware
+// Logging middleware - stream tickets in query strings are masked
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]ticket=)[^&]*/g, '$1[redacted]'));
 app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
 
 // Rate limiting
@@ -75,6 +84,11 @@ mongoose.connect(process.env.MONGODB_URI, {
 })
 .then(() => {
     console.log('Connected to MongoDB successfully');
+
+    // Deliver event reminders from this process unless another worker handles them
+    if (process.env.REMINDERS_ENABLED !== 'false') {
+        reminderService.start();
+    }
 })
 .catch((error) => {
     console.error('MongoDB connection error:', error);
@@ -89,6 +103,11 @@ app.use('/api/students', studentRoutes);
 app.use('/api/calendar', calendarRoutes);
 app.use('/api/grades', gradeRoutes);
 app.use('/api/import', require('./routes/import'));
+app.use('/api/portal', portalRoutes);
+app.use('/api/grade-scales', gradeScaleRoutes);
+app.use('/api/rubrics', rubricRoutes);
+app.use('/api/attendance', attendanceRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Serve the main index.html file for the root route
 app.get('/', (req, res) => {
@@ -111,6 +130,7 @@ app.post('/api/test/init', async (req, res) => {
         const Student = require('./models/Student');
         const Class = require('./models/Class');
         const Grade = require('./models/Grade');
+        const Assignment = require('./models/Assignment');
         const CalendarEvent = require('./models/CalendarEvent');
 
         // Check if test professor already exists
@@ -247,6 +267,41 @@ app.post('/api/test/init', async (req, res) => {
             classes.push(classDoc);
         }
 
+        // Create test assignments
+        const testAssignments = [
+            {
+                class: classes[0]._id,
+                professor: testProfessor._id,
+                name: 'HTML/CSS Project',
+                type: 'project',
+                maxPoints: 100,
+                dueDate: new Date('2025-09-15')
+            },
+            {
+                class: classes[1]._id,
+                professor: testProfessor._id,
+                name: 'Database Design Quiz',
+                type: 'quiz',
+                maxPoints: 50,
+                dueDate: new Date('2025-09-10')
+            }
+        ];
+
+        const assignments = [];
+        for (const assignmentData of testAssignments) {
+            let assignment = await Assignment.findOne({
+                class: assignmentData.class,
+                name: assignmentData.name,
+                isActive: true
+            });
+
+            if (!assignment) {
+                assignment = new Assignment(assignmentData);
+                await assignment.save();
+            }
+            assignments.push(assignment);
+        }
+
         // Create test grades
         const testGrades = [
             // CS101 grades
@@ -254,12 +309,7 @@ app.post('/api/test/init', async (req, res) => {
                 student: students[0]._id,
                 class: classes[0]._id,
                 professor: testProfessor._id,
-                assignment: {
-                    name: 'HTML/CSS Project',
-                    type: 'project',
-                    maxPoints: 100,
-                    dueDate: new Date('2025-09-15')
-                },
+                assignment: assignments[0]._id,
                 score: {
                     points: 95
                 },
@@ -271,12 +321,7 @@ app.post('/api/test/init', async (req, res) => {
                 student: students[1]._id,
                 class: classes[0]._id,
                 professor: testProfessor._id,
-                assignment: {
-                    name: 'HTML/CSS Project',
-                    type: 'project',
-                    maxPoints: 100,
-                    dueDate: new Date('2025-09-15')
-                },
+                assignment: assignments[0]._id,
                 score: {
                     points: 88
                 },
@@ -289,12 +334,7 @@ app.post('/api/test/init', async (req, res) => {
                 student: students[0]._id,
                 class: classes[1]._id,
                 professor: testProfessor._id,
-                assignment: {
-                    name: 'Database Design Quiz',
-                    type: 'quiz',
-                    maxPoints: 50,
-                    dueDate: new Date('2025-09-10')
-                },
+                assignment: assignments[1]._id,
                 score: {
                     points: 47
                 },
@@ -307,8 +347,7 @@ app.post('/api/test/init', async (req, res) => {
         for (const gradeData of testGrades) {
             const existingGrade = await Grade.findOne({
                 student: gradeData.student,
-                class: gradeData.class,
-                'assignment.name': gradeData.assignment.name
+                assignment: gradeData.assignment
             });
 
             if (!existingGrade) {
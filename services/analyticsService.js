@@ -0,0 +1,168 @@
+const gradebookService = require('./gradebookService');
+
+/**
+ * Analytics Service
+ * This service describes how a class is doing as a whole: the spread of final percentages,
+ * how each assignment went, the letter grades the class would receive today, and how
+ * averages move from one due date to the next. Figures come from the same calculation as the
+ * grade summary, so late penalties, drops and excused grades are already applied.
+ */
+
+// Width of a histogram bar, in percentage points
+const BIN_SIZE = 10;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const average = (values) => values.length > 0
+    ? round2(values.reduce((sum, value) => sum + value, 0) / values.length)
+    : null;
+
+// Value at fraction p of sorted values, interpolating between neighbours
+const quantile = (sorted, p) => {
+    if (sorted.length === 0) return null;
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return round2(sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower));
+};
+
+class AnalyticsService {
+
+    /**
+     * Summary statistics for a list of percentages
+     * @param {Array} values - Numbers; null entries are ignored
+     * @return {Object} - { count, mean, median, stdDev, min, max, quartiles: { q1, q2, q3 } }
+     */
+    describe(values) {
+        const sorted = values.filter(value => value !== null && value !== undefined).sort((a, b) => a - b);
+        const mean = average(sorted);
+        const variance = sorted.length > 0
+            ? sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sorted.length
+            : null;
+
+        return {
+            count: sorted.length,
+            mean,
+            median: quantile(sorted, 0.5),
+            stdDev: variance === null ? null : round2(Math.sqrt(variance)),
+            min: sorted.length > 0 ? sorted[0] : null,
+            max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+            quartiles: {
+                q1: quantile(sorted, 0.25),
+                q2: quantile(sorted, 0.5),
+                q3: quantile(sorted, 0.75)
+            }
+        };
+    }
+
+    /**
+     * Count percentages into 10-point bins from 0 to 100
+     * Scores above 100 (extra credit) fall in the top bin.
+     * @param {Array} values - Percentages; null entries are ignored
+     * @return {Array} - [{ min, max, label, count }] lowest bin first
+     */
+    histogram(values) {
+        const bins = [];
+        for (let min = 0; min < 100; min += BIN_SIZE) {
+            const max = min + BIN_SIZE;
+            bins.push({ min, max, label: max === 100 ? `${min}-${max}` : `${min}-${max - 1}`, count: 0 });
+        }
+
+        values
+            .filter(value => value !== null && value !== undefined)
+            .forEach(value => {
+                const index = Math.min(bins.length - 1, Math.max(0, Math.floor(value / BIN_SIZE)));
+                bins[index].count++;
+            });
+
+        return bins;
+    }
+
+    /**
+     * Build the analytics for a class
+     * @param {ObjectId} classId - Class
+     * @return {Object} - { overall, letterDistribution, categories, assignments, trends }
+     */
+    async analyzeClass(classId) {
+        const { cutoffs, grades, assignments, results } = await gradebookService.calculateClass(classId);
+
+        const finalPercentages = results.map(entry => entry.percentage).filter(value => value !== null);
+
+        // Letters in scale order, including those nobody received
+        const letterCounts = new Map(cutoffs.map(cutoff => [cutoff.letter, 0]));
+        results
+            .filter(entry => entry.percentage !== null)
+            .forEach(entry => letterCounts.set(entry.letterGrade, (letterCounts.get(entry.letterGrade) || 0) + 1));
+
+        const categoryNames = results.length > 0 ? Object.keys(results[0].categories) : [];
+        const categories = categoryNames.map(category => {
+            const percentages = results
+                .map(entry => entry.categories[category].percentage)
+                .filter(value => value !== null);
+            return {
+                category,
+                weight: results[0].categories[category].weight,
+                average: average(percentages),
+                gradedStudents: percentages.length
+            };
+        });
+
+        // Per-assignment percentages after late penalties; excused grades don't count
+        const percentagesByAssignment = new Map();
+        grades
+            .filter(grade => grade.assignment && !grade.isExcused)
+            .forEach(grade => {
+                const key = grade.assignment._id.toString();
+                if (!percentagesByAssignment.has(key)) percentagesByAssignment.set(key, []);
+                percentagesByAssignment.get(key).push(grade.calculatedPercentage);
+            });
+
+        const assignmentStats = assignments.map(assignment => {
+            const percentages = percentagesByAssignment.get(assignment._id.toString()) || [];
+            return {
+                assignment: {
+                    _id: assignment._id,
+                    name: assignment.name,
+                    type: assignment.type,
+                    dueDate: assignment.dueDate,
+                    maxPoints: assignment.maxPoints
+                },
+                statistics: this.describe(percentages),
+                histogram: this.histogram(percentages)
+            };
+        });
+
+        // Averages in due-date order, with the running average of everything due so far
+        const trends = [];
+        let runningTotal = 0;
+        let runningCount = 0;
+        assignmentStats
+            .filter(entry => entry.assignment.dueDate && entry.statistics.count > 0)
+            .forEach(entry => {
+                runningTotal += entry.statistics.mean;
+                runningCount++;
+                trends.push({
+                    assignmentId: entry.assignment._id,
+                    name: entry.assignment.name,
+                    dueDate: entry.assignment.dueDate,
+                    mean: entry.statistics.mean,
+                    median: entry.statistics.median,
+                    cumulativeMean: round2(runningTotal / runningCount)
+                });
+            });
+
+        return {
+            overall: {
+                statistics: this.describe(finalPercentages),
+                histogram: this.histogram(finalPercentages),
+                totalStudents: results.length
+            },
+            letterDistribution: [...letterCounts].map(([letter, count]) => ({ letter, count })),
+            categories,
+            assignments: assignmentStats,
+            trends
+        };
+    }
+}
+
+module.exports = new AnalyticsService();
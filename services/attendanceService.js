@@ -0,0 +1,108 @@
+const Attendance = require('../models/Attendance');
+
+/**
+ * Attendance Service
+ * This service turns recorded class sessions into per-student attendance rates and the
+ * attendance score used by the gradebook. Excused absences are left out of a student's total,
+ * and late arrivals earn the class's lateAttendanceCredit share of a present mark.
+ */
+
+const DEFAULT_LATE_CREDIT = 0.5;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class AttendanceService {
+
+    /**
+     * Read the late-arrival credit from a class
+     * @param {Object} classDoc - Class with syllabus.gradingPolicy
+     * @return {Number} - Credit between 0 and 1
+     */
+    getLateCredit(classDoc) {
+        const credit = classDoc?.syllabus?.gradingPolicy?.lateAttendanceCredit;
+        return typeof credit === 'number' ? credit : DEFAULT_LATE_CREDIT;
+    }
+
+    /**
+     * Summarize attendance records for one student
+     * @param {Array} statuses - The student's status in each session
+     * @param {Number} lateCredit - Credit for a late arrival
+     * @return {Object} - Counts, countedSessions, credit and rate
+     */
+    summarize(statuses, lateCredit = DEFAULT_LATE_CREDIT) {
+        const counts = { present: 0, absent: 0, late: 0, excused: 0 };
+        statuses.forEach(status => {
+            counts[status]++;
+        });
+
+        const countedSessions = counts.present + counts.absent + counts.late;
+        const credit = counts.present + counts.late * lateCredit;
+
+        return {
+            ...counts,
+            totalSessions: statuses.length,
+            countedSessions,
+            credit: round2(credit),
+            rate: countedSessions > 0 ? round2((credit / countedSessions) * 100) : null
+        };
+    }
+
+    /**
+     * Calculate attendance for every student recorded in a class
+     * @param {Object} classDoc - Class to calculate for
+     * @param {Array} studentIds - Optional students to limit the result to
+     * @return {Object} - Summaries keyed by student ID
+     */
+    async calculateClassRates(classDoc, studentIds = null) {
+        const sessions = await Attendance.find({ class: classDoc._id }).select('records sessionDate');
+        const lateCredit = this.getLateCredit(classDoc);
+        const filter = studentIds ? new Set(studentIds.map(id => id.toString())) : null;
+
+        const statusesByStudent = {};
+        sessions.forEach(session => {
+            session.records.forEach(record => {
+                const studentId = record.student.toString();
+                if (filter && !filter.has(studentId)) return;
+                if (!statusesByStudent[studentId]) {
+                    statusesByStudent[studentId] = [];
+                }
+                statusesByStudent[studentId].push(record.status);
+            });
+        });
+
+        const rates = {};
+        Object.entries(statusesByStudent).forEach(([studentId, statuses]) => {
+            rates[studentId] = this.summarize(statuses, lateCredit);
+        });
+
+        return rates;
+    }
+
+    /**
+     * Build the gradebook entry for a student's attendance
+     * The entry is shaped like a populated Grade so the grade calculator can score it with the
+     * attendance category.
+     * @param {Object} summary - Output of summarize
+     * @return {Object|null} - Grade-like entry, or null when no sessions count yet
+     */
+    toGradeEntry(summary) {
+        if (!summary || summary.countedSessions === 0) return null;
+
+        return {
+            assignment: {
+                name: 'Attendance',
+                type: 'attendance',
+                maxPoints: summary.countedSessions,
+                weight: 1
+            },
+            score: {
+                points: summary.credit
+            },
+            isExcused: false,
+            isExtra: false,
+            isAttendanceRollup: true
+        };
+    }
+}
+
+module.exports = new AttendanceService();
@@ -1,8 +1,9 @@
-const ical = require('ical-generator');
+const ical = require('ical-generator').default;
 const nodeIcal = require('node-ical');
 const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
+const recurrenceService = require('./recurrenceService');
 
 /**
  * Calendar Sync Service
@@ -30,21 +31,56 @@ class CalendarSyncService {
                 end: new Date(event.endDateTime),
                 summary: event.title,
                 description: event.description || '',
-                location: event.location || '',
+                location: this.formatLocation(event.location),
                 url: event.url || '',
                 id: event._id.toString(),
                 status: 'CONFIRMED',
-                categories: [event.eventType],
+                categories: [{ name: event.eventType }],
+                repeating: recurrenceService.toRepeating(event),
                 organizer: {
                     name: `${professor.firstName} ${professor.lastName}`,
                     email: professor.email
                 }
             });
+
+            // Moved or edited occurrences are exported as overrides of the series
+            if (recurrenceService.isRecurring(event)) {
+                const duration = new Date(event.endDateTime) - new Date(event.startDateTime);
+                (event.recurrence.exceptions || [])
+                    .filter(exception => !exception.isCancelled)
+                    .forEach(exception => {
+                        const start = new Date(exception.startDateTime || exception.originalStartDateTime);
+                        calendar.createEvent({
+                            id: event._id.toString(),
+                            recurrenceId: new Date(exception.originalStartDateTime),
+                            start,
+                            end: exception.endDateTime ? new Date(exception.endDateTime) : new Date(start.getTime() + duration),
+                            summary: exception.title || event.title,
+                            description: exception.description || event.description || '',
+                            status: 'CONFIRMED',
+                            categories: [{ name: event.eventType }]
+                        });
+                    });
+            }
         });
 
         return calendar.toString();
     }
 
+    /**
+     * Format an event location as a single line for iCalendar
+     * @param {Object|String} location - CalendarEvent.location
+     * @return {String|null} - e.g. "Science Building, 201" or null when empty
+     */
+    formatLocation(location) {
+        if (!location) return null;
+        if (typeof location === 'string') return location || null;
+
+        const parts = [location.building, location.room, location.campus].filter(Boolean);
+        if (parts.length === 0 && location.virtual?.link) parts.push(location.virtual.link);
+        return parts.length > 0 ? parts.join(', ') : null;
+    }
+
     /**
      * Create a file path for storing iCalendar files
      * @param {String} professorId - Professor ID
@@ -102,7 +138,7 @@ class CalendarSyncService {
                     endDateTime: event.end,
                     location: event.location || '',
                     eventType: this.mapEventType(event.categories?.[0] || 'other'),
-                    isRecurring: !!event.rrule,
+                    recurrence: this.parseRecurrence(event),
                     externalId: event.uid
                 });
             }
@@ -111,6 +147,46 @@ class CalendarSyncService {
         return events;
     }
 
+    /**
+     * Read a VEVENT's RRULE, EXDATEs and overridden instances into CalendarEvent.recurrence
+     * @param {Object} event - VEVENT parsed by node-ical
+     * @return {Object|undefined} - Recurrence fields, or undefined for one-off events
+     */
+    parseRecurrence(event) {
+        const recurrence = event.rrule ? recurrenceService.fromRRule(event.rrule.toString()) : null;
+        if (!recurrence) return undefined;
+
+        // EXDATE and RECURRENCE-ID may carry a different timezone than DTSTART; snap each one to
+        // the series occurrence it refers to so exceptions line up with expanded occurrences
+        const series = { startDateTime: event.start, recurrence };
+        const horizon = new Date(Math.max(
+            Date.now(),
+            ...Object.values(event.exdate || {}).map(date => new Date(date).getTime()),
+            ...Object.values(event.recurrences || {}).map(instance => new Date(instance.recurrenceid).getTime())
+        ) + 24 * 60 * 60 * 1000);
+        const starts = recurrenceService.generateStarts(series, horizon);
+        const snap = (date) => {
+            const time = new Date(date).getTime();
+            const nearest = starts.find(start => Math.abs(start.getTime() - time) < 24 * 60 * 60 * 1000);
+            return nearest || new Date(date);
+        };
+
+        const exceptions = [];
+        Object.values(event.exdate || {}).forEach(date => {
+            exceptions.push({ originalStartDateTime: snap(date), isCancelled: true });
+        });
+        Object.values(event.recurrences || {}).forEach(instance => {
+            exceptions.push({
+                originalStartDateTime: snap(instance.recurrenceid),
+                startDateTime: instance.start,
+                endDateTime: instance.end,
+                title: instance.summary
+            });
+        });
+
+        return { ...recurrence, exceptions };
+    }
+
     /**
      * Map external event types to our system's event types
      * @param {String} externalType - External event type
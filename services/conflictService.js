@@ -0,0 +1,384 @@
+const CalendarEvent = require('../models/CalendarEvent');
+const Class = require('../models/Class');
+const recurrenceService = require('./recurrenceService');
+const scheduleService = require('./scheduleService');
+
+/**
+ * Conflict Service
+ * This service finds double bookings. Calendar events (with recurring series expanded) and
+ * weekly class meetings are turned into "bookings" - a time span with a professor and an
+ * optional room - and two bookings conflict when they overlap and share the professor or the
+ * room (location.building + location.room). Classes with a term already have their lectures
+ * on the calendar as generated events, so only classes without a term are expanded from their
+ * weekly schedule.
+ */
+
+// Event types that don't occupy the professor or the room
+const NON_BLOCKING_TYPES = ['holiday', 'break'];
+
+// How far ahead an open-ended series is checked
+const HORIZON_DAYS = 365;
+
+// Cap on conflicts returned so one clashing series can't produce a huge response
+const MAX_CONFLICTS = 100;
+
+// Minutes since midnight for an HH:MM time
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// Case-insensitive equality for building and room lookups
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+class ConflictService {
+
+    /**
+     * Key identifying a physical room
+     * @param {Object} location - { building, room }
+     * @return {String|null} - "building|room" in lower case, or null when either part is missing
+     */
+    roomKey(location) {
+        const building = location?.building?.trim();
+        const room = location?.room?.trim();
+        if (!building || !room) return null;
+        return `${building.toLowerCase()}|${room.toLowerCase()}`;
+    }
+
+    /**
+     * Whether two time spans overlap; touching end-to-start does not count
+     * @param {Object} a - { startDateTime, endDateTime }
+     * @param {Object} b - { startDateTime, endDateTime }
+     * @return {Boolean}
+     */
+    overlaps(a, b) {
+        return new Date(a.startDateTime) < new Date(b.endDateTime) &&
+            new Date(b.startDateTime) < new Date(a.endDateTime);
+    }
+
+    /**
+     * Reasons two bookings clash, if any
+     * @param {Object} a - Booking
+     * @param {Object} b - Booking
+     * @return {Array} - Subset of ['professor', 'room']
+     */
+    reasonsFor(a, b) {
+        if (!this.overlaps(a, b)) return [];
+
+        const reasons = [];
+        if (a.professor && b.professor && a.professor.toString() === b.professor.toString()) {
+            reasons.push('professor');
+        }
+        if (a.roomKey && a.roomKey === b.roomKey) {
+            reasons.push('room');
+        }
+        return reasons;
+    }
+
+    /**
+     * Turn events into bookings, expanding recurring series within a window
+     * @param {Array} events - Calendar events
+     * @param {Date} windowStart - Window start
+     * @param {Date} windowEnd - Window end
+     * @return {Array} - Bookings
+     */
+    eventBookings(events, windowStart, windowEnd) {
+        return recurrenceService.expandEvents(events, windowStart, windowEnd).map(occurrence => ({
+            source: 'event',
+            id: occurrence._id,
+            title: occurrence.title,
+            professor: occurrence.professor?._id || occurrence.professor,
+            class: occurrence.class?._id || occurrence.class,
+            generatedFromSchedule: !!occurrence.generatedFromSchedule,
+            location: occurrence.location,
+            roomKey: this.roomKey(occurrence.location),
+            startDateTime: new Date(occurrence.startDateTime),
+            endDateTime: new Date(occurrence.endDateTime),
+            occurrenceStart: occurrence.isOccurrence ? occurrence.occurrenceStart : undefined
+        }));
+    }
+
+    /**
+     * Turn classes' weekly schedules into bookings within a window
+     * @param {Array} classes - Classes without a term
+     * @param {Date} windowStart - Window start
+     * @param {Date} windowEnd - Window end
+     * @return {Array} - Bookings
+     */
+    classBookings(classes, windowStart, windowEnd) {
+        return classes.flatMap(cls => scheduleService.expandSchedule(cls.schedule, windowStart, windowEnd)
+            .filter(meeting => this.overlaps(meeting, { startDateTime: windowStart, endDateTime: windowEnd }))
+            .map(meeting => ({
+                source: 'class',
+                id: cls._id,
+                title: `${cls.courseCode} - ${cls.className}`,
+                professor: cls.professor,
+                location: cls.schedule.location,
+                roomKey: this.roomKey(cls.schedule.location),
+                ...meeting
+            })));
+    }
+
+    /**
+     * Load bookings that belong to a professor or use one of the given rooms
+     * excludeClassId leaves out that class's weekly meetings and the lecture events generated from them.
+     * @param {Object} options - { professorId, locations, windowStart, windowEnd, excludeEventId, excludeClassId, includeClasses }
+     * @return {Array} - Bookings sorted by start
+     */
+    async loadBookings({ professorId, locations = [], windowStart, windowEnd, excludeEventId, excludeClassId, includeClasses = true }) {
+        const rooms = locations.filter(location => this.roomKey(location));
+
+        const eventQuery = {
+            status: { $ne: 'cancelled' },
+            eventType: { $nin: NON_BLOCKING_TYPES },
+            $and: [
+                recurrenceService.windowQuery(windowStart, windowEnd),
+                {
+                    $or: [
+                        ...(professorId ? [{ professor: professorId }] : []),
+                        ...rooms.map(location => ({
+                            'location.building': location.building.trim(),
+                            'location.room': location.room.trim()
+                        }))
+                    ]
+                }
+            ]
+        };
+        if (excludeEventId) eventQuery._id = { $ne: excludeEventId };
+        if (excludeClassId) eventQuery.$nor = [{ class: excludeClassId, generatedFromSchedule: true }];
+
+        const classQuery = {
+            isActive: true,
+            'term.startDate': null,
+            'schedule.days.0': { $exists: true },
+            $or: [
+                ...(professorId ? [{ professor: professorId }] : []),
+                ...rooms.map(location => ({
+                    'schedule.location.building': location.building.trim(),
+                    'schedule.location.room': location.room.trim()
+                }))
+            ]
+        };
+        if (excludeClassId) classQuery._id = { $ne: excludeClassId };
+
+        const [events, classes] = await Promise.all([
+            CalendarEvent.find(eventQuery).collation(CASE_INSENSITIVE),
+            includeClasses
+                ? Class.find(classQuery).collation(CASE_INSENSITIVE).select('className courseCode professor schedule')
+                : []
+        ]);
+
+        return [
+            ...this.eventBookings(events, windowStart, windowEnd),
+            ...this.classBookings(classes, windowStart, windowEnd)
+        ].sort((a, b) => a.startDateTime - b.startDateTime);
+    }
+
+    /**
+     * Describe a booking in a conflict report
+     * @param {Object} booking - Booking
+     * @return {Object} - Public fields
+     */
+    describe(booking) {
+        const { roomKey: _roomKey, professor: _professor, generatedFromSchedule: _generated, occurrenceStart, ...fields } = booking;
+        return occurrenceStart ? { ...fields, occurrenceStart } : fields;
+    }
+
+    /**
+     * Find existing bookings a new or changed event would clash with
+     * @param {Object} candidate - Event fields: professor, startDateTime, endDateTime, location, recurrence, eventType, status
+     * @param {Object} options - { excludeEventId }
+     * @return {Array} - [{ reasons, conflictsWith, startDateTime, endDateTime, ... }]
+     */
+    async findEventConflicts(candidate, { excludeEventId } = {}) {
+        if (NON_BLOCKING_TYPES.includes(candidate.eventType) || candidate.status === 'cancelled') {
+            return [];
+        }
+
+        const windowStart = new Date(candidate.startDateTime);
+        let windowEnd = new Date(candidate.endDateTime);
+        if (recurrenceService.isRecurring(candidate)) {
+            windowEnd = new Date(windowStart);
+            windowEnd.setDate(windowEnd.getDate() + HORIZON_DAYS);
+        }
+
+        const own = this.eventBookings([{ ...candidate, _id: excludeEventId }], windowStart, windowEnd)
+            .map(booking => ({ ...booking, professor: candidate.professor }));
+        if (own.length === 0) return [];
+
+        const bookings = await this.loadBookings({
+            professorId: candidate.professor,
+            locations: [candidate.location],
+            windowStart,
+            windowEnd: own[own.length - 1].endDateTime,
+            excludeEventId
+        });
+
+        return this.matchBookings(own, bookings);
+    }
+
+    /**
+     * Find everything a class schedule would clash with: other classes meeting in the same
+     * semester, and calendar events (recurring series expanded) during the class's term, or
+     * over the next HORIZON_DAYS when it has no term
+     * @param {Object} classData - Class fields: professor, semester, year, schedule, term, className, courseCode
+     * @param {Object} options - { excludeClassId }
+     * @return {Array} - Classes as [{ reasons, source: 'class', id, title, days, startTime, endTime, location }],
+     *                   then events as [{ reasons, source: 'event', id, title, startDateTime, endDateTime, conflictsWith, ... }]
+     */
+    async findClassConflicts(classData, { excludeClassId } = {}) {
+        const schedule = classData.schedule;
+        if (!schedule?.days?.length || !schedule.startTime || !schedule.endTime) return [];
+
+        const classConflicts = await this.findScheduleClashes(classData, { excludeClassId });
+
+        const windowStart = classData.term?.startDate ? new Date(classData.term.startDate) : new Date();
+        const windowEnd = classData.term?.endDate ? new Date(classData.term.endDate) : new Date(windowStart);
+        if (!classData.term?.endDate) windowEnd.setDate(windowEnd.getDate() + HORIZON_DAYS);
+
+        const own = this.classBookings([{ ...classData, _id: excludeClassId }], windowStart, windowEnd);
+        if (own.length === 0) return classConflicts;
+
+        // Lectures generated for classes already reported above would only repeat them
+        const reported = new Set(classConflicts.map(conflict => conflict.id.toString()));
+        const events = (await this.loadBookings({
+            professorId: classData.professor,
+            locations: [schedule.location],
+            windowStart,
+            windowEnd: own[own.length - 1].endDateTime,
+            excludeClassId,
+            includeClasses: false
+        })).filter(booking => !(booking.generatedFromSchedule && booking.class && reported.has(booking.class.toString())));
+
+        return [
+            ...classConflicts,
+            ...this.matchBookings(own, events).slice(0, Math.max(0, MAX_CONFLICTS - classConflicts.length))
+        ];
+    }
+
+    /**
+     * Find other classes whose weekly meetings clash with a class schedule in the same term
+     * @param {Object} classData - Class fields: professor, semester, year, schedule
+     * @param {Object} options - { excludeClassId }
+     * @return {Array} - [{ reasons, source: 'class', id, title, days, startTime, endTime, location }]
+     */
+    async findScheduleClashes(classData, { excludeClassId } = {}) {
+        const schedule = classData.schedule;
+
+        const room = this.roomKey(schedule.location);
+        const query = {
+            isActive: true,
+            semester: classData.semester,
+            year: classData.year,
+            'schedule.days': { $in: schedule.days },
+            $or: [{ professor: classData.professor }]
+        };
+        if (room) {
+            query.$or.push({
+                'schedule.location.building': schedule.location.building.trim(),
+                'schedule.location.room': schedule.location.room.trim()
+            });
+        }
+        if (excludeClassId) query._id = { $ne: excludeClassId };
+
+        const classes = await Class.find(query)
+            .collation(CASE_INSENSITIVE)
+            .select('className courseCode professor schedule');
+
+        const start = toMinutes(schedule.startTime);
+        const end = toMinutes(schedule.endTime);
+
+        return classes.flatMap(other => {
+            const otherStart = toMinutes(other.schedule.startTime);
+            const otherEnd = toMinutes(other.schedule.endTime);
+            if (!(start < otherEnd && otherStart < end)) return [];
+
+            const reasons = [];
+            if (other.professor.toString() === classData.professor.toString()) reasons.push('professor');
+            if (room && room === this.roomKey(other.schedule.location)) reasons.push('room');
+            if (reasons.length === 0) return [];
+
+            return [{
+                reasons,
+                source: 'class',
+                id: other._id,
+                title: `${other.courseCode} - ${other.className}`,
+                days: other.schedule.days.filter(day => schedule.days.includes(day)),
+                startTime: other.schedule.startTime,
+                endTime: other.schedule.endTime,
+                location: other.schedule.location
+            }];
+        });
+    }
+
+    /**
+     * Report every clash involving a professor's bookings in a date range
+     * @param {ObjectId} professorId - Professor
+     * @param {Date} windowStart - Range start
+     * @param {Date} windowEnd - Range end
+     * @return {Array} - [{ reasons, startDateTime, endDateTime, bookings: [a, b] }]
+     */
+    async findConflictsInRange(professorId, windowStart, windowEnd) {
+        const own = await this.loadBookings({ professorId, windowStart, windowEnd });
+
+        // Rooms the professor uses, so other professors' bookings there are checked too
+        const locations = [...new Map(own
+            .filter(booking => booking.roomKey)
+            .map(booking => [booking.roomKey, booking.location])).values()];
+        const others = locations.length > 0
+            ? (await this.loadBookings({ professorId: null, locations, windowStart, windowEnd }))
+                .filter(booking => !booking.professor || booking.professor.toString() !== professorId.toString())
+            : [];
+
+        const conflicts = [];
+        own.forEach((booking, index) => {
+            [...own.slice(index + 1), ...others].forEach(other => {
+                if (conflicts.length >= MAX_CONFLICTS) return;
+                // Occurrences of the same series never clash with each other
+                if (booking.source === other.source && booking.id.toString() === other.id.toString()) return;
+
+                const reasons = this.reasonsFor(booking, other);
+                if (reasons.length === 0) return;
+
+                conflicts.push({
+                    reasons,
+                    startDateTime: new Date(Math.max(booking.startDateTime, other.startDateTime)),
+                    endDateTime: new Date(Math.min(booking.endDateTime, other.endDateTime)),
+                    bookings: [this.describe(booking), this.describe(other)]
+                });
+            });
+        });
+
+        return conflicts.sort((a, b) => a.startDateTime - b.startDateTime);
+    }
+
+    /**
+     * Pair a candidate's bookings with the existing bookings they clash with
+     * @param {Array} own - Candidate bookings
+     * @param {Array} bookings - Existing bookings
+     * @return {Array} - Existing bookings, each with reasons and the candidate occurrence it hits
+     */
+    matchBookings(own, bookings) {
+        const conflicts = [];
+        for (const booking of own) {
+            for (const other of bookings) {
+                if (conflicts.length >= MAX_CONFLICTS) return conflicts;
+
+                const reasons = this.reasonsFor(booking, other);
+                if (reasons.length === 0) continue;
+
+                conflicts.push({
+                    reasons,
+                    ...this.describe(other),
+                    conflictsWith: {
+                        startDateTime: booking.startDateTime,
+                        endDateTime: booking.endDateTime
+                    }
+                });
+            }
+        }
+        return conflicts;
+    }
+}
+
+module.exports = new ConflictService();
@@ -0,0 +1,248 @@
+const Assignment = require('../models/Assignment');
+const Class = require('../models/Class');
+const Grade = require('../models/Grade');
+const GradeHistory = require('../models/GradeHistory');
+const GradeScale = require('../models/GradeScale');
+const analyticsService = require('./analyticsService');
+
+/**
+ * Curve Service
+ * This service curves one assignment across a class. A curve is stored on each grade as
+ * score.curveAdjustment, the points it adds on top of the student's score after any late
+ * penalty, so score.points always keeps the raw score. Applying a new curve replaces the
+ * previous one rather than stacking on it. Every change is written to the grade history with
+ * the curved action, which is what revert() reads to put the previous adjustment back. Reverts
+ * are written with the curve_reverted action, so reverting again undoes the curve before that.
+ */
+
+const CURVE_METHODS = ['flat', 'targetMean', 'sqrt', 'bell'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class CurveService {
+
+    /**
+     * Work out curved scores as percentages of the assignment's points
+     * flat adds options.points to everyone; targetMean scales everyone so the mean becomes
+     * options.targetMean (before capping); sqrt takes 10 x the square root of each percentage; bell moves scores
+     * onto a distribution with options.targetMean and options.targetStdDev. Results are capped
+     * at 100% and, unless options.allowDecrease is set, never below the uncurved score.
+     * @param {Array} percentages - Uncurved percentages
+     * @param {Object} options - { method, points, targetMean, targetStdDev, allowDecrease }
+     * @param {Number} maxPoints - Assignment maximum points, used by the flat method
+     * @return {Array} - Curved percentages in the same order
+     */
+    curvePercentages(percentages, options, maxPoints) {
+        const { method, allowDecrease = false } = options;
+        const stats = analyticsService.describe(percentages);
+
+        let curve;
+        switch (method) {
+            case 'flat': {
+                const added = maxPoints > 0 ? (Number(options.points) / maxPoints) * 100 : 0;
+                curve = (value) => value + added;
+                break;
+            }
+            case 'targetMean': {
+                const factor = stats.mean > 0 ? Number(options.targetMean) / stats.mean : 1;
+                curve = (value) => value * factor;
+                break;
+            }
+            case 'sqrt':
+                curve = (value) => Math.sqrt(value) * 10;
+                break;
+            case 'bell': {
+                const targetMean = Number(options.targetMean);
+                const targetStdDev = Number(options.targetStdDev);
+                curve = stats.stdDev > 0
+                    ? (value) => targetMean + ((value - stats.mean) / stats.stdDev) * targetStdDev
+                    : () => targetMean;
+                break;
+            }
+            default:
+                throw new Error(`Unknown curve method: ${method}`);
+        }
+
+        return percentages.map(value => {
+            let curved = Math.min(100, Math.max(0, curve(value)));
+            if (!allowDecrease) curved = Math.max(curved, value);
+            return round2(curved);
+        });
+    }
+
+    /**
+     * Work out a curve for an assignment without saving it
+     * @param {ObjectId} classId - Class
+     * @param {ObjectId} assignmentId - Assignment in the class
+     * @param {Object} options - Curve method and parameters, see curvePercentages
+     * @return {Object} - { classDoc, assignment, rows: [{ grade, student, before, after, curveAdjustment }], statistics }, or null when the assignment isn't in the class
+     */
+    async preview(classId, assignmentId, options) {
+        const [classDoc, assignment] = await Promise.all([
+            Class.findById(classId).populate('gradeScale'),
+            Assignment.findOne({ _id: assignmentId, class: classId, isActive: true })
+        ]);
+        if (!assignment) return null;
+
+        const cutoffs = await GradeScale.resolveCutoffs(classDoc);
+        const grades = await Grade.find({ assignment: assignment._id, isExcused: false })
+            .populate('student', 'firstName lastName studentId');
+
+        const maxPoints = assignment.maxPoints;
+        const toPercentage = (points) => maxPoints > 0 ? round2((points / maxPoints) * 100) : 0;
+
+        // The curve applies to the score after any late penalty, ignoring the current curve
+        const basePoints = grades.map(grade =>
+            (grade.score.adjustedPoints ?? grade.score.points) - (grade.score.curveAdjustment || 0));
+        const curved = this.curvePercentages(basePoints.map(toPercentage), options, maxPoints);
+
+        const rows = grades.map((grade, index) => {
+            const afterPoints = round2((curved[index] / 100) * maxPoints);
+            const beforePoints = grade.score.adjustedPoints ?? grade.score.points;
+            return {
+                grade: grade._id,
+                student: grade.student,
+                before: {
+                    points: beforePoints,
+                    percentage: toPercentage(beforePoints),
+                    letterGrade: GradeScale.letterForCutoffs(cutoffs, toPercentage(beforePoints))
+                },
+                after: {
+                    points: afterPoints,
+                    percentage: curved[index],
+                    letterGrade: GradeScale.letterForCutoffs(cutoffs, curved[index])
+                },
+                curveAdjustment: round2(afterPoints - basePoints[index])
+            };
+        });
+
+        rows.sort((a, b) => a.student.lastName.localeCompare(b.student.lastName));
+
+        return {
+            classDoc,
+            assignment,
+            rows,
+            statistics: {
+                before: analyticsService.describe(rows.map(row => row.before.percentage)),
+                after: analyticsService.describe(rows.map(row => row.after.percentage))
+            }
+        };
+    }
+
+    /**
+     * Apply a curve to an assignment's grades
+     * @param {ObjectId} classId - Class
+     * @param {ObjectId} assignmentId - Assignment in the class
+     * @param {Object} options - Curve method and parameters, see curvePercentages
+     * @param {ObjectId} appliedBy - Professor applying the curve
+     * @param {String} reason - Optional note kept in the grade history
+     * @return {Object} - The preview that was applied, with updated: number of grades changed; null when the assignment isn't in the class
+     */
+    async apply(classId, assignmentId, options, appliedBy, reason) {
+        const result = await this.preview(classId, assignmentId, options);
+        if (!result) return null;
+        const adjustments = new Map(result.rows.map(row => [row.grade.toString(), row.curveAdjustment]));
+
+        const grades = await Grade.find({ assignment: result.assignment._id, isExcused: false });
+        let updated = 0;
+        for (const grade of grades) {
+            const adjustment = adjustments.get(grade._id.toString());
+            if (adjustment === undefined || adjustment === (grade.score.curveAdjustment || 0)) continue;
+
+            grade.assignment = result.assignment;
+            grade.score.curveAdjustment = adjustment;
+            grade.score.percentage = undefined;
+            grade.score.letterGrade = undefined;
+            await grade.auditAs(appliedBy, { action: 'curved', reason: reason || `Curve: ${options.method}` }).save();
+            updated++;
+        }
+
+        if (result.assignment.curve) {
+            result.assignment.previousCurves.push(result.assignment.curve.toObject());
+        }
+        result.assignment.curve = {
+            method: options.method,
+            points: options.points,
+            targetMean: options.targetMean,
+            targetStdDev: options.targetStdDev,
+            allowDecrease: !!options.allowDecrease,
+            // Set once the grades are saved, so this curve's history entries are all older than it
+            appliedAt: new Date(),
+            appliedBy
+        };
+        await result.assignment.save();
+
+        return { ...result, updated };
+    }
+
+    /**
+     * Find the curved history entry a revert should undo for one grade
+     * Walks the grade's curve history newest first; each curve_reverted entry cancels the
+     * curved entry before it, so the first curved entry left over is the one in effect.
+     * @param {ObjectId} gradeId - Grade
+     * @param {Date} after - When the curve before the current one was applied; older entries belong to it
+     * @return {Object} - The GradeHistory entry, or null when the current curve didn't change this grade
+     */
+    async latestCurveEntry(gradeId, after) {
+        const query = { grade: gradeId, action: { $in: ['curved', 'curve_reverted'] } };
+        if (after) query.createdAt = { $gt: after };
+
+        const entries = await GradeHistory.find(query).sort({ createdAt: -1 });
+
+        let undone = 0;
+        for (const entry of entries) {
+            if (entry.action === 'curve_reverted') {
+                undone++;
+            } else if (undone > 0) {
+                undone--;
+            } else {
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Undo the current curve on an assignment
+     * Each grade gets back the curve adjustment it had before the current curve, and the
+     * assignment goes back to the curve it replaced, if any. Reverting repeatedly walks back
+     * through every curve applied.
+     * @param {ObjectId} classId - Class
+     * @param {ObjectId} assignmentId - Assignment in the class
+     * @param {ObjectId} revertedBy - Professor reverting the curve
+     * @param {String} reason - Optional note kept in the grade history
+     * @return {Object} - { assignment, reverted: number of grades changed }, or null when the assignment isn't in the class
+     */
+    async revert(classId, assignmentId, revertedBy, reason) {
+        const assignment = await Assignment.findOne({ _id: assignmentId, class: classId, isActive: true });
+        if (!assignment) return null;
+
+        const after = assignment.previousCurves[assignment.previousCurves.length - 1]?.appliedAt;
+        const grades = await Grade.find({ assignment: assignment._id });
+        let reverted = 0;
+        for (const grade of grades) {
+            const entry = await this.latestCurveEntry(grade._id, after);
+            const change = entry?.changes.find(c => c.field === 'score.curveAdjustment');
+            if (!change) continue;
+
+            const previous = change.oldValue ?? 0;
+            if (previous === (grade.score.curveAdjustment || 0)) continue;
+
+            grade.assignment = assignment;
+            grade.score.curveAdjustment = previous;
+            grade.score.percentage = undefined;
+            grade.score.letterGrade = undefined;
+            await grade.auditAs(revertedBy, { action: 'curve_reverted', reason }).save();
+            reverted++;
+        }
+
+        const previous = assignment.previousCurves.pop();
+        assignment.curve = previous ? previous.toObject() : null;
+        await assignment.save();
+
+        return { assignment, reverted };
+    }
+}
+
+module.exports = new CurveService();
+module.exports.CURVE_METHODS = CURVE_METHODS;
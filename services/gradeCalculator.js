@@ -0,0 +1,249 @@
+const GradeScale = require('../models/GradeScale');
+
+/**
+ * Grade Calculator Service
+ * This service turns a student's individual grades into a final course percentage using the
+ * class syllabus gradingPolicy. Assignment types are mapped to policy categories, points are
+ * scaled by assignment weight within a category, and category results are combined using the
+ * policy percentages. Late penalties and curves are already applied to a grade's adjustedPoints;
+ * results carry both the adjusted figures and the raw ones from before any late penalty.
+ */
+
+// Policy categories and the assignment types that count towards them
+const CATEGORY_TYPES = {
+    attendance: ['attendance', 'participation'],
+    assignments: ['homework', 'quiz', 'project', 'exam'],
+    midterm: ['midterm'],
+    final: ['final']
+};
+
+const DEFAULT_POLICY = { attendance: 10, assignments: 30, midterm: 25, final: 35 };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Points that count for a grade, after any late penalty and curve
+const pointsOf = (grade) => grade.score.adjustedPoints ?? grade.score.points;
+
+// Points a grade would count for without its late penalty
+const rawPointsOf = (grade) => grade.score.points + (grade.score.curveAdjustment || 0);
+
+class GradeCalculatorService {
+
+    /**
+     * Find the policy category an assignment type belongs to
+     * @param {String} assignmentType - Grade assignment.type
+     * @return {String} - Category name
+     */
+    categoryFor(assignmentType) {
+        for (const [category, types] of Object.entries(CATEGORY_TYPES)) {
+            if (types.includes(assignmentType)) {
+                return category;
+            }
+        }
+        return 'assignments';
+    }
+
+    /**
+     * Read category weights, drop rules and missing-work handling from a class
+     * @param {Object} classDoc - Class with syllabus.gradingPolicy
+     * @return {Object} - { weights, dropLowest, missingAsZero }
+     */
+    getPolicy(classDoc) {
+        const policy = classDoc?.syllabus?.gradingPolicy || {};
+        const weights = {};
+        const dropLowest = {};
+
+        Object.keys(CATEGORY_TYPES).forEach(category => {
+            weights[category] = typeof policy[category] === 'number' ? policy[category] : DEFAULT_POLICY[category];
+            dropLowest[category] = policy.dropLowest?.[category] || 0;
+        });
+
+        return { weights, dropLowest, missingAsZero: !!policy.missingAsZero };
+    }
+
+    /**
+     * Find the assignments a student has no grade for
+     * @param {Array} assignments - The class's active assignments
+     * @param {Array} grades - The student's grades, excused ones included
+     * @param {Date} asOf - Assignments due before this are past due
+     * @return {Array} - [{ _id, name, type, dueDate, maxPoints, isPastDue }]
+     */
+    findMissing(assignments, grades, asOf = new Date()) {
+        const graded = new Set(grades
+            .filter(grade => grade.assignment?._id)
+            .map(grade => grade.assignment._id.toString()));
+
+        return assignments
+            .filter(assignment => !graded.has(assignment._id.toString()))
+            .map(assignment => ({
+                _id: assignment._id,
+                name: assignment.name,
+                type: assignment.type,
+                dueDate: assignment.dueDate,
+                maxPoints: assignment.maxPoints,
+                weight: assignment.weight,
+                isPastDue: !!assignment.dueDate && assignment.dueDate < asOf
+            }));
+    }
+
+    /**
+     * Stand-in zero grades for missing work that is past due
+     * @param {Array} missing - Output of findMissing
+     * @return {Array} - Grade-shaped entries calculateStudent accepts
+     */
+    missingZeroEntries(missing) {
+        return missing
+            .filter(assignment => assignment.isPastDue)
+            .map(assignment => ({
+                assignment,
+                score: { points: 0 },
+                isExcused: false,
+                isExtra: false,
+                isMissingZero: true
+            }));
+    }
+
+    /**
+     * Convert a percentage to a letter grade
+     * @param {Number} percentage - Percentage score
+     * @param {Array} cutoffs - Scale cutoffs, highest first; defaults to the standard scale
+     * @return {String} - Letter grade
+     */
+    letterGradeFor(percentage, cutoffs = GradeScale.DEFAULT_CUTOFFS) {
+        return GradeScale.letterForCutoffs(cutoffs, percentage);
+    }
+
+    /**
+     * Format a calculated result for display according to a professor's preference
+     * @param {Object} result - Output of calculateStudent
+     * @param {String} preference - 'percentage', 'letter' or 'points'
+     * @return {String} - Display value, or null when nothing has been graded
+     */
+    formatResult(result, preference = 'percentage') {
+        if (result.percentage === null) return null;
+
+        switch (preference) {
+            case 'letter':
+                return result.letterGrade;
+            case 'points':
+                return `${result.totalPoints}/${result.maxTotalPoints}`;
+            default:
+                return `${result.percentage}%`;
+        }
+    }
+
+    /**
+     * Calculate one category's result
+     * Excused grades are ignored. Extra credit adds points without adding to the possible total.
+     * The lowest N regular grades (after late penalties) are dropped, always keeping at least one.
+     * @param {Array} grades - Grades in the category
+     * @param {Number} dropCount - Number of lowest grades to drop
+     * @return {Object} - Category breakdown
+     */
+    calculateCategory(grades, dropCount = 0) {
+        const counted = grades.filter(grade => !grade.isExcused);
+        const extra = counted.filter(grade => grade.isExtra);
+        let regular = counted.filter(grade => !grade.isExtra);
+
+        const ratio = (grade) => grade.assignment.maxPoints > 0 ? pointsOf(grade) / grade.assignment.maxPoints : 1;
+        const dropped = [];
+
+        if (dropCount > 0 && regular.length > 1) {
+            const toDrop = Math.min(dropCount, regular.length - 1);
+            const sorted = [...regular].sort((a, b) => ratio(a) - ratio(b));
+            dropped.push(...sorted.slice(0, toDrop));
+            regular = regular.filter(grade => !dropped.includes(grade));
+        }
+
+        const weightOf = (grade) => grade.assignment.weight ?? 1;
+
+        let earnedPoints = 0;
+        let rawEarnedPoints = 0;
+        let possiblePoints = 0;
+        regular.forEach(grade => {
+            earnedPoints += pointsOf(grade) * weightOf(grade);
+            rawEarnedPoints += rawPointsOf(grade) * weightOf(grade);
+            possiblePoints += grade.assignment.maxPoints * weightOf(grade);
+        });
+
+        let extraPoints = 0;
+        let rawExtraPoints = 0;
+        extra.forEach(grade => {
+            extraPoints += pointsOf(grade) * weightOf(grade);
+            rawExtraPoints += rawPointsOf(grade) * weightOf(grade);
+        });
+
+        return {
+            earnedPoints: round2(earnedPoints),
+            extraPoints: round2(extraPoints),
+            possiblePoints: round2(possiblePoints),
+            percentage: possiblePoints > 0 ? round2(((earnedPoints + extraPoints) / possiblePoints) * 100) : null,
+            rawPercentage: possiblePoints > 0 ? round2(((rawEarnedPoints + rawExtraPoints) / possiblePoints) * 100) : null,
+            latePenaltyPoints: round2(rawEarnedPoints + rawExtraPoints - earnedPoints - extraPoints),
+            gradedCount: regular.length,
+            excusedCount: grades.length - counted.length,
+            droppedGrades: dropped.map(grade => grade._id)
+        };
+    }
+
+    /**
+     * Calculate a student's final result in a class
+     * Categories with nothing graded yet are left out and the remaining weights rescaled.
+     * @param {Array} grades - The student's grades in the class, with assignment populated
+     * @param {Object} classDoc - Class with syllabus.gradingPolicy
+     * @param {Array} cutoffs - Letter grade cutoffs for the class
+     * @return {Object} - { categories, percentage, letterGrade, rawPercentage, rawLetterGrade, latePenaltyPoints, totalPoints, maxTotalPoints }
+     */
+    calculateStudent(grades, classDoc, cutoffs = GradeScale.DEFAULT_CUTOFFS) {
+        const { weights, dropLowest } = this.getPolicy(classDoc);
+        const byCategory = {};
+        Object.keys(CATEGORY_TYPES).forEach(category => {
+            byCategory[category] = [];
+        });
+
+        grades.forEach(grade => {
+            byCategory[this.categoryFor(grade.assignment.type)].push(grade);
+        });
+
+        const categories = {};
+        let weightedSum = 0;
+        let rawWeightedSum = 0;
+        let weightTotal = 0;
+        let latePenaltyPoints = 0;
+        let totalPoints = 0;
+        let maxTotalPoints = 0;
+
+        Object.entries(byCategory).forEach(([category, categoryGrades]) => {
+            const result = this.calculateCategory(categoryGrades, dropLowest[category]);
+            categories[category] = { weight: weights[category], ...result };
+
+            if (result.percentage !== null && weights[category] > 0) {
+                weightedSum += result.percentage * weights[category];
+                rawWeightedSum += result.rawPercentage * weights[category];
+                weightTotal += weights[category];
+            }
+
+            latePenaltyPoints += result.latePenaltyPoints;
+
+            totalPoints += result.earnedPoints + result.extraPoints;
+            maxTotalPoints += result.possiblePoints;
+        });
+
+        const percentage = weightTotal > 0 ? round2(weightedSum / weightTotal) : null;
+        const rawPercentage = weightTotal > 0 ? round2(rawWeightedSum / weightTotal) : null;
+
+        return {
+            categories,
+            percentage,
+            letterGrade: this.letterGradeFor(percentage, cutoffs),
+            rawPercentage,
+            rawLetterGrade: this.letterGradeFor(rawPercentage, cutoffs),
+            latePenaltyPoints: round2(latePenaltyPoints),
+            totalPoints: round2(totalPoints),
+            maxTotalPoints: round2(maxTotalPoints)
+        };
+    }
+}
+
+module.exports = new GradeCalculatorService();
+module.exports.CATEGORY_TYPES = CATEGORY_TYPES;
@@ -0,0 +1,564 @@
+const mongoose = require('mongoose');
+const xlsx = require('xlsx');
+const Assignment = require('../models/Assignment');
+const Class = require('../models/Class');
+const Grade = require('../models/Grade');
+const GradeScale = require('../models/GradeScale');
+const Student = require('../models/Student');
+const rosterService = require('./rosterService');
+const gradeCalculator = require('./gradeCalculator');
+const attendanceService = require('./attendanceService');
+
+/**
+ * Gradebook Service
+ * This service moves a class gradebook in and out of spreadsheets. A gradebook sheet has one
+ * row per student, keyed by student ID, and one column per assignment, matched to the class's
+ * assignments by name. Importing is a two-step flow: validate() checks every row and reports
+ * what would change, and commit() upserts the valid cells against existing grades. Exports
+ * use the same layout, so an exported gradebook can be edited and imported again.
+ */
+
+// Cell value that marks a grade as excused
+const EXCUSED = 'EX';
+
+// Ignore case, spacing and punctuation when matching headers to assignment names
+const normalizeHeader = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Spreadsheet formats an export can be written as
+const EXPORT_FORMATS = {
+    xlsx: { bookType: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    csv: { bookType: 'csv', contentType: 'text/csv' }
+};
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// Enrollment statuses that receive a final grade in the registrar export
+const REGISTRAR_STATUSES = ['enrolled', 'completed'];
+
+// Spreadsheet apps run text starting with these as a formula, so such cells get a leading quote
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const escapeCell = (value) => typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+
+class GradebookService {
+
+    /**
+     * Load a class's active assignments in gradebook column order
+     * @param {ObjectId} classId - Class
+     * @return {Array} - Assignments sorted by due date, then name
+     */
+    async loadAssignments(classId) {
+        const assignments = await Assignment.find({ class: classId, isActive: true })
+            .select('name type dueDate maxPoints weight');
+
+        return assignments.sort((a, b) =>
+            (a.dueDate || Infinity) - (b.dueDate || Infinity) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Calculate every student's result in a class the way the grade summary does
+     * Enrolled students without grades are included; recorded attendance rolls up into the
+     * attendance category. Each result lists the assignments the student has no grade for;
+     * with missingAsZero, past-due ones count as zero.
+     * @param {ObjectId} classId - Class
+     * @param {Object} options - { missingAsZero } overriding the class grading policy
+     * @return {Object} - { classDoc, cutoffs, grades, assignments, missingAsZero, results: [{ student, grades, missing, categories, percentage, letterGrade, attendance, ... }] }
+     */
+    async calculateClass(classId, { missingAsZero } = {}) {
+        const classDoc = await Class.findById(classId)
+            .populate('enrolledStudents.student', 'firstName lastName studentId')
+            .populate('gradeScale');
+        const cutoffs = await GradeScale.resolveCutoffs(classDoc);
+        const attendanceRates = await attendanceService.calculateClassRates(classDoc);
+        const assignments = await this.loadAssignments(classId);
+        const countMissingAsZero = missingAsZero ?? gradeCalculator.getPolicy(classDoc).missingAsZero;
+
+        const grades = (await Grade.find({ class: classId })
+            .populate('student', 'firstName lastName studentId')
+            .populate('assignment', 'name type dueDate maxPoints weight'))
+            .sort((a, b) => (a.assignment?.dueDate?.getTime() || 0) - (b.assignment?.dueDate?.getTime() || 0));
+
+        // Start every enrolled student with an empty entry so ungraded students still appear
+        const studentGrades = {};
+        classDoc.enrolledStudents
+            .filter(enrollment => enrollment.status === 'enrolled' && enrollment.student)
+            .forEach(enrollment => {
+                studentGrades[enrollment.student._id.toString()] = {
+                    student: enrollment.student,
+                    grades: []
+                };
+            });
+
+        // Group grades by student
+        grades.forEach(grade => {
+            const studentId = grade.student._id.toString();
+            if (!studentGrades[studentId]) {
+                studentGrades[studentId] = {
+                    student: grade.student,
+                    grades: []
+                };
+            }
+            studentGrades[studentId].grades.push(grade);
+        });
+
+        // Apply the syllabus grading policy and the class's grade scale to each student
+        const results = Object.values(studentGrades)
+            .map(entry => {
+                const attendance = attendanceRates[entry.student._id.toString()] || null;
+                const attendanceEntry = attendanceService.toGradeEntry(attendance);
+                const missing = gradeCalculator.findMissing(assignments, entry.grades);
+                const counted = [
+                    ...entry.grades,
+                    ...(countMissingAsZero ? gradeCalculator.missingZeroEntries(missing) : []),
+                    ...(attendanceEntry ? [attendanceEntry] : [])
+                ];
+                const result = gradeCalculator.calculateStudent(counted, classDoc, cutoffs);
+                return { ...entry, ...result, attendance, missing };
+            })
+            .sort((a, b) => a.student.lastName.localeCompare(b.student.lastName));
+
+        return { classDoc, cutoffs, grades, assignments, missingAsZero: countMissingAsZero, results };
+    }
+
+    /**
+     * Lay out a class gradebook as spreadsheet rows
+     * The full gradebook has one column per assignment (points, EX for excused), then category
+     * subtotals, the final percentage and letter grade. The registrar layout has only the
+     * student ID and final letter grade, for students still enrolled or who completed the class.
+     * @param {ObjectId} classId - Class
+     * @param {String} type - 'gradebook' or 'registrar'
+     * @return {Object} - { classDoc, rows } where rows[0] is the header row
+     */
+    async buildExport(classId, type = 'gradebook') {
+        const { classDoc, assignments, results } = await this.calculateClass(classId);
+
+        if (type === 'registrar') {
+            // The roster decides who is reported; results also hold dropped students with grades
+            const byStudent = new Map(results.map(entry => [entry.student._id.toString(), entry]));
+            const reported = classDoc.enrolledStudents
+                .filter(enrollment => REGISTRAR_STATUSES.includes(enrollment.status) && enrollment.student)
+                .map(enrollment => ({
+                    student: enrollment.student,
+                    result: byStudent.get(enrollment.student._id.toString())
+                }))
+                .sort((a, b) => a.student.lastName.localeCompare(b.student.lastName));
+
+            return {
+                classDoc,
+                rows: [
+                    ['Student ID', 'Final Grade'],
+                    ...reported.map(({ student, result }) => [
+                        student.studentId,
+                        !result || result.percentage === null ? '' : result.letterGrade
+                    ])
+                ]
+            };
+        }
+
+        const { weights } = gradeCalculator.getPolicy(classDoc);
+        const categories = Object.keys(weights);
+
+        const header = [
+            'Student ID',
+            'Last Name',
+            'First Name',
+            ...assignments.map(assignment => assignment.name),
+            ...categories.map(category => `${capitalize(category)} % (weight ${weights[category]})`),
+            'Overall %',
+            'Letter Grade'
+        ];
+
+        const rows = results.map(entry => {
+            const byAssignment = new Map(entry.grades
+                .filter(grade => grade.assignment)
+                .map(grade => [grade.assignment._id.toString(), grade]));
+
+            return [
+                entry.student.studentId,
+                entry.student.lastName,
+                entry.student.firstName,
+                ...assignments.map(assignment => {
+                    const grade = byAssignment.get(assignment._id.toString());
+                    if (!grade) return '';
+                    return grade.isExcused ? EXCUSED : grade.score.points;
+                }),
+                ...categories.map(category => entry.categories[category]?.percentage ?? ''),
+                entry.percentage ?? '',
+                entry.percentage === null ? '' : entry.letterGrade
+            ];
+        });
+
+        return { classDoc, rows: [header, ...rows] };
+    }
+
+    /**
+     * Write spreadsheet rows to a file buffer
+     * @param {Array} rows - Rows of cell values, header first
+     * @param {String} format - 'xlsx' or 'csv'
+     * @param {String} sheetName - Worksheet name (xlsx only)
+     * @return {Object} - { buffer, contentType, extension }
+     */
+    writeWorkbook(rows, format = 'xlsx', sheetName = 'Gradebook') {
+        const { bookType, contentType } = EXPORT_FORMATS[format];
+        const workbook = xlsx.utils.book_new();
+        const worksheet = xlsx.utils.aoa_to_sheet(rows.map(row => row.map(escapeCell)));
+
+        worksheet['!cols'] = rows[0].map(header => ({ wch: Math.max(10, String(header).length + 2) }));
+        xlsx.utils.book_append_sheet(workbook, worksheet, sheetName);
+
+        return {
+            buffer: xlsx.write(workbook, { type: 'buffer', bookType }),
+            contentType,
+            extension: format
+        };
+    }
+
+    /**
+     * Work out which spreadsheet column holds student IDs and which hold each assignment
+     * @param {Array} headers - Header row
+     * @param {Array} assignments - The class's active assignments
+     * @param {Object} columnMap - Optional overrides: { header: assignmentId | 'studentId' | null }; null ignores the column
+     * @return {Object} - { studentIdColumn, columns: [{ column, header, assignment }], ignored: [header], errors }
+     */
+    mapColumns(headers, assignments, columnMap = {}) {
+        const byId = new Map(assignments.map(assignment => [assignment._id.toString(), assignment]));
+        const byName = new Map(assignments.map(assignment => [normalizeHeader(assignment.name), assignment]));
+
+        const mapping = { studentIdColumn: -1, columns: [], ignored: [], errors: [] };
+        const mappedAssignments = new Set();
+        const detectedStudentIdColumn = rosterService.findStudentIdColumn(headers);
+
+        headers.forEach((header, column) => {
+            const label = String(header ?? '').trim();
+            if (!label) return;
+
+            let target;
+            if (Object.prototype.hasOwnProperty.call(columnMap, label)) {
+                target = columnMap[label];
+                if (target && target !== 'studentId' && !byId.has(String(target))) {
+                    mapping.errors.push(`Column "${label}" is mapped to an assignment that is not in this class`);
+                    return;
+                }
+            } else if (column === detectedStudentIdColumn) {
+                target = 'studentId';
+            } else {
+                target = byName.get(normalizeHeader(label))?._id;
+            }
+
+            if (!target) {
+                mapping.ignored.push(label);
+            } else if (target === 'studentId') {
+                mapping.studentIdColumn = column;
+            } else if (mappedAssignments.has(String(target))) {
+                mapping.errors.push(`Column "${label}" maps to an assignment that already has a column`);
+            } else {
+                mappedAssignments.add(String(target));
+                mapping.columns.push({ column, header: label, assignment: byId.get(String(target)) });
+            }
+        });
+
+        if (mapping.studentIdColumn === -1) {
+            mapping.errors.push('Missing required column: Student ID');
+        }
+        if (mapping.columns.length === 0) {
+            mapping.errors.push('No columns match an assignment in this class');
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Read one gradebook cell
+     * @param {*} value - Cell value
+     * @param {Object} assignment - Assignment the column belongs to
+     * @return {Object|null} - { points, isExcused }, { error }, or null for a blank cell
+     */
+    parseCell(value, assignment) {
+        if (isBlank(value)) return null;
+
+        if (String(value).trim().toUpperCase() === EXCUSED) {
+            return { points: 0, isExcused: true };
+        }
+
+        const points = Number(String(value).trim());
+        if (!Number.isFinite(points) || points < 0) {
+            return { error: `"${value}" is not a valid score for ${assignment.name}` };
+        }
+        if (points > assignment.maxPoints) {
+            return { error: `${points} exceeds the ${assignment.maxPoints} points available for ${assignment.name}` };
+        }
+
+        return { points, isExcused: false };
+    }
+
+    /**
+     * Check every row of a gradebook sheet against the class roster and existing grades
+     * @param {Object} classDoc - Class being graded
+     * @param {Array} rows - Data rows (without the header)
+     * @param {Object} mapping - Result of mapColumns
+     * @return {Object} - { rows: [{ row, studentId, student, cells, errors }], summary, errors }
+     */
+    async validate(classDoc, rows, mapping) {
+        const enrolled = new Set(classDoc.enrolledStudents
+            .filter(enrollment => enrollment.status === 'enrolled')
+            .map(enrollment => enrollment.student.toString()));
+
+        const studentIds = rows
+            .map(row => row && row[mapping.studentIdColumn])
+            .filter(value => !isBlank(value))
+            .map(value => String(value).trim().toUpperCase());
+
+        const students = await Student.find({ studentId: { $in: studentIds }, isActive: true })
+            .select('studentId firstName lastName');
+        const studentByStudentId = new Map(students.map(student => [student.studentId, student]));
+
+        const existing = await Grade.find({
+            class: classDoc._id,
+            student: { $in: students.map(student => student._id) },
+            assignment: { $in: mapping.columns.map(({ assignment }) => assignment._id) }
+        }).select('student assignment score.points isExcused');
+        const existingByKey = new Map(existing.map(grade => [`${grade.student}|${grade.assignment}`, grade]));
+
+        const result = {
+            rows: [],
+            summary: { totalRows: 0, validRows: 0, errorRows: 0, toCreate: 0, toUpdate: 0, unchanged: 0 },
+            errors: []
+        };
+        const seen = new Set();
+
+        rows.forEach((row, index) => {
+            // Skip empty rows
+            if (!row || row.every(isBlank)) return;
+
+            const rowNumber = index + 2;
+            const entry = { row: rowNumber, studentId: null, student: null, cells: [], errors: [] };
+            result.summary.totalRows++;
+
+            const rawId = row[mapping.studentIdColumn];
+            if (isBlank(rawId)) {
+                entry.errors.push('Student ID is required');
+            } else {
+                entry.studentId = String(rawId).trim().toUpperCase();
+                const student = studentByStudentId.get(entry.studentId);
+
+                if (!student) {
+                    entry.errors.push(`Student ID "${entry.studentId}" not found`);
+                } else if (!enrolled.has(student._id.toString())) {
+                    entry.errors.push(`${entry.studentId} is not enrolled in this class`);
+                } else if (seen.has(entry.studentId)) {
+                    entry.errors.push(`${entry.studentId} appears on more than one row`);
+                } else {
+                    seen.add(entry.studentId);
+                    entry.student = student;
+                }
+            }
+
+            mapping.columns.forEach(({ column, assignment }) => {
+                const cell = this.parseCell(row[column], assignment);
+                if (!cell) return;
+                if (cell.error) {
+                    entry.errors.push(cell.error);
+                    return;
+                }
+                if (!entry.student) return;
+
+                const grade = existingByKey.get(`${entry.student._id}|${assignment._id}`);
+                let action = 'create';
+                if (grade) {
+                    action = grade.score.points === cell.points && !!grade.isExcused === cell.isExcused
+                        ? 'unchanged'
+                        : 'update';
+                }
+
+                entry.cells.push({ assignment: assignment._id, ...cell, action, gradeId: grade?._id });
+            });
+
+            if (entry.errors.length > 0) {
+                result.summary.errorRows++;
+                result.errors.push(...entry.errors.map(error => `Row ${rowNumber}: ${error}`));
+                entry.cells = [];
+            } else {
+                result.summary.validRows++;
+                entry.cells.forEach(cell => {
+                    const key = { create: 'toCreate', update: 'toUpdate', unchanged: 'unchanged' }[cell.action];
+                    result.summary[key]++;
+                });
+            }
+
+            result.rows.push(entry);
+        });
+
+        return result;
+    }
+
+    /**
+     * Write the valid cells of a validated sheet, creating or updating grades
+     * Rows with errors are skipped; a failure on one grade is reported without stopping the rest.
+     * @param {Object} classDoc - Class being graded
+     * @param {Object} validation - Result of validate
+     * @param {ObjectId} gradedBy - Professor entering the grades
+     * @return {Object} - { created, updated, unchanged, failed, errors }
+     */
+    async commit(classDoc, validation, gradedBy) {
+        const result = { created: 0, updated: 0, unchanged: 0, failed: 0, errors: [] };
+
+        const gradeIds = validation.rows.flatMap(entry => entry.cells)
+            .filter(cell => cell.action === 'update')
+            .map(cell => cell.gradeId);
+        const gradesById = new Map((await Grade.find({ _id: { $in: gradeIds } }))
+            .map(grade => [grade._id.toString(), grade]));
+
+        for (const entry of validation.rows) {
+            for (const cell of entry.cells) {
+                if (cell.action === 'unchanged') {
+                    result.unchanged++;
+                    continue;
+                }
+
+                try {
+                    let grade;
+                    if (cell.action === 'update') {
+                        grade = gradesById.get(cell.gradeId.toString());
+                        // Percentage and letter grade are recalculated from the new points on save
+                        grade.set({
+                            'score.points': cell.points,
+                            'score.percentage': undefined,
+                            'score.letterGrade': undefined,
+                            isExcused: cell.isExcused,
+                            gradedBy
+                        });
+                    } else {
+                        grade = new Grade({
+                            student: entry.student._id,
+                            class: classDoc._id,
+                            professor: classDoc.professor,
+                            gradedBy,
+                            assignment: cell.assignment,
+                            score: { points: cell.points },
+                            isExcused: cell.isExcused
+                        });
+                    }
+
+                    await grade.auditAs(gradedBy, { reason: 'Gradebook import' }).save();
+                    result[cell.action === 'update' ? 'updated' : 'created']++;
+                } catch (error) {
+                    let message = 'Failed to save grade';
+                    if (error instanceof mongoose.Error.ValidationError) {
+                        message = Object.values(error.errors).map(err => err.message).join(', ');
+                    } else {
+                        console.error('Gradebook import error:', error);
+                    }
+                    result.failed++;
+                    result.errors.push(`Row ${entry.row}: ${message}`);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Give a grade to every enrolled student's missing work: zero points, or excused
+     * Only past-due assignments are filled unless includeNotDue is set.
+     * @param {Object} classDoc - Class document
+     * @param {Object} options - { value: 'zero' | 'excused', assignmentIds, studentIds, includeNotDue, dryRun }
+     * @param {ObjectId} gradedBy - Professor filling the grades
+     * @param {String} reason - Optional note kept in the grade history
+     * @return {Object} - { missing: [{ student, assignment }], created, failed, errors }; nothing is saved on a dry run
+     */
+    async fillMissing(classDoc, { value, assignmentIds, studentIds, includeNotDue = false, dryRun = false }, gradedBy, reason) {
+        const now = new Date();
+        const wantedAssignments = assignmentIds ? new Set(assignmentIds.map(String)) : null;
+        const wantedStudents = studentIds ? new Set(studentIds.map(String)) : null;
+
+        const assignments = (await this.loadAssignments(classDoc._id)).filter(assignment =>
+            (!wantedAssignments || wantedAssignments.has(assignment._id.toString())) &&
+            (includeNotDue || (assignment.dueDate && assignment.dueDate < now)));
+
+        const enrolledIds = classDoc.enrolledStudents
+            .filter(enrollment => enrollment.status === 'enrolled')
+            .map(enrollment => enrollment.student._id || enrollment.student)
+            .filter(id => !wantedStudents || wantedStudents.has(id.toString()));
+
+        const [students, grades] = await Promise.all([
+            Student.find({ _id: { $in: enrolledIds } }).select('firstName lastName studentId'),
+            Grade.find({ class: classDoc._id, assignment: { $in: assignments.map(a => a._id) } }).select('student assignment')
+        ]);
+
+        const graded = new Set(grades.map(grade => `${grade.student}:${grade.assignment}`));
+        const missing = [];
+        students
+            .sort((a, b) => a.lastName.localeCompare(b.lastName))
+            .forEach(student => assignments.forEach(assignment => {
+                if (graded.has(`${student._id}:${assignment._id}`)) return;
+                missing.push({
+                    student: { _id: student._id, studentId: student.studentId, firstName: student.firstName, lastName: student.lastName },
+                    assignment: { _id: assignment._id, name: assignment.name, dueDate: assignment.dueDate }
+                });
+            }));
+
+        const result = { missing, created: 0, failed: 0, errors: [] };
+        if (dryRun) return result;
+
+        for (const item of missing) {
+            try {
+                const grade = new Grade({
+                    student: item.student._id,
+                    class: classDoc._id,
+                    professor: classDoc.professor,
+                    gradedBy,
+                    assignment: item.assignment._id,
+                    score: { points: 0 },
+                    isExcused: value === 'excused'
+                });
+                await grade.auditAs(gradedBy, { reason: reason || (value === 'excused' ? 'Missing work excused' : 'Missing work filled with zero') }).save();
+                result.created++;
+            } catch (error) {
+                // A grade entered since the list was built is left alone
+                let message = 'Failed to save grade';
+                if (error.code === 11000) {
+                    message = 'Grade already exists';
+                } else if (error instanceof mongoose.Error.ValidationError) {
+                    message = Object.values(error.errors).map(err => err.message).join(', ');
+                } else {
+                    console.error('Fill missing grade error:', error);
+                }
+                result.failed++;
+                result.errors.push(`${item.student.studentId} ${item.assignment.name}: ${message}`);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Re-letter a class's stored grades after its grade scale changed
+     * The pre-save hook only fills in a missing letter, so grades keep their old letters until
+     * they are given the one the current scale assigns to their percentage.
+     * @param {ObjectId} classId - Class whose scale changed
+     * @param {ObjectId} changedBy - Professor who changed the scale
+     * @param {String} reason - Note kept in the grade history
+     * @return {Number} - Grades whose letter changed
+     */
+    async refreshLetterGrades(classId, changedBy, reason) {
+        const classDoc = await Class.findById(classId).select('gradeScale');
+        const cutoffs = await GradeScale.resolveCutoffs(classDoc);
+        const grades = await Grade.find({ class: classId }).populate('assignment', 'maxPoints dueDate');
+
+        let updated = 0;
+        for (const grade of grades) {
+            if (!grade.assignment) continue;
+            const letterGrade = GradeScale.letterForCutoffs(cutoffs, grade.calculatedPercentage);
+            if (grade.score.letterGrade === letterGrade) continue;
+
+            grade.score.letterGrade = letterGrade;
+            await grade.auditAs(changedBy, { reason }).save();
+            updated++;
+        }
+
+        return updated;
+    }
+}
+
+module.exports = new GradebookService();
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mailer Service
+ * This service delivers outgoing email through a pluggable transport. A transport is any
+ * object exposing an async send(message) method, so a real SMTP or API-backed provider can
+ * be registered without touching the routes that send mail. The console and file transports
+ * are stand-ins for local development.
+ */
+class MailerService {
+
+    constructor() {
+        this.transports = {
+            console: {
+                async send(message) {
+                    console.log('--- Outgoing email ---');
+                    console.log(`To: ${message.to}`);
+                    console.log(`Subject: ${message.subject}`);
+                    console.log(message.text);
+                    console.log('----------------------');
+                    return { delivered: true, transport: 'console' };
+                }
+            },
+            file: {
+                async send(message) {
+                    const dir = path.join(__dirname, '..', 'data', 'mail');
+
+                    // Create directory if it doesn't exist
+                    if (!fs.existsSync(dir)) {
+                        fs.mkdirSync(dir, { recursive: true });
+                    }
+
+                    const filePath = path.join(dir, `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`);
+                    fs.writeFileSync(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+                    return { delivered: true, transport: 'file', filePath };
+                }
+            }
+        };
+        this.activeTransport = process.env.MAIL_TRANSPORT || 'console';
+    }
+
+    /**
+     * Register a transport under a name
+     * @param {String} name - Transport name, matched against MAIL_TRANSPORT
+     * @param {Object} transport - Object with an async send(message) method
+     */
+    registerTransport(name, transport) {
+        if (!transport || typeof transport.send !== 'function') {
+            throw new Error('Mail transport must implement send(message)');
+        }
+        this.transports[name] = transport;
+    }
+
+    /**
+     * Select the transport used for outgoing mail
+     * @param {String} name - Name of a registered transport
+     */
+    useTransport(name) {
+        if (!this.transports[name]) {
+            throw new Error(`Unknown mail transport: ${name}`);
+        }
+        this.activeTransport = name;
+    }
+
+    /**
+     * Send an email through the active transport
+     * @param {Object} message - { to, subject, text, html }
+     * @return {Object} - Delivery information reported by the transport
+     */
+    async send(message) {
+        const transport = this.transports[this.activeTransport];
+        if (!transport) {
+            throw new Error(`Unknown mail transport: ${this.activeTransport}`);
+        }
+
+        return transport.send({
+            from: process.env.MAIL_FROM || 'no-reply@class-management.local',
+            ...message
+        });
+    }
+
+    /**
+     * Send password reset instructions to a professor
+     * @param {Object} professor - Professor receiving the email
+     * @param {String} resetUrl - Link containing the plain reset token
+     * @param {Number} expiresInMinutes - Token lifetime shown in the email
+     * @return {Object} - Delivery information reported by the transport
+     */
+    async sendPasswordReset(professor, resetUrl, expiresInMinutes) {
+        return this.send({
+            to: professor.email,
+            subject: 'Password reset instructions',
+            text: [
+                `Hello ${professor.firstName} ${professor.lastName},`,
+                '',
+                'We received a request to reset the password for your Class Management System account.',
+                `Use the link below within ${expiresInMinutes} minutes to choose a new password:`,
+                '',
+                resetUrl,
+                '',
+                'If you did not request a password reset, you can safely ignore this email.'
+            ].join('\n')
+        });
+    }
+
+    /**
+     * Send a student portal invitation
+     * @param {Object} student - Student receiving the invitation
+     * @param {String} activationUrl - Link containing the plain activation token
+     * @param {Number} expiresInHours - Token lifetime shown in the email
+     * @return {Object} - Delivery information reported by the transport
+     */
+    async sendPortalInvite(student, activationUrl, expiresInHours) {
+        return this.send({
+            to: student.email,
+            subject: 'Activate your student portal account',
+            text: [
+                `Hello ${student.firstName} ${student.lastName},`,
+                '',
+                'Your professor has invited you to the student portal, where you can view your classes,',
+                'announcements, grades and upcoming events.',
+                `Use the link below within ${expiresInHours} hours to choose a password and activate your account:`,
+                '',
+                activationUrl,
+                '',
+                `You will sign in with your student ID (${student.studentId}) and the password you choose.`
+            ].join('\n')
+        });
+    }
+
+    /**
+     * Tell a student they have been moved off a class waitlist
+     * @param {Object} student - Student who now has a seat
+     * @param {Object} classDoc - Class they were enrolled in
+     * @return {Object} - Delivery information reported by the transport
+     */
+    async sendWaitlistPromotion(student, classDoc) {
+        return this.send({
+            to: student.email,
+            subject: `You're enrolled in ${classDoc.courseCode}`,
+            text: [
+                `Hello ${student.firstName} ${student.lastName},`,
+                '',
+                `A seat opened up in ${classDoc.courseCode} - ${classDoc.className} (${classDoc.semester} ${classDoc.year})`,
+                'and you have been enrolled from the waitlist.',
+                '',
+                'If you no longer want this seat, please let your professor know so it can go to the next student.'
+            ].join('\n')
+        });
+    }
+
+    /**
+     * Send a reminder for an upcoming calendar event
+     * @param {Object} professor - Professor receiving the reminder
+     * @param {Object} event - Event occurrence with title, startDateTime and location
+     * @param {String} lead - How far ahead the reminder fires, e.g. "15 minutes"
+     * @return {Object} - Delivery information reported by the transport
+     */
+    async sendEventReminder(professor, event, lead) {
+        const { building, room } = event.location || {};
+        const where = [building, room].filter(Boolean).join(' ');
+
+        return this.send({
+            to: professor.email,
+            subject: `Reminder: ${event.title}`,
+            text: [
+                `Hello ${professor.firstName} ${professor.lastName},`,
+                '',
+                `This is a reminder that "${event.title}" starts in ${lead}.`,
+                '',
+                `When: ${new Date(event.startDateTime).toLocaleString()}`,
+                where ? `Where: ${where}` : null,
+                event.location?.virtual?.link ? `Join: ${event.location.virtual.link}` : null,
+                '',
+                'You can change which reminders you receive in your notification settings.'
+            ].filter(line => line !== null).join('\n')
+        });
+    }
+}
+
+module.exports = new MailerService();
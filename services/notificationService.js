@@ -0,0 +1,119 @@
+const Notification = require('../models/Notification');
+const Professor = require('../models/Professor');
+
+/**
+ * Notification Service
+ * This service creates in-app notifications and pushes them to the professor's open browser
+ * tabs over Server-Sent Events. Each tab holds one stream; streams are kept in memory, so a
+ * professor connected to a different server process only sees new notifications on the next
+ * page load.
+ */
+
+// Comment line sent periodically so proxies don't close an idle stream
+const HEARTBEAT_SECONDS = 25;
+
+class NotificationService {
+
+    constructor() {
+        this.streams = new Map();
+    }
+
+    /**
+     * Attach an open SSE response to a professor
+     * @param {ObjectId} professorId - Professor the stream belongs to
+     * @param {Object} res - Express response already sent with SSE headers
+     * @return {Function} - Call to detach the stream
+     */
+    subscribe(professorId, res) {
+        const key = professorId.toString();
+        if (!this.streams.has(key)) {
+            this.streams.set(key, new Set());
+        }
+        this.streams.get(key).add(res);
+
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_SECONDS * 1000);
+        heartbeat.unref();
+
+        return () => {
+            clearInterval(heartbeat);
+            const streams = this.streams.get(key);
+            if (!streams) return;
+            streams.delete(res);
+            if (streams.size === 0) this.streams.delete(key);
+        };
+    }
+
+    /**
+     * Send an SSE message to every open stream of a professor
+     * @param {ObjectId} professorId - Recipient
+     * @param {String} eventName - SSE event name
+     * @param {Object} data - JSON payload
+     */
+    publish(professorId, eventName, data) {
+        const streams = this.streams.get(professorId.toString());
+        if (!streams) return;
+
+        const message = `event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`;
+        streams.forEach(res => res.write(message));
+    }
+
+    /**
+     * Count a professor's unread notifications
+     * @param {ObjectId} professorId - Professor
+     * @return {Number}
+     */
+    async unreadCount(professorId) {
+        return Notification.countDocuments({ professor: professorId, readAt: null });
+    }
+
+    /**
+     * Tell a professor's open tabs the unread count changed
+     * @param {ObjectId} professorId - Professor
+     */
+    async publishUnreadCount(professorId) {
+        if (!this.streams.has(professorId.toString())) return;
+        this.publish(professorId, 'unread', { unreadCount: await this.unreadCount(professorId) });
+    }
+
+    /**
+     * Create a notification and push it to the professor's open tabs
+     * Nothing is stored when the professor has turned browser notifications off.
+     * @param {ObjectId} professorId - Recipient
+     * @param {Object} fields - { type, title, message, event, class }
+     * @return {Object|null} - The notification, or null when notifications are off
+     */
+    async notify(professorId, fields) {
+        const professor = await Professor.findById(professorId).select('preferences isActive');
+        if (!professor || !professor.isActive || professor.preferences?.notifications?.browser === false) {
+            return null;
+        }
+
+        const notification = await Notification.create({ ...fields, professor: professorId });
+
+        if (this.streams.has(professorId.toString())) {
+            this.publish(professorId, 'notification', {
+                notification,
+                unreadCount: await this.unreadCount(professorId)
+            });
+        }
+
+        return notification;
+    }
+
+    /**
+     * Notify without letting a failure break the request that triggered it
+     * @param {ObjectId} professorId - Recipient
+     * @param {Object} fields - { type, title, message, event, class }
+     * @return {Object|null} - The notification, or null if it was not created
+     */
+    async notifySafely(professorId, fields) {
+        try {
+            return await this.notify(professorId, fields);
+        } catch (error) {
+            console.error('Notification error:', error);
+            return null;
+        }
+    }
+}
+
+module.exports = new NotificationService();
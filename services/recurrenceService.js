@@ -0,0 +1,348 @@
+/**
+ * Recurrence Service
+ * This service expands recurring calendar events into individual occurrences within a date
+ * window, applies per-occurrence exceptions (cancelled or moved instances), splits a series for
+ * "this and following" edits, and converts CalendarEvent.recurrence to and from iCalendar RRULEs.
+ * Occurrences are calculated in server local time so a 9:00 lecture stays at 9:00 across DST.
+ */
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RRULE_FREQ = { daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY', yearly: 'YEARLY' };
+
+// Upper bound on generated candidates so a runaway rule can't stall a request
+const MAX_ITERATIONS = 5000;
+
+// Add whole days without disturbing the local time of day
+const addDays = (date, days) => {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+};
+
+// Copy only the fields that have a value
+const definedFields = (object) => Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+// The last moment of a day; recurrence end dates include the whole day
+const endOfDay = (date) => {
+    const result = new Date(date);
+    result.setHours(23, 59, 59, 999);
+    return result;
+};
+
+class RecurrenceService {
+
+    /**
+     * Whether an event repeats
+     * @param {Object} event - Calendar event
+     * @return {Boolean}
+     */
+    isRecurring(event) {
+        return !!(event && event.recurrence && event.recurrence.isRecurring);
+    }
+
+    /**
+     * List a series' occurrence start times up to a date
+     * Exceptions are not applied here; a cancelled occurrence still counts towards occurrences.
+     * @param {Object} event - Recurring calendar event
+     * @param {Date} until - Stop after this date
+     * @return {Array} - Occurrence start Dates in order
+     */
+    generateStarts(event, until) {
+        const recurrence = event.recurrence;
+        const start = new Date(event.startDateTime);
+        const interval = Math.max(recurrence.interval || 1, 1);
+        const seriesEnd = recurrence.endDate ? endOfDay(recurrence.endDate) : null;
+        const limit = seriesEnd && seriesEnd < until ? seriesEnd : until;
+        const starts = [];
+
+        const accept = (date) => {
+            if (date < start) return true;
+            if (date > limit) return false;
+            if (recurrence.occurrences && starts.length >= recurrence.occurrences) return false;
+            starts.push(date);
+            return true;
+        };
+
+        let iterations = 0;
+        const next = this.candidateGenerator(recurrence, start, interval);
+        for (const candidate of next) {
+            if (++iterations > MAX_ITERATIONS || !accept(candidate)) break;
+        }
+
+        return starts;
+    }
+
+    /**
+     * Yield candidate occurrence starts for a pattern, in order
+     * @param {Object} recurrence - CalendarEvent.recurrence
+     * @param {Date} start - Series start
+     * @param {Number} interval - Pattern interval
+     */
+    *candidateGenerator(recurrence, start, interval) {
+        const hours = start.getHours();
+        const minutes = start.getMinutes();
+
+        switch (recurrence.pattern) {
+            case 'daily':
+                for (let k = 0; ; k++) {
+                    yield addDays(start, k * interval);
+                }
+            case 'monthly':
+                for (let k = 0; ; k++) {
+                    const date = new Date(start.getFullYear(), start.getMonth() + k * interval, start.getDate(), hours, minutes);
+                    // Months without this day (e.g. the 31st) are skipped
+                    if (date.getDate() === start.getDate()) yield date;
+                }
+            case 'yearly':
+                for (let k = 0; ; k++) {
+                    const date = new Date(start.getFullYear() + k * interval, start.getMonth(), start.getDate(), hours, minutes);
+                    if (date.getMonth() === start.getMonth()) yield date;
+                }
+            case 'weekly':
+            default: {
+                const days = (recurrence.daysOfWeek && recurrence.daysOfWeek.length > 0)
+                    ? recurrence.daysOfWeek.map(day => DAY_NAMES.indexOf(day)).filter(day => day >= 0).sort()
+                    : [start.getDay()];
+                const weekStart = addDays(start, -start.getDay());
+                for (let week = 0; ; week++) {
+                    for (const day of days) {
+                        yield addDays(weekStart, week * interval * 7 + day);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Whether a date is one of a series' occurrence starts
+     * @param {Object} event - Recurring calendar event
+     * @param {Date} date - Candidate occurrence start
+     * @return {Boolean}
+     */
+    isOccurrence(event, date) {
+        const time = new Date(date).getTime();
+        return this.generateStarts(event, new Date(time)).some(start => start.getTime() === time);
+    }
+
+    /**
+     * Find the exception recorded for an occurrence
+     * @param {Array} exceptions - CalendarEvent.recurrence.exceptions
+     * @param {Date} occurrenceStart - Original start of the occurrence
+     * @return {Object|undefined}
+     */
+    findException(exceptions, occurrenceStart) {
+        const time = new Date(occurrenceStart).getTime();
+        return (exceptions || []).find(exception =>
+            new Date(exception.originalStartDateTime).getTime() === time
+        );
+    }
+
+    /**
+     * Expand one event into the occurrences that overlap a window
+     * @param {Object} event - Calendar event document
+     * @param {Date} windowStart - Window start
+     * @param {Date} windowEnd - Window end
+     * @return {Array} - Plain event objects, one per occurrence
+     */
+    expandEvent(event, windowStart, windowEnd) {
+        const base = typeof event.toJSON === 'function' ? event.toJSON() : { ...event };
+
+        if (!this.isRecurring(event)) {
+            return [base];
+        }
+
+        const duration = new Date(event.endDateTime) - new Date(event.startDateTime);
+        const exceptions = base.recurrence.exceptions || [];
+
+        // Generate far enough to catch occurrences moved into the window from later dates
+        const latestException = exceptions.reduce((latest, exception) => {
+            const original = new Date(exception.originalStartDateTime);
+            return original > latest ? original : latest;
+        }, new Date(windowEnd));
+
+        const occurrences = [];
+        this.generateStarts(event, latestException).forEach(occurrenceStart => {
+            const exception = this.findException(exceptions, occurrenceStart);
+            if (exception && exception.isCancelled) return;
+
+            const startDateTime = exception?.startDateTime ? new Date(exception.startDateTime) : occurrenceStart;
+            const endDateTime = exception?.endDateTime ? new Date(exception.endDateTime) : new Date(startDateTime.getTime() + duration);
+
+            if (startDateTime > windowEnd || endDateTime < windowStart) return;
+
+            occurrences.push({
+                ...base,
+                title: exception?.title || base.title,
+                description: exception?.description || base.description,
+                location: exception?.location ? { ...base.location, ...definedFields(exception.location) } : base.location,
+                startDateTime,
+                endDateTime,
+                durationMinutes: Math.round((endDateTime - startDateTime) / (1000 * 60)),
+                seriesId: event._id,
+                occurrenceStart,
+                isOccurrence: true,
+                isException: !!exception
+            });
+        });
+
+        return occurrences;
+    }
+
+    /**
+     * Expand a list of events into occurrences within a window, sorted by start
+     * @param {Array} events - Calendar event documents
+     * @param {Date} windowStart - Window start
+     * @param {Date} windowEnd - Window end
+     * @return {Array} - Plain event objects
+     */
+    expandEvents(events, windowStart, windowEnd) {
+        return events
+            .flatMap(event => this.expandEvent(event, windowStart, windowEnd))
+            .sort((a, b) => new Date(a.startDateTime) - new Date(b.startDateTime));
+    }
+
+    /**
+     * Query matching events that may have occurrences in a window
+     * @param {Date} windowStart - Window start
+     * @param {Date} windowEnd - Window end
+     * @return {Object} - MongoDB query fragment
+     */
+    windowQuery(windowStart, windowEnd) {
+        return {
+            $or: [
+                {
+                    'recurrence.isRecurring': { $ne: true },
+                    startDateTime: { $lte: windowEnd },
+                    endDateTime: { $gte: windowStart }
+                },
+                {
+                    'recurrence.isRecurring': true,
+                    startDateTime: { $lte: windowEnd },
+                    $or: [
+                        { 'recurrence.endDate': null },
+                        { 'recurrence.endDate': { $gte: addDays(windowStart, -1) } }
+                    ]
+                }
+            ]
+        };
+    }
+
+    /**
+     * Split a series so an edit applies to one occurrence and everything after it
+     * The original series is ended before the occurrence and a new series starts at it.
+     * @param {Object} event - Recurring calendar event document
+     * @param {Date} occurrenceStart - First occurrence of the new series
+     * @param {Object} changes - Field changes for the new series
+     * @return {Object} - Unsaved { original, created } documents
+     */
+    splitSeries(event, occurrenceStart, changes) {
+        const CalendarEvent = event.constructor;
+        const occurrence = new Date(occurrenceStart);
+        const duration = event.endDateTime - event.startDateTime;
+        const consumed = this.generateStarts(event, new Date(occurrence.getTime() - 1)).length;
+
+        const { _id, id, createdAt, updatedAt, __v, ...data } = event.toObject({ virtuals: false });
+        const exceptions = data.recurrence.exceptions || [];
+
+        const created = new CalendarEvent({
+            ...data,
+            startDateTime: occurrence,
+            endDateTime: new Date(occurrence.getTime() + duration),
+            ...changes,
+            recurrence: {
+                ...data.recurrence,
+                occurrences: data.recurrence.occurrences ? data.recurrence.occurrences - consumed : undefined,
+                exceptions: exceptions.filter(exception => new Date(exception.originalStartDateTime) >= occurrence),
+                ...(changes.recurrence || {}),
+                isRecurring: true
+            }
+        });
+
+        // End the original series just before the split
+        if (event.recurrence.occurrences) {
+            event.recurrence.occurrences = consumed;
+        } else {
+            event.recurrence.endDate = endOfDay(addDays(occurrence, -1));
+        }
+        event.recurrence.exceptions = exceptions.filter(exception => new Date(exception.originalStartDateTime) < occurrence);
+
+        return { original: event, created };
+    }
+
+    /**
+     * Convert CalendarEvent.recurrence to ical-generator repeating options
+     * @param {Object} event - Recurring calendar event
+     * @return {Object|null} - { freq, interval, byDay, until, count, exclude }
+     */
+    toRepeating(event) {
+        if (!this.isRecurring(event)) return null;
+
+        const recurrence = event.recurrence;
+        const repeating = {
+            freq: RRULE_FREQ[recurrence.pattern] || 'WEEKLY',
+            interval: recurrence.interval || 1
+        };
+
+        if (recurrence.pattern === 'weekly' && recurrence.daysOfWeek && recurrence.daysOfWeek.length > 0) {
+            repeating.byDay = recurrence.daysOfWeek.map(day => RRULE_DAYS[DAY_NAMES.indexOf(day)]);
+        }
+        if (recurrence.endDate) repeating.until = endOfDay(recurrence.endDate);
+        if (recurrence.occurrences) repeating.count = recurrence.occurrences;
+
+        const cancelled = (recurrence.exceptions || [])
+            .filter(exception => exception.isCancelled)
+            .map(exception => new Date(exception.originalStartDateTime));
+        if (cancelled.length > 0) repeating.exclude = cancelled;
+
+        return repeating;
+    }
+
+    /**
+     * Convert an RRULE string to CalendarEvent.recurrence fields
+     * @param {String} rrule - e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20261215T235959Z"
+     * @return {Object|null} - Recurrence fields, or null for unsupported rules
+     */
+    fromRRule(rrule) {
+        if (!rrule) return null;
+
+        // Accept a full "DTSTART...\nRRULE:..." block as produced by the rrule library
+        const line = String(rrule).split(/\r?\n/).find(l => l.includes('FREQ=')) || '';
+        const parts = {};
+        line.replace(/^RRULE:/, '').split(';').forEach(part => {
+            const [key, value] = part.split('=');
+            if (key && value) parts[key.toUpperCase()] = value;
+        });
+
+        const pattern = Object.keys(RRULE_FREQ).find(key => RRULE_FREQ[key] === parts.FREQ);
+        if (!pattern) return null;
+
+        const recurrence = {
+            isRecurring: true,
+            pattern,
+            interval: parts.INTERVAL ? parseInt(parts.INTERVAL) : 1
+        };
+
+        if (parts.BYDAY) {
+            recurrence.daysOfWeek = parts.BYDAY.split(',')
+                .map(day => DAY_NAMES[RRULE_DAYS.indexOf(day.replace(/^[+-]?\d+/, ''))])
+                .filter(Boolean);
+        }
+        if (parts.COUNT) recurrence.occurrences = parseInt(parts.COUNT);
+        if (parts.UNTIL) {
+            const m = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+            if (m) {
+                const [, y, mo, d, h = '23', mi = '59', s = '59', utc] = m;
+                recurrence.endDate = utc
+                    ? new Date(Date.UTC(y, mo - 1, d, h, mi, s))
+                    : new Date(y, mo - 1, d, h, mi, s);
+            }
+        }
+
+        return recurrence;
+    }
+}
+
+module.exports = new RecurrenceService();
@@ -0,0 +1,258 @@
+const CalendarEvent = require('../models/CalendarEvent');
+const Professor = require('../models/Professor');
+const ReminderDelivery = require('../models/ReminderDelivery');
+const mailer = require('./mailer');
+const smsService = require('./smsService');
+const notificationService = require('./notificationService');
+const recurrenceService = require('./recurrenceService');
+
+/**
+ * Reminder Service
+ * This service delivers CalendarEvent.reminders. A scheduler running inside the server polls
+ * for reminders that have come due, claims each one by writing a ReminderDelivery record, and
+ * dispatches it through the channel named by the reminder type. Channels are pluggable like
+ * mail transports. The unique delivery record per reminder and occurrence means a restart,
+ * or a second server, never sends the same reminder twice; a send that was interrupted
+ * mid-flight is not retried.
+ */
+
+// Longest allowed lead time (CalendarEvent reminders.minutesBefore max), in minutes
+const MAX_LEAD_MINUTES = 20160;
+
+// Reminders for occurrences that started longer ago than this are dropped
+const GRACE_MINUTES = 5;
+
+// Failed sends are retried on later polls up to this many attempts
+const MAX_ATTEMPTS = 3;
+
+// Preference flag under Professor.preferences.notifications for each channel
+const PREFERENCE_FOR_CHANNEL = { email: 'email', notification: 'browser', sms: 'sms' };
+
+// Human-readable lead time, e.g. "15 minutes" or "1 day"
+const describeLead = (minutes) => {
+    if (minutes === 0) return 'a moment';
+    const units = [['day', 1440], ['hour', 60], ['minute', 1]];
+    const [unit, size] = units.find(([, unitMinutes]) => minutes % unitMinutes === 0);
+    const count = minutes / size;
+    return `${count} ${unit}${count === 1 ? '' : 's'}`;
+};
+
+class ReminderService {
+
+    constructor() {
+        this.channels = {
+            email: {
+                async send({ professor, occurrence, reminder }) {
+                    return mailer.sendEventReminder(professor, occurrence, describeLead(reminder.minutesBefore));
+                }
+            },
+            notification: {
+                async send({ professor, occurrence, reminder }) {
+                    const notification = await notificationService.notify(professor._id, {
+                        type: 'reminder',
+                        title: `Reminder: ${occurrence.title}`,
+                        message: `Starts in ${describeLead(reminder.minutesBefore)} (${new Date(occurrence.startDateTime).toLocaleString()})`,
+                        event: occurrence._id,
+                        class: occurrence.class?._id || occurrence.class
+                    });
+                    return notification
+                        ? { delivered: true, notificationId: notification._id }
+                        : { delivered: false, reason: 'In-app notifications are turned off' };
+                }
+            },
+            sms: {
+                async send({ professor, occurrence, reminder }) {
+                    if (!professor.phoneNumber) {
+                        return { delivered: false, reason: 'No phone number on file' };
+                    }
+                    return smsService.send({
+                        to: professor.phoneNumber,
+                        text: `Reminder: ${occurrence.title} starts in ${describeLead(reminder.minutesBefore)}`
+                    });
+                }
+            }
+        };
+        this.timer = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Register or replace the channel for a reminder type
+     * @param {String} name - Reminder type ('email', 'notification' or 'sms')
+     * @param {Object} channel - Object with an async send({ professor, occurrence, reminder }) method
+     */
+    registerChannel(name, channel) {
+        if (!channel || typeof channel.send !== 'function') {
+            throw new Error('Reminder channel must implement send(delivery)');
+        }
+        this.channels[name] = channel;
+    }
+
+    /**
+     * Start polling for due reminders
+     * @param {Number} intervalSeconds - Seconds between polls
+     */
+    start(intervalSeconds = parseInt(process.env.REMINDER_POLL_SECONDS) || 60) {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.processDue().catch(error => console.error('Reminder scheduler error:', error));
+        }, intervalSeconds * 1000);
+
+        // Polling must not keep the process alive on shutdown
+        this.timer.unref();
+    }
+
+    /**
+     * Stop polling
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * List reminders that are due now and have not been delivered
+     * @param {Date} now - Current time
+     * @return {Array} - [{ occurrence, reminder, occurrenceStart, dueAt }]
+     */
+    async findDue(now = new Date()) {
+        const windowStart = new Date(now.getTime() - GRACE_MINUTES * 60 * 1000);
+        const windowEnd = new Date(now.getTime() + MAX_LEAD_MINUTES * 60 * 1000);
+
+        const events = await CalendarEvent.find({
+            status: 'scheduled',
+            reminders: { $elemMatch: { isEnabled: true } },
+            ...recurrenceService.windowQuery(windowStart, windowEnd)
+        });
+
+        const due = [];
+        recurrenceService.expandEvents(events, windowStart, windowEnd).forEach(occurrence => {
+            const occurrenceStart = new Date(occurrence.isOccurrence ? occurrence.occurrenceStart : occurrence.startDateTime);
+            const startsAt = new Date(occurrence.startDateTime);
+            if (startsAt < windowStart) return;
+
+            occurrence.reminders
+                .filter(reminder => reminder.isEnabled)
+                .forEach(reminder => {
+                    const dueAt = new Date(startsAt.getTime() - reminder.minutesBefore * 60 * 1000);
+                    if (dueAt <= now) {
+                        due.push({ occurrence, reminder, occurrenceStart, dueAt });
+                    }
+                });
+        });
+
+        if (due.length === 0) return due;
+
+        // Leave out reminders already sent, skipped, in flight or out of retries
+        const deliveries = await ReminderDelivery.find({
+            reminder: { $in: due.map(item => item.reminder._id) }
+        }).select('reminder occurrenceStart status attempts');
+
+        const settled = new Set(deliveries
+            .filter(delivery => delivery.status !== 'failed' || delivery.attempts >= MAX_ATTEMPTS)
+            .map(delivery => `${delivery.reminder}|${delivery.occurrenceStart.getTime()}`));
+
+        return due.filter(item => !settled.has(`${item.reminder._id}|${item.occurrenceStart.getTime()}`));
+    }
+
+    /**
+     * Claim a reminder for sending so no other poll or server sends it too
+     * @param {Object} item - Due reminder from findDue
+     * @return {Object|null} - The pending delivery record, or null if it was already claimed
+     */
+    async claim(item) {
+        const key = { reminder: item.reminder._id, occurrenceStart: item.occurrenceStart };
+
+        try {
+            return await ReminderDelivery.create({
+                ...key,
+                event: item.occurrence._id,
+                professor: item.occurrence.professor,
+                channel: item.reminder.type,
+                dueAt: item.dueAt
+            });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+
+            // Already recorded; only a failed send with attempts left can be taken again
+            return ReminderDelivery.findOneAndUpdate(
+                { ...key, status: 'failed', attempts: { $lt: MAX_ATTEMPTS } },
+                { status: 'pending' },
+                { new: true }
+            );
+        }
+    }
+
+    /**
+     * Send one claimed reminder and record the outcome
+     * @param {Object} item - Due reminder from findDue
+     * @param {Object} delivery - Pending ReminderDelivery
+     * @param {Object} professor - Event owner with email, phoneNumber and preferences
+     * @return {Object} - The updated delivery record
+     */
+    async deliver(item, delivery, professor) {
+        const channel = this.channels[item.reminder.type];
+        const preference = PREFERENCE_FOR_CHANNEL[item.reminder.type];
+
+        if (!professor || !professor.isActive) {
+            delivery.set({ status: 'skipped', lastError: 'Professor account is inactive' });
+        } else if (preference && professor.preferences?.notifications?.[preference] === false) {
+            delivery.set({ status: 'skipped', lastError: `${item.reminder.type} notifications are turned off` });
+        } else if (!channel) {
+            delivery.set({ status: 'skipped', lastError: `No channel registered for ${item.reminder.type}` });
+        } else {
+            delivery.attempts += 1;
+            try {
+                const result = await channel.send({ professor, occurrence: item.occurrence, reminder: item.reminder });
+                if (result && result.delivered === false) {
+                    delivery.set({ status: 'skipped', lastError: result.reason });
+                } else {
+                    delivery.set({ status: 'sent', sentAt: new Date(), lastError: undefined });
+                }
+            } catch (error) {
+                delivery.set({ status: 'failed', lastError: String(error.message).slice(0, 500) });
+            }
+        }
+
+        await delivery.save();
+        return delivery;
+    }
+
+    /**
+     * Find and deliver every due reminder
+     * @param {Date} now - Current time
+     * @return {Object} - Counts by outcome: { sent, skipped, failed }
+     */
+    async processDue(now = new Date()) {
+        const result = { sent: 0, skipped: 0, failed: 0 };
+
+        // A slow poll must not overlap the next one
+        if (this.isRunning) return result;
+        this.isRunning = true;
+
+        try {
+            const due = await this.findDue(now);
+            if (due.length === 0) return result;
+
+            const professorIds = [...new Set(due.map(item => item.occurrence.professor.toString()))];
+            const professors = new Map((await Professor.find({ _id: { $in: professorIds } })
+                .select('firstName lastName email phoneNumber preferences isActive'))
+                .map(professor => [professor._id.toString(), professor]));
+
+            for (const item of due) {
+                const delivery = await this.claim(item);
+                if (!delivery) continue;
+
+                const outcome = await this.deliver(item, delivery, professors.get(item.occurrence.professor.toString()));
+                result[outcome.status]++;
+            }
+
+            return result;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,187 @@
+const gradebookService = require('./gradebookService');
+
+/**
+ * Risk Service
+ * This service flags students who may be struggling, early enough in the term to reach out.
+ * Each rule compares one measure against a threshold: the running course percentage, past-due
+ * assignments with no grade, late submissions, attendance rate, and a drop between a student's
+ * earlier and most recent scores. Triggered rules add their weight to a risk score, which is
+ * bucketed into a level. Thresholds come from the professor's preferences and can be
+ * overridden per request.
+ */
+
+const DEFAULT_THRESHOLDS = {
+    // Running course percentage below this
+    minPercentage: 70,
+    // This many past-due assignments without a grade, or more
+    maxMissing: 3,
+    // This many late submissions, or more
+    maxLate: 3,
+    // Attendance rate below this
+    minAttendance: 80,
+    // Recent scores this many percentage points below earlier ones, or more
+    declineDrop: 10
+};
+
+// Weight each triggered rule adds to the risk score
+const RULE_WEIGHTS = {
+    lowGrade: 3,
+    missingWork: 2,
+    declining: 2,
+    lowAttendance: 2,
+    lateWork: 1
+};
+
+// Lowest risk score for each level, highest first
+const RISK_LEVELS = [
+    { level: 'high', min: 4 },
+    { level: 'medium', min: 2 },
+    { level: 'low', min: 1 }
+];
+
+// Most recent grades compared against the rest for the trend rule
+const TREND_WINDOW = 3;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+class RiskService {
+
+    /**
+     * Merge thresholds: defaults, then the professor's saved ones, then request overrides
+     * @param {Object} saved - Professor preferences.atRisk
+     * @param {Object} overrides - Thresholds given for this request
+     * @return {Object} - Complete thresholds
+     */
+    resolveThresholds(saved = {}, overrides = {}) {
+        const thresholds = { ...DEFAULT_THRESHOLDS };
+        [saved, overrides].forEach(source => {
+            Object.keys(DEFAULT_THRESHOLDS).forEach(key => {
+                const value = source?.[key];
+                if (value !== undefined && value !== null && value !== '' && !Number.isNaN(Number(value))) {
+                    thresholds[key] = Number(value);
+                }
+            });
+        });
+        return thresholds;
+    }
+
+    /**
+     * Change between a student's earlier and most recent scores, oldest first
+     * Needs at least two grades on each side; recent is the last TREND_WINDOW grades or the
+     * later half, whichever is smaller.
+     * @param {Array} percentages - Scores in due-date order
+     * @return {Number} - Recent average minus earlier average, or null when there are too few
+     */
+    trendChange(percentages) {
+        if (percentages.length < 4) return null;
+        const recentCount = Math.min(TREND_WINDOW, Math.floor(percentages.length / 2));
+        const earlier = percentages.slice(0, percentages.length - recentCount);
+        const recent = percentages.slice(percentages.length - recentCount);
+        return round2(average(recent) - average(earlier));
+    }
+
+    /**
+     * Apply the risk rules to one student
+     * @param {Object} measures - { percentage, missing, lateCount, attendanceRate, trendChange }
+     * @param {Object} thresholds - From resolveThresholds
+     * @return {Object} - { riskScore, riskLevel, flags: [{ rule, message }] }
+     */
+    evaluate(measures, thresholds) {
+        const flags = [];
+
+        if (measures.percentage !== null && measures.percentage < thresholds.minPercentage) {
+            flags.push({ rule: 'lowGrade', message: `Course grade ${measures.percentage}% is below ${thresholds.minPercentage}%` });
+        }
+        if (measures.missing.length >= thresholds.maxMissing) {
+            flags.push({ rule: 'missingWork', message: `${measures.missing.length} past-due assignments have no grade` });
+        }
+        if (measures.trendChange !== null && -measures.trendChange >= thresholds.declineDrop) {
+            flags.push({ rule: 'declining', message: `Recent scores are ${-measures.trendChange} points lower than earlier ones` });
+        }
+        if (measures.attendanceRate !== null && measures.attendanceRate < thresholds.minAttendance) {
+            flags.push({ rule: 'lowAttendance', message: `Attendance ${measures.attendanceRate}% is below ${thresholds.minAttendance}%` });
+        }
+        if (measures.lateCount >= thresholds.maxLate) {
+            flags.push({ rule: 'lateWork', message: `${measures.lateCount} submissions were late` });
+        }
+
+        const riskScore = flags.reduce((score, flag) => score + RULE_WEIGHTS[flag.rule], 0);
+        const riskLevel = RISK_LEVELS.find(entry => riskScore >= entry.min)?.level || null;
+
+        return { riskScore, riskLevel, flags };
+    }
+
+    /**
+     * Assess every enrolled student in a class
+     * @param {ObjectId} classId - Class
+     * @param {Object} thresholds - From resolveThresholds
+     * @return {Object} - { classDoc, students: [{ student, riskScore, riskLevel, flags, measures }] } for students with at least one flag
+     */
+    async assessClass(classId, thresholds) {
+        const { classDoc, results } = await gradebookService.calculateClass(classId);
+
+        const enrolled = new Set(classDoc.enrolledStudents
+            .filter(enrollment => enrollment.status === 'enrolled')
+            .map(enrollment => (enrollment.student._id || enrollment.student).toString()));
+
+        const students = results
+            .filter(entry => enrolled.has(entry.student._id.toString()))
+            .map(entry => {
+                const scored = entry.grades
+                    .filter(grade => grade.assignment?.dueDate && !grade.isExcused && !grade.isExtra && grade.assignment.maxPoints > 0)
+                    .sort((a, b) => a.assignment.dueDate - b.assignment.dueDate);
+
+                const measures = {
+                    percentage: entry.percentage,
+                    missing: entry.missing
+                        .filter(assignment => assignment.isPastDue)
+                        .map(assignment => ({ _id: assignment._id, name: assignment.name, dueDate: assignment.dueDate })),
+                    lateCount: entry.grades.filter(grade => grade.submissionInfo?.isLate).length,
+                    attendanceRate: entry.attendance?.rate ?? null,
+                    trendChange: this.trendChange(scored.map(grade => grade.calculatedPercentage))
+                };
+
+                return { student: entry.student, ...this.evaluate(measures, thresholds), measures };
+            })
+            .filter(entry => entry.flags.length > 0);
+
+        return { classDoc, students };
+    }
+
+    /**
+     * Build the at-risk report across several classes
+     * @param {Array} classIds - Classes to check
+     * @param {Object} thresholds - From resolveThresholds
+     * @return {Object} - { summary, students } with the highest risk first
+     */
+    async report(classIds, thresholds) {
+        const students = [];
+
+        for (const classId of classIds) {
+            const { classDoc, students: atRisk } = await this.assessClass(classId, thresholds);
+            atRisk.forEach(entry => students.push({
+                ...entry,
+                class: {
+                    _id: classDoc._id,
+                    className: classDoc.className,
+                    courseCode: classDoc.courseCode
+                }
+            }));
+        }
+
+        students.sort((a, b) => b.riskScore - a.riskScore ||
+            (a.measures.percentage ?? 100) - (b.measures.percentage ?? 100));
+
+        const summary = { classesChecked: classIds.length, studentsAtRisk: students.length };
+        RISK_LEVELS.forEach(({ level }) => {
+            summary[level] = students.filter(entry => entry.riskLevel === level).length;
+        });
+
+        return { summary, students };
+    }
+}
+
+module.exports = new RiskService();
+module.exports.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
@@ -0,0 +1,180 @@
+const xlsx = require('xlsx');
+const Student = require('../models/Student');
+
+/**
+ * Roster Service
+ * This service enrolls a list of students in a class at once. The list comes from the
+ * registrar as student IDs (typed in or read from a spreadsheet). In "add" mode listed
+ * students are enrolled; in "sync" mode students on the roster but missing from the list are
+ * dropped as well. Changes are applied to the class document in memory and reported as a
+ * diff, so a dry run is the same operation without the save.
+ */
+
+// Spreadsheet headers accepted for the student ID column, normalized like the student importer
+const STUDENT_ID_HEADERS = ['studentid', 'id', 'sid', 'studentnumber'];
+
+// Enrollment statuses that hold a place in the class
+const ACTIVE_STATUSES = ['enrolled', 'waitlisted'];
+
+// Longest list accepted in one request
+const MAX_STUDENTS = 2000;
+
+// Fields reported for each student in the diff
+const summarize = (student) => ({
+    _id: student._id,
+    studentId: student.studentId,
+    firstName: student.firstName,
+    lastName: student.lastName
+});
+
+class RosterService {
+
+    /**
+     * Clean up a list of student IDs
+     * @param {Array|String} input - Array of IDs, or a string separated by commas, semicolons or whitespace
+     * @return {Array} - Unique, trimmed, upper-case IDs in their original order
+     */
+    normalizeIds(input) {
+        const values = Array.isArray(input) ? input : String(input || '').split(/[\s,;]+/);
+        const ids = values
+            .map(value => String(value ?? '').trim().toUpperCase())
+            .filter(Boolean);
+        return [...new Set(ids)];
+    }
+
+    /**
+     * Find the student ID column in a spreadsheet header row
+     * @param {Array} headers - Header cells
+     * @return {Number} - Column index, or -1 when there is none
+     */
+    findStudentIdColumn(headers) {
+        return headers.findIndex(header =>
+            STUDENT_ID_HEADERS.includes(String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '')));
+    }
+
+    /**
+     * Read student IDs from the first sheet of an uploaded spreadsheet
+     * @param {Buffer} buffer - Excel or CSV file contents
+     * @return {Array} - Student IDs from the Student ID column
+     */
+    readIdsFromSpreadsheet(buffer) {
+        const workbook = xlsx.read(buffer, { type: 'buffer' });
+        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+        const rows = xlsx.utils.sheet_to_json(worksheet, { header: 1 });
+
+        if (rows.length === 0) {
+            throw new Error('File is empty');
+        }
+
+        const column = this.findStudentIdColumn(rows[0]);
+        if (column === -1) {
+            throw new Error('Missing required column: Student ID');
+        }
+
+        return this.normalizeIds(rows.slice(1).map(row => row && row[column]));
+    }
+
+    /**
+     * Enroll a list of students in a class, dropping unlisted students in sync mode
+     * The class document is changed but not saved.
+     * @param {Object} classDoc - Class document
+     * @param {Array} studentIds - Normalized student IDs from the registrar's list
+     * @param {Object} options - { mode: 'add' | 'sync' }
+     * @return {Object} - { toAdd, toDrop, unchanged, unknown, full, promoted } where toAdd entries carry the status they get
+     */
+    async sync(classDoc, studentIds, { mode = 'add' } = {}) {
+        if (studentIds.length > MAX_STUDENTS) {
+            throw new Error(`A roster can list at most ${MAX_STUDENTS} students`);
+        }
+
+        const current = classDoc.enrolledStudents.filter(enrollment => ACTIVE_STATUSES.includes(enrollment.status));
+
+        const students = await Student.find({
+            $or: [
+                { studentId: { $in: studentIds }, isActive: true },
+                { _id: { $in: current.map(enrollment => enrollment.student) } }
+            ]
+        }).select('studentId firstName lastName isActive');
+
+        const byId = new Map(students.map(student => [student._id.toString(), student]));
+        const byStudentId = new Map(students
+            .filter(student => student.isActive)
+            .map(student => [student.studentId, student]));
+
+        const diff = { toAdd: [], toDrop: [], unchanged: [], unknown: [], full: [], promoted: [] };
+        const listed = new Set();
+
+        studentIds.forEach(studentId => {
+            const student = byStudentId.get(studentId);
+            if (student) {
+                listed.add(student._id.toString());
+            } else {
+                diff.unknown.push(studentId);
+            }
+        });
+
+        // Drop first so freed seats are counted before anyone is added
+        current.forEach(enrollment => {
+            const key = enrollment.student.toString();
+            const student = byId.get(key) || { _id: enrollment.student };
+
+            if (listed.has(key)) {
+                diff.unchanged.push({ ...summarize(student), status: enrollment.status });
+            } else if (mode === 'sync') {
+                diff.toDrop.push({ ...summarize(student), status: enrollment.status });
+                enrollment.status = 'dropped';
+                enrollment.waitlistedAt = undefined;
+            }
+        });
+
+        // Students already waiting keep their place ahead of newcomers
+        diff.promoted = classDoc.promoteFromWaitlist().map(enrollment => {
+            const student = byId.get(enrollment.student.toString()) || { _id: enrollment.student };
+            return summarize(student);
+        });
+
+        const onRoster = new Set(current
+            .filter(enrollment => ACTIVE_STATUSES.includes(enrollment.status))
+            .map(enrollment => enrollment.student.toString()));
+
+        studentIds.forEach(studentId => {
+            const student = byStudentId.get(studentId);
+            if (!student || onRoster.has(student._id.toString())) return;
+
+            let status = null;
+            if (classDoc.currentEnrollment < classDoc.maxEnrollment) {
+                status = 'enrolled';
+            } else if (classDoc.waitlistCount < classDoc.maxWaitlist) {
+                status = 'waitlisted';
+            }
+
+            if (!status) {
+                diff.full.push(summarize(student));
+                return;
+            }
+
+            // Reuse a dropped or completed record so the student appears once
+            const previous = classDoc.enrolledStudents.find(
+                enrollment => enrollment.student.toString() === student._id.toString()
+            );
+            const now = new Date();
+            const fields = {
+                enrollmentDate: now,
+                status,
+                waitlistedAt: status === 'waitlisted' ? now : undefined
+            };
+            if (previous) {
+                previous.set(fields);
+            } else {
+                classDoc.enrolledStudents.push({ student: student._id, ...fields });
+            }
+
+            diff.toAdd.push({ ...summarize(student), status });
+        });
+
+        return diff;
+    }
+}
+
+module.exports = new RosterService();
+module.exports.MAX_STUDENTS = MAX_STUDENTS;
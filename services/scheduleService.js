@@ -0,0 +1,183 @@
+const CalendarEvent = require('../models/CalendarEvent');
+const Attendance = require('../models/Attendance');
+
+/**
+ * Schedule Service
+ * This service expands a class's weekly meeting pattern (Class.schedule) into lecture events
+ * on the calendar and keeps those generated events in step with the schedule. Days covered by
+ * a holiday or break already on the calendar are skipped.
+ */
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Build a Date on the given day at an HH:MM time
+const atTime = (day, time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    const date = new Date(day);
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+};
+
+class ScheduleService {
+
+    /**
+     * List every meeting of a class between two dates
+     * @param {Object} schedule - Class.schedule with days, startTime and endTime
+     * @param {Date} startDate - First day to include
+     * @param {Date} endDate - Last day to include
+     * @return {Array} - [{ startDateTime, endDateTime }] in date order
+     */
+    expandSchedule(schedule, startDate, endDate) {
+        const meetings = [];
+        if (!schedule || !schedule.days || schedule.days.length === 0) return meetings;
+
+        const day = new Date(startDate);
+        day.setHours(0, 0, 0, 0);
+        const last = new Date(endDate);
+        last.setHours(23, 59, 59, 999);
+
+        while (day <= last) {
+            if (schedule.days.includes(DAY_NAMES[day.getDay()])) {
+                meetings.push({
+                    startDateTime: atTime(day, schedule.startTime),
+                    endDateTime: atTime(day, schedule.endTime)
+                });
+            }
+            day.setDate(day.getDate() + 1);
+        }
+
+        return meetings;
+    }
+
+    /**
+     * Find holidays and breaks that apply to a class
+     * @param {Object} classDoc - Class being scheduled
+     * @param {Date} startDate - Range start
+     * @param {Date} endDate - Range end
+     * @return {Array} - Holiday and break events overlapping the range
+     */
+    async findBlockedPeriods(classDoc, startDate, endDate) {
+        return CalendarEvent.find({
+            eventType: { $in: ['holiday', 'break'] },
+            status: { $ne: 'cancelled' },
+            startDateTime: { $lte: endDate },
+            endDateTime: { $gte: startDate },
+            $or: [
+                { class: classDoc._id },
+                { professor: classDoc.professor, class: null }
+            ]
+        }).select('title startDateTime endDateTime');
+    }
+
+    /**
+     * Create, update and remove generated lecture events so they match the class schedule
+     * Events in the past and events with attendance taken are never removed.
+     * @param {Object} classDoc - Class whose schedule is expanded
+     * @param {Date} startDate - Range start
+     * @param {Date} endDate - Range end
+     * @return {Object} - { created, updated, removed, skipped }
+     */
+    async syncLectureEvents(classDoc, startDate, endDate) {
+        const now = new Date();
+        const blocked = await this.findBlockedPeriods(classDoc, startDate, endDate);
+
+        const skipped = [];
+        const meetings = this.expandSchedule(classDoc.schedule, startDate, endDate).filter(meeting => {
+            const holiday = blocked.find(period =>
+                meeting.startDateTime < period.endDateTime && meeting.endDateTime > period.startDateTime
+            );
+            if (holiday) {
+                skipped.push({ date: meeting.startDateTime, reason: holiday.title });
+                return false;
+            }
+            return true;
+        });
+
+        // Meetings cover whole days, so look for their events over the same days; otherwise a
+        // meeting earlier on the first day would get a second event
+        const firstDay = new Date(startDate);
+        firstDay.setHours(0, 0, 0, 0);
+        const lastDay = new Date(endDate);
+        lastDay.setHours(23, 59, 59, 999);
+
+        const existing = await CalendarEvent.find({
+            class: classDoc._id,
+            generatedFromSchedule: true,
+            startDateTime: { $gte: firstDay, $lte: lastDay }
+        });
+
+        const title = `${classDoc.courseCode} - ${classDoc.className}`;
+        const { building, room, campus } = classDoc.schedule.location || {};
+        const location = { building, room, campus };
+        const wanted = new Map(meetings.map(meeting => [this.dayKey(meeting.startDateTime), meeting]));
+        const result = { created: 0, updated: 0, removed: 0, skipped };
+
+        // Existing events are matched to meetings by day
+        const withAttendance = new Set(
+            (await Attendance.find({ event: { $in: existing.map(e => e._id) } }).distinct('event')).map(id => id.toString())
+        );
+        const matched = new Set();
+
+        for (const event of existing) {
+            const key = this.dayKey(event.startDateTime);
+            const meeting = wanted.get(key);
+
+            if (meeting && !matched.has(key)) {
+                matched.add(key);
+                const changed = event.startDateTime.getTime() !== meeting.startDateTime.getTime() ||
+                    event.endDateTime.getTime() !== meeting.endDateTime.getTime() ||
+                    event.title !== title ||
+                    event.location?.building !== location.building ||
+                    event.location?.room !== location.room ||
+                    event.location?.campus !== location.campus;
+
+                if (changed && event.startDateTime >= now) {
+                    event.set({
+                        title,
+                        startDateTime: meeting.startDateTime,
+                        endDateTime: meeting.endDateTime,
+                        'location.building': location.building,
+                        'location.room': location.room,
+                        'location.campus': location.campus
+                    });
+                    await event.save();
+                    result.updated++;
+                }
+            } else if (event.startDateTime >= now && !withAttendance.has(event._id.toString())) {
+                await event.deleteOne();
+                result.removed++;
+            }
+        }
+
+        const toCreate = meetings
+            .filter(meeting => !matched.has(this.dayKey(meeting.startDateTime)))
+            .map(meeting => ({
+                title,
+                professor: classDoc.professor,
+                class: classDoc._id,
+                eventType: 'lecture',
+                startDateTime: meeting.startDateTime,
+                endDateTime: meeting.endDateTime,
+                location,
+                generatedFromSchedule: true
+            }));
+
+        if (toCreate.length > 0) {
+            await CalendarEvent.insertMany(toCreate);
+            result.created = toCreate.length;
+        }
+
+        return result;
+    }
+
+    /**
+     * Key a date by calendar day
+     * @param {Date} date - Date to key
+     * @return {String} - YYYY-M-D in server local time
+     */
+    dayKey(date) {
+        return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+    }
+}
+
+module.exports = new ScheduleService();
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const Professor = require('../models/Professor');
+
+/**
+ * Session Service
+ * This service issues short-lived access tokens paired with rotating refresh tokens.
+ * Every login creates a Session document; access tokens carry its id so that revoking
+ * the session (logout, password change, account deactivation) invalidates them at once.
+ */
+class SessionService {
+
+    constructor() {
+        this.accessTokenExpiresIn = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+        this.streamTicketExpiresIn = process.env.STREAM_TICKET_EXPIRES_IN || '60s';
+        this.refreshTokenExpiryDays = parseInt(process.env.REFRESH_TOKEN_EXPIRY_DAYS) || 30;
+    }
+
+    /**
+     * Hash a refresh token for storage and lookup
+     * @param {String} refreshToken - Plain refresh token
+     * @return {String} - SHA-256 hex digest
+     */
+    hashToken(refreshToken) {
+        return crypto.createHash('sha256').update(refreshToken).digest('hex');
+    }
+
+    /**
+     * Sign an access token bound to a session
+     * @param {Object} professor - Professor the token is issued to
+     * @param {Object} session - Session the token belongs to
+     * @return {String} - Signed JWT
+     */
+    signAccessToken(professor, session) {
+        return jwt.sign(
+            { id: professor._id, sid: session._id },
+            process.env.JWT_SECRET,
+            { expiresIn: this.accessTokenExpiresIn }
+        );
+    }
+
+    /**
+     * Sign a ticket for opening an event stream
+     * Only checked when the stream connects, so it can be short-lived; the type claim keeps it
+     * from being accepted anywhere an access token is.
+     * @param {Object} professor - Professor the ticket is issued to
+     * @param {ObjectId} sessionId - Session the ticket belongs to
+     * @return {String} - Signed JWT
+     */
+    signStreamTicket(professor, sessionId) {
+        return jwt.sign(
+            { id: professor._id, sid: sessionId, type: 'stream' },
+            process.env.JWT_SECRET,
+            { expiresIn: this.streamTicketExpiresIn }
+        );
+    }
+
+    /**
+     * Create a new session and its first token pair
+     * @param {Object} professor - Professor logging in
+     * @param {Object} req - Express request, used to record the client
+     * @return {Object} - { token, refreshToken, session }
+     */
+    async createSession(professor, req) {
+        const refreshToken = crypto.randomBytes(48).toString('hex');
+
+        const session = new Session({
+            professor: professor._id,
+            refreshTokenHash: this.hashToken(refreshToken),
+            userAgent: req.get('User-Agent')?.slice(0, 500),
+            ipAddress: req.ip,
+            expiresAt: new Date(Date.now() + this.refreshTokenExpiryDays * 24 * 60 * 60 * 1000)
+        });
+        await session.save();
+
+        return {
+            token: this.signAccessToken(professor, session),
+            refreshToken,
+            session
+        };
+    }
+
+    /**
+     * Exchange a refresh token for a new token pair
+     * Presenting a refresh token that was already rotated out revokes the whole session,
+     * since it means the token was copied and used by someone else.
+     * @param {String} refreshToken - Plain refresh token from the client
+     * @return {Object|null} - { token, refreshToken, session, professor } or null if rejected
+     */
+    async rotateSession(refreshToken) {
+        const tokenHash = this.hashToken(refreshToken);
+
+        const reused = await Session.findOne({ previousRefreshTokenHash: tokenHash, revokedAt: null });
+        if (reused) {
+            reused.revokedAt = new Date();
+            reused.revokedReason = 'token_reuse';
+            await reused.save();
+            return null;
+        }
+
+        const session = await Session.findOne({ refreshTokenHash: tokenHash })
+            .select('+refreshTokenHash +previousRefreshTokenHash');
+
+        if (!session || !session.isActive) {
+            return null;
+        }
+
+        const professor = await Professor.findById(session.professor);
+        if (!professor || !professor.isActive) {
+            return null;
+        }
+
+        const nextRefreshToken = crypto.randomBytes(48).toString('hex');
+        session.previousRefreshTokenHash = session.refreshTokenHash;
+        session.refreshTokenHash = this.hashToken(nextRefreshToken);
+        session.lastUsedAt = new Date();
+        await session.save();
+
+        return {
+            token: this.signAccessToken(professor, session),
+            refreshToken: nextRefreshToken,
+            session,
+            professor
+        };
+    }
+
+    /**
+     * Revoke a single session
+     * @param {String} sessionId - Session to revoke
+     * @param {String} reason - Revocation reason
+     */
+    async revokeSession(sessionId, reason = 'logout') {
+        await Session.updateOne(
+            { _id: sessionId, revokedAt: null },
+            { revokedAt: new Date(), revokedReason: reason }
+        );
+    }
+
+    /**
+     * Revoke every session for a professor
+     * @param {String} professorId - Professor whose sessions are revoked
+     * @param {String} reason - Revocation reason
+     * @param {String} exceptSessionId - Optional session to keep signed in
+     * @return {Number} - Number of sessions revoked
+     */
+    async revokeAllSessions(professorId, reason = 'logout_all', exceptSessionId = null) {
+        const result = await Session.revokeAllForProfessor(professorId, reason, exceptSessionId);
+        return result.modifiedCount;
+    }
+
+    /**
+     * Check whether a session referenced by an access token is still usable
+     * @param {String} sessionId - Session id from the token
+     * @param {String} professorId - Professor id from the token
+     * @return {Object|null} - The session, or null if revoked, expired or mismatched
+     */
+    async findActiveSession(sessionId, professorId) {
+        if (!sessionId) return null;
+
+        const session = await Session.findById(sessionId);
+        if (!session || !session.isActive || session.professor.toString() !== professorId.toString()) {
+            return null;
+        }
+        return session;
+    }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,67 @@
+/**
+ * SMS Service
+ * This service sends text messages through a pluggable transport, in the same way the mailer
+ * handles email. A transport is any object exposing an async send(message) method; a provider
+ * such as Twilio can be registered with registerTransport. The console transport is a local
+ * stand-in that only logs the message.
+ */
+class SmsService {
+
+    constructor() {
+        this.transports = {
+            console: {
+                async send(message) {
+                    console.log('--- Outgoing SMS ---');
+                    console.log(`To: ${message.to}`);
+                    console.log(message.text);
+                    console.log('--------------------');
+                    return { delivered: true, transport: 'console' };
+                }
+            }
+        };
+        this.activeTransport = process.env.SMS_TRANSPORT || 'console';
+    }
+
+    /**
+     * Register a transport under a name
+     * @param {String} name - Transport name, matched against SMS_TRANSPORT
+     * @param {Object} transport - Object with an async send(message) method
+     */
+    registerTransport(name, transport) {
+        if (!transport || typeof transport.send !== 'function') {
+            throw new Error('SMS transport must implement send(message)');
+        }
+        this.transports[name] = transport;
+    }
+
+    /**
+     * Select the transport used for outgoing messages
+     * @param {String} name - Name of a registered transport
+     */
+    useTransport(name) {
+        if (!this.transports[name]) {
+            throw new Error(`Unknown SMS transport: ${name}`);
+        }
+        this.activeTransport = name;
+    }
+
+    /**
+     * Send a text message through the active transport
+     * @param {Object} message - { to, text }
+     * @return {Object} - Delivery information reported by the transport
+     */
+    async send(message) {
+        const transport = this.transports[this.activeTransport];
+        if (!transport) {
+            throw new Error(`Unknown SMS transport: ${this.activeTransport}`);
+        }
+
+        // Messages longer than one segment are cut rather than split
+        return transport.send({
+            ...message,
+            text: message.text.length > 160 ? `${message.text.slice(0, 157)}...` : message.text
+        });
+    }
+}
+
+module.exports = new SmsService();